@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/IERC1155MetadataURI.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./interfaces/IAutophageToken.sol";
+import "./interfaces/ISpeciesTransferListener.sol";
+import "./interfaces/ISpeciesRegistry.sol";
+
+/**
+ * @title AutophageERC1155
+ * @notice ERC-1155 view of the AutophageToken species
+ * @dev Token id N maps to species N. Balances live in AutophageToken; this contract holds none.
+ *      Metadata comes from the SpeciesRegistry, so species added by governance get ids too.
+ *
+ * Integration:
+ * - Requires TRANSFER_AGENT_ROLE on AutophageToken to move tokens for authorized callers
+ * - Registered as the token's transfer listener so mints, burns and direct transfers
+ *   are mirrored as TransferSingle events, and mints to contracts must be accepted by
+ *   onERC1155Received like any other ERC-1155 mint
+ * - balanceOf reports the decayed liquid balance, the amount safeTransferFrom can move.
+ *   Tokens locked in wellness vaults are reported separately by vaultBalanceOf; neither
+ *   decay nor locking and unlocking emits a transfer event
+ */
+contract AutophageERC1155 is ERC165, IERC1155, IERC1155MetadataURI, ISpeciesTransferListener {
+    using Address for address;
+    using Strings for uint256;
+    
+    // State variables
+    IAutophageToken public immutable autophageToken;
+    ISpeciesRegistry public immutable speciesRegistry;
+    
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+    bool private adapterTransferActive;
+    
+    constructor(address _token, address _registry) {
+        autophageToken = IAutophageToken(_token);
+        speciesRegistry = ISpeciesRegistry(_registry);
+    }
+    
+    /**
+     * @notice Decayed liquid balance of a species
+     * @dev Excludes tokens locked in wellness vaults, which cannot be transferred until unlocked
+     */
+    function balanceOf(address account, uint256 id) public view override returns (uint256) {
+        require(account != address(0), "ERC1155: address zero is not a valid owner");
+        return autophageToken.liquidBalanceOf(account, _toSpecies(id));
+    }
+    
+    /**
+     * @notice Decayed value of a species locked in the account's wellness vault positions
+     * @dev Not part of balanceOf until the positions are unlocked
+     */
+    function vaultBalanceOf(address account, uint256 id) external view returns (uint256) {
+        return autophageToken.vaultBalanceOf(account, _toSpecies(id));
+    }
+    
+    function balanceOfBatch(address[] calldata accounts, uint256[] calldata ids)
+        external
+        view
+        override
+        returns (uint256[] memory batchBalances)
+    {
+        require(accounts.length == ids.length, "ERC1155: accounts and ids length mismatch");
+        
+        batchBalances = new uint256[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            batchBalances[i] = balanceOf(accounts[i], ids[i]);
+        }
+        
+        return batchBalances;
+    }
+    
+    function setApprovalForAll(address operator, bool approved) external override {
+        require(msg.sender != operator, "ERC1155: setting approval status for self");
+        
+        operatorApprovals[msg.sender][operator] = approved;
+        
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+    
+    /**
+     * @notice Operator approval granted here or directly on AutophageToken
+     */
+    function isApprovedForAll(address account, address operator) public view override returns (bool) {
+        return operatorApprovals[account][operator] || autophageToken.isApprovedForAll(account, operator);
+    }
+    
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint256 id,
+        uint256 amount,
+        bytes calldata data
+    ) external override {
+        require(from == msg.sender || isApprovedForAll(from, msg.sender), "ERC1155: caller is not token owner or approved");
+        require(to != address(0), "ERC1155: transfer to the zero address");
+        
+        _moveTokens(from, to, id, amount);
+        
+        emit TransferSingle(msg.sender, from, to, id, amount);
+        _doSafeTransferAcceptanceCheck(msg.sender, from, to, id, amount, data);
+    }
+    
+    function safeBatchTransferFrom(
+        address from,
+        address to,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) external override {
+        require(from == msg.sender || isApprovedForAll(from, msg.sender), "ERC1155: caller is not token owner or approved");
+        require(ids.length == amounts.length, "ERC1155: ids and amounts length mismatch");
+        require(to != address(0), "ERC1155: transfer to the zero address");
+        
+        for (uint256 i = 0; i < ids.length; i++) {
+            _moveTokens(from, to, ids[i], amounts[i]);
+        }
+        
+        emit TransferBatch(msg.sender, from, to, ids, amounts);
+        _doSafeBatchTransferAcceptanceCheck(msg.sender, from, to, ids, amounts, data);
+    }
+    
+    /**
+     * @notice Mirror token-level balance changes as ERC-1155 events
+     * @dev Transfers initiated through this contract emit their own events instead. A mint to
+     *      a contract that does not accept it reverts, which reverts the mint on the token.
+     */
+    function onSpeciesTransfer(
+        address operator,
+        address from,
+        address to,
+        uint8 species,
+        uint256 amount
+    ) external override {
+        require(msg.sender == address(autophageToken), "Only token contract");
+        if (adapterTransferActive) return;
+        
+        emit TransferSingle(operator, from, to, species, amount);
+        if (from == address(0)) {
+            _doSafeTransferAcceptanceCheck(operator, from, to, species, amount, "");
+        }
+    }
+    
+    /**
+     * @notice Per-species metadata as a base64 JSON data URI
+     * @dev Carries the live daily decay rate so tooling can project balances forward
+     */
+    function uri(uint256 id) external view override returns (string memory) {
+        ISpeciesRegistry.SpeciesInfo memory info = speciesRegistry.getSpecies(_toSpecies(id));
+        
+        bytes memory json = abi.encodePacked(
+            '{"name":"', info.name,
+            '","symbol":"', info.symbol,
+            '","decimals":', uint256(info.decimals).toString(),
+            ',"description":"Autophage ', info.name, ' tokens: ', info.description,
+            '. Balances decay lazily; balanceOf always reports the decayed liquid amount.",',
+            '"properties":{"species":', id.toString(),
+            ',"dailyDecayRate":"', info.decayRate.toString(), '"}}'
+        );
+        
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+    
+    function supportsInterface(bytes4 interfaceId) public view override(ERC165, IERC165) returns (bool) {
+        return
+            interfaceId == type(IERC1155).interfaceId ||
+            interfaceId == type(IERC1155MetadataURI).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+    
+    // Internal functions
+    
+    function _moveTokens(address from, address to, uint256 id, uint256 amount) internal {
+        adapterTransferActive = true;
+        autophageToken.transferFrom(from, to, _toSpecies(id), amount);
+        adapterTransferActive = false;
+    }
+    
+    function _toSpecies(uint256 id) internal view returns (uint8) {
+        require(id < autophageToken.speciesCount(), "Invalid species");
+        return uint8(id);
+    }
+    
+    function _doSafeTransferAcceptanceCheck(
+        address operator,
+        address from,
+        address to,
+        uint256 id,
+        uint256 amount,
+        bytes memory data
+    ) private {
+        if (to.isContract()) {
+            try IERC1155Receiver(to).onERC1155Received(operator, from, id, amount, data) returns (bytes4 response) {
+                if (response != IERC1155Receiver.onERC1155Received.selector) {
+                    revert("ERC1155: ERC1155Receiver rejected tokens");
+                }
+            } catch Error(string memory reason) {
+                revert(reason);
+            } catch {
+                revert("ERC1155: transfer to non-ERC1155Receiver implementer");
+            }
+        }
+    }
+    
+    function _doSafeBatchTransferAcceptanceCheck(
+        address operator,
+        address from,
+        address to,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) private {
+        if (to.isContract()) {
+            try IERC1155Receiver(to).onERC1155BatchReceived(operator, from, ids, amounts, data) returns (bytes4 response) {
+                if (response != IERC1155Receiver.onERC1155BatchReceived.selector) {
+                    revert("ERC1155: ERC1155Receiver rejected tokens");
+                }
+            } catch Error(string memory reason) {
+                revert(reason);
+            } catch {
+                revert("ERC1155: transfer to non-ERC1155Receiver implementer");
+            }
+        }
+    }
+}
@@ -1,9 +1,18 @@
 // SPDX-License-Identifier: Apache-2.0
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "./interfaces/IReservoir.sol";
+import "./interfaces/ISpeciesTransferListener.sol";
+import "./interfaces/ISpeciesTransferGuard.sol";
+import "./libraries/DecayMath.sol";
+import "./libraries/BalanceHistory.sol";
+import "./libraries/TypedSignature.sol";
+import "./libraries/WellnessVault.sol";
 
 /**
  * @title AutophageToken
@@ -15,12 +24,34 @@ import "@openzeppelin/contracts/security/Pausable.sol";
  * - Healing (1): 0.75% daily decay for therapy/recovery
  * - Foundation (2): 0.1% daily decay for preventive care
  * - Catalyst (3): 2-10% dynamic decay for marketplace balance
+ *
+ * Deployed behind a transparent proxy. New state variables must be appended after the
+ * existing ones; scripts/deploy.js upgrade validates the layout before upgrading.
  */
-contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
+contract AutophageToken is
+    Initializable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    EIP712Upgradeable
+{
     // Constants
     uint256 private constant PRECISION = 1e18;
     uint256 private constant SECONDS_PER_DAY = 86400;
-    uint256 private constant MAX_SPECIES = 4;
+    uint256 private constant MAX_SPECIES = 16; // Upper bound for species added by the registry
+    uint256 private constant CATALYST_MIN_DECAY = 20000000000000000; // 2%
+    uint256 private constant CATALYST_MAX_DECAY = 100000000000000000; // 10%
+    
+    // EIP-712 typehashes for signature-based actions
+    bytes32 public constant PERMIT_TYPEHASH = keccak256(
+        "Permit(address owner,address spender,uint8 species,uint256 value,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant TRANSFER_TYPEHASH = keccak256(
+        "Transfer(address from,address to,uint8 species,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant LOCK_IN_VAULT_TYPEHASH = keccak256(
+        "LockInVault(address owner,uint8 species,uint256 amount,uint256 lockDays,uint256 nonce,uint256 deadline)"
+    );
     
     // Token species identifiers
     uint8 public constant RHYTHM = 0;
@@ -28,27 +59,89 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
     uint8 public constant FOUNDATION = 2;
     uint8 public constant CATALYST = 3;
     
+    // Per-species pause flags, combined as a bitmask in setSpeciesPause
+    uint8 public constant PAUSE_MINT = 1;
+    uint8 public constant PAUSE_TRANSFER = 2;
+    uint8 public constant PAUSE_VAULT = 4;
+    
     // Roles
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant RESERVOIR_ROLE = keccak256("RESERVOIR_ROLE");
     bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant TRANSFER_AGENT_ROLE = keccak256("TRANSFER_AGENT_ROLE");
+    bytes32 public constant DECAY_CONTROLLER_ROLE = keccak256("DECAY_CONTROLLER_ROLE");
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
     
     // Packed struct for efficient storage (uses single storage slot)
     struct Balance {
-        uint128 amount;      // Token balance
+        uint128 amount;      // Liquid token balance
         uint64 lastUpdate;   // Timestamp of last update
-        uint64 lockedUntil;  // For wellness vault functionality
+    }
+    
+    // Holder state exported from a previous deployment by scripts/migrate.js
+    struct ImportedBalance {
+        address user;
+        uint8 species;
+        uint128 liquid;               // Liquid balance as of the export
+        VaultPosition[] positions;    // Open vault positions valued as of the export
     }
     
     // State variables
     mapping(address => mapping(uint8 => Balance)) private balances;
+    mapping(address => mapping(uint8 => VaultPosition[])) private vaultPositions;
+    mapping(address => uint64) private nextVaultId;
+    
+    // Reservoir receiving early withdrawal penalties
+    IReservoir public reservoir;
+    
+    // Optional observer mirroring balance movements (e.g. the ERC-1155 adapter)
+    ISpeciesTransferListener public transferListener;
+    
+    // Optional policy that can veto mints, burns and transfers (e.g. SupplyGuard mint caps)
+    ISpeciesTransferGuard public transferGuard;
+    uint8 public speciesCount; // Valid species ids are 0 to speciesCount - 1
     mapping(uint8 => uint256) public decayRates; // Daily decay rates (scaled by PRECISION)
-    mapping(uint8 => uint256) public totalSupply; // Total supply per species
+    mapping(uint8 => bool) public continuousDecay; // Decay per second instead of per whole day
+    mapping(uint8 => uint256) public totalSupply; // Settled supply per species (liquid + vault)
+    mapping(uint8 => uint256) public lockedSupply; // Settled supply held in vault positions
+    mapping(uint8 => uint256) public transferVolume; // Cumulative amount transferred per species
+    mapping(uint8 => uint8) public pausedOperations; // PAUSE_* flags per species
+    
+    // Lazily-decayed estimate of liquid supply, rolled forward on every supply change
+    mapping(uint8 => Balance) private liquidSupplyCheckpoints;
+    
+    // Allowances per species and blanket operator approvals
+    mapping(address => mapping(address => mapping(uint8 => uint256))) private allowances;
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+    
+    // Replay protection for signed permits, transfers and vault locks
+    mapping(address => uint256) public nonces;
+    
+    // Balance history for balanceOfAt, appended on every liquid balance change with the
+    // effective decay rate, including the whale multiplier
+    mapping(address => mapping(uint8 => BalanceHistory.Checkpoint[])) private balanceCheckpoints;
+    
+    // Governance snapshots freezing a point in time, e.g. experiment start and end
+    uint256 public currentSnapshotId;
+    mapping(uint256 => uint256) public snapshotTimestamps;
     
     // Whale protection thresholds
     mapping(uint8 => uint256[]) public whaleThresholds;
     mapping(uint8 => uint256[]) public whaleMultipliers;
     
+    // One-shot migration from a previous deployment, closed for good by sealImport
+    bool public importSealed;
+    bytes32 public migrationRoot; // Merkle root of the imported state
+    
+    // Distinct senders per day, summed over days, for activity signals that volume alone would
+    // let a few addresses inflate by trading back and forth
+    mapping(uint8 => uint256) public activeSenderDays;
+    mapping(address => mapping(uint8 => uint256)) private lastSendDay;
+    
+    // Vault history for balanceOfAt, appended whenever a position is opened, closed or settled
+    mapping(address => mapping(uint8 => BalanceHistory.VaultCheckpoint[])) private vaultCheckpoints;
+    
     // Events
     event Transfer(
         address indexed from,
@@ -57,16 +150,59 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
         uint256 amount,
         uint256 decayAmount
     );
+    event Approval(address indexed owner, address indexed spender, uint8 indexed species, uint256 amount);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
     event Mint(address indexed to, uint8 indexed species, uint256 amount);
+    event Burn(address indexed from, uint8 indexed species, uint256 amount);
     event DecayApplied(address indexed user, uint8 indexed species, uint256 amount);
-    event VaultLocked(address indexed user, uint8 indexed species, uint256 amount, uint256 lockDuration);
+    event VaultLocked(
+        address indexed user,
+        uint8 indexed species,
+        uint256 indexed positionId,
+        uint256 amount,
+        uint256 lockDuration
+    );
+    event VaultUnlocked(address indexed user, uint8 indexed species, uint256 indexed positionId, uint256 amount);
+    event VaultWithdrawnEarly(
+        address indexed user,
+        uint8 indexed species,
+        uint256 indexed positionId,
+        uint256 lockedValue,
+        uint256 penalty,
+        uint256 withdrawn,
+        uint256 timeRemaining
+    );
+    event ReservoirUpdated(address indexed oldReservoir, address indexed newReservoir);
+    event TransferListenerUpdated(address indexed oldListener, address indexed newListener);
+    event TransferGuardUpdated(address indexed oldGuard, address indexed newGuard);
     event DecayRateUpdated(uint8 indexed species, uint256 oldRate, uint256 newRate);
+    event DecayModeUpdated(uint8 indexed species, bool continuous);
+    event Snapshot(uint256 indexed id, uint256 timestamp);
+    event WhaleTiersUpdated(uint8 indexed species, uint256[] thresholds, uint256[] multipliers);
+    event SpeciesPauseUpdated(uint8 indexed species, uint8 operations);
+    event SpeciesAdded(uint8 indexed species, uint256 decayRate, bool continuous);
+    event BalanceImported(address indexed user, uint8 indexed species, uint256 liquid, uint256 vaulted);
+    event ImportSealed(bytes32 migrationRoot);
     
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @notice Set up roles and the genesis species behind a freshly deployed proxy
+     */
+    function initialize() external initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __EIP712_init("AutophageToken", "1");
+        
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(GOVERNANCE_ROLE, msg.sender);
         
-        // Initialize decay rates from the litepaper
+        // Initialize the four genesis species with decay rates from the litepaper
+        speciesCount = 4;
         decayRates[RHYTHM] = 50000000000000000; // 5% = 0.05 * 1e18
         decayRates[HEALING] = 7500000000000000; // 0.75% = 0.0075 * 1e18
         decayRates[FOUNDATION] = 1000000000000000; // 0.1% = 0.001 * 1e18
@@ -79,30 +215,33 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
     
     /**
      * @notice Get balance with lazy decay calculation
-     * @dev Only calculates decay when balance is accessed
+     * @dev Only calculates decay when balance is accessed. Includes wellness vault positions.
      * @param user Address of the user
      * @param species Token species ID (0-3)
      * @return Current balance after decay
      */
     function balanceOf(address user, uint8 species) public view returns (uint256) {
-        require(species < MAX_SPECIES, "Invalid species");
+        return liquidBalanceOf(user, species) + vaultBalanceOf(user, species);
+    }
+    
+    /**
+     * @notice Get spendable balance, excluding tokens locked in wellness vaults
+     * @param user Address of the user
+     * @param species Token species ID (0-3)
+     * @return Current liquid balance after decay
+     */
+    function liquidBalanceOf(address user, uint8 species) public view returns (uint256) {
+        _requireValidSpecies(species);
         
         Balance memory bal = balances[user][species];
         if (bal.amount == 0) return 0;
         
-        // If locked in wellness vault, use reduced decay
-        if (bal.lockedUntil > block.timestamp) {
-            return _calculateVaultBalance(bal, species);
-        }
-        
         uint256 timePassed = block.timestamp - bal.lastUpdate;
-        uint256 daysPassed = timePassed / SECONDS_PER_DAY;
-        
-        if (daysPassed == 0) return bal.amount;
+        if (timePassed == 0) return bal.amount;
         
         // Apply decay with whale protection
-        uint256 effectiveDecayRate = _getEffectiveDecayRate(user, species, bal.amount);
-        uint256 decayedBalance = _applyDecay(bal.amount, effectiveDecayRate, daysPassed);
+        uint256 effectiveDecayRate = _getEffectiveDecayRate(species, bal.amount);
+        uint256 decayedBalance = _decayOver(continuousDecay[species], bal.amount, effectiveDecayRate, timePassed);
         
         return decayedBalance;
     }
@@ -117,30 +256,108 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
         whenNotPaused 
         returns (bool) 
     {
-        require(to != address(0), "Invalid recipient");
-        require(species < MAX_SPECIES, "Invalid species");
-        
-        // Apply decay and get current balance
-        uint256 senderBalance = _updateBalance(msg.sender, species);
-        require(senderBalance >= amount, "Insufficient balance");
+        _transfer(msg.sender, to, species, amount);
+        return true;
+    }
+    
+    /**
+     * @notice Transfer tokens on behalf of a holder
+     * @dev Allowances are nominal and do not decay. A spender can never pull more than the
+     *      holder's decayed liquid balance, so an allowance above that balance is simply unused.
+     *      Operators approved for all skip the allowance check entirely, as do transfer agents
+     *      (such as the ERC-1155 adapter) that enforce their own authorization.
+     */
+    function transferFrom(address from, address to, uint8 species, uint256 amount) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+        returns (bool) 
+    {
+        if (from != msg.sender && !operatorApprovals[from][msg.sender] && !hasRole(TRANSFER_AGENT_ROLE, msg.sender)) {
+            _spendAllowance(from, msg.sender, species, amount);
+        }
         
-        // Check if tokens are locked
-        require(balances[msg.sender][species].lockedUntil <= block.timestamp, "Tokens locked in vault");
+        _transfer(from, to, species, amount);
+        return true;
+    }
+    
+    /**
+     * @notice Execute a transfer signed by the holder
+     * @dev Lets a relayer pay gas for holders without ETH. The signature covers the holder's
+     *      current nonce and a deadline, so it can be submitted exactly once.
+     */
+    function transferBySig(
+        address from,
+        address to,
+        uint8 species,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+        returns (bool) 
+    {
+        bytes32 structHash = _transferStructHash(from, to, species, amount, deadline);
+        _checkSignature(from, structHash, deadline, v, r, s);
         
-        // Update sender balance
-        balances[msg.sender][species].amount = uint128(senderBalance - amount);
-        balances[msg.sender][species].lastUpdate = uint64(block.timestamp);
+        _transfer(from, to, species, amount);
+        return true;
+    }
+    
+    /**
+     * @notice Approve a spender for a single species
+     * @dev type(uint256).max is treated as an unlimited allowance
+     */
+    function approve(address spender, uint8 species, uint256 amount) external returns (bool) {
+        _approve(msg.sender, spender, species, amount);
+        return true;
+    }
+    
+    /**
+     * @notice Approve or revoke an operator for every species
+     */
+    function setApprovalForAll(address operator, bool approved) external {
+        require(operator != msg.sender, "Cannot approve self");
         
-        // Update recipient balance
-        uint256 recipientBalance = _updateBalance(to, species);
-        balances[to][species].amount = uint128(recipientBalance + amount);
-        balances[to][species].lastUpdate = uint64(block.timestamp);
+        operatorApprovals[msg.sender][operator] = approved;
         
-        // Calculate decay amount for event
-        uint256 decayAmount = _calculateDecayAmount(msg.sender, species);
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+    
+    function allowance(address owner, address spender, uint8 species) external view returns (uint256) {
+        return allowances[owner][spender][species];
+    }
+    
+    function isApprovedForAll(address owner, address operator) external view returns (bool) {
+        return operatorApprovals[owner][operator];
+    }
+    
+    /**
+     * @notice Set a species allowance from an EIP-712 signature
+     * @dev Same semantics as approve; anyone may submit the signed message
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint8 species,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        bytes32 structHash = _permitStructHash(owner, spender, species, value, deadline);
+        _checkSignature(owner, structHash, deadline, v, r, s);
         
-        emit Transfer(msg.sender, to, species, amount, decayAmount);
-        return true;
+        _approve(owner, spender, species, value);
+    }
+    
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
     }
     
     /**
@@ -153,39 +370,174 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
         whenNotPaused 
     {
         require(to != address(0), "Invalid recipient");
-        require(species < MAX_SPECIES, "Invalid species");
+        _requireNotPaused(species, PAUSE_MINT);
         require(amount > 0, "Amount must be positive");
         
         uint256 currentBalance = _updateBalance(to, species);
-        balances[to][species].amount = uint128(currentBalance + amount);
-        balances[to][species].lastUpdate = uint64(block.timestamp);
+        _setBalance(to, species, currentBalance + amount);
         
+        _checkpointLiquidSupply(species, amount, 0);
         totalSupply[species] += amount;
         
         emit Mint(to, species, amount);
+        _notifyTransfer(address(0), to, species, amount);
+    }
+    
+    /**
+     * @notice Burn tokens from a holder (restricted to authorized burners)
+     * @dev Used by the verification engine for genetic trait evolution
+     */
+    function burn(address from, uint8 species, uint256 amount) 
+        external 
+        onlyRole(BURNER_ROLE) 
+        whenNotPaused 
+    {
+        _requireValidSpecies(species);
+        require(amount > 0, "Amount must be positive");
+        
+        uint256 currentBalance = _updateBalance(from, species);
+        require(currentBalance >= amount, "Insufficient balance");
+        
+        _setBalance(from, species, currentBalance - amount);
+        _checkpointLiquidSupply(species, 0, amount);
+        totalSupply[species] -= amount;
+        
+        emit Burn(from, species, amount);
+        _notifyTransfer(from, address(0), species, amount);
     }
     
     /**
      * @notice Lock tokens in wellness vault for reduced decay
-     * @dev Implements time-locked savings with configurable decay reduction
+     * @dev Opens a new position; each position decays at a rate set by its own lock duration
+     * @return positionId Identifier of the new vault position
      */
     function lockInVault(uint8 species, uint256 amount, uint256 lockDays) 
         external 
         nonReentrant 
         whenNotPaused 
+        returns (uint256 positionId)
     {
-        require(species < MAX_SPECIES, "Invalid species");
-        require(lockDays >= 30 && lockDays <= 365, "Lock period must be 30-365 days");
-        require(amount > 0, "Amount must be positive");
+        return _lockInVault(msg.sender, species, amount, lockDays);
+    }
+    
+    /**
+     * @notice Open a vault position signed by the holder
+     * @dev Relayed counterpart of lockInVault, protected by the holder's nonce and a deadline
+     * @return positionId Identifier of the new vault position
+     */
+    function lockInVaultBySig(
+        address owner,
+        uint8 species,
+        uint256 amount,
+        uint256 lockDays,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+        returns (uint256 positionId)
+    {
+        bytes32 structHash = _lockInVaultStructHash(owner, species, amount, lockDays, deadline);
+        _checkSignature(owner, structHash, deadline, v, r, s);
+        
+        return _lockInVault(owner, species, amount, lockDays);
+    }
+    
+    /**
+     * @notice Release all matured vault positions back to the liquid balance
+     * @dev Positions still inside their lock period are left untouched
+     * @return released Total decayed amount returned to the caller
+     */
+    function unlockFromVault(uint8 species) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+        returns (uint256 released)
+    {
+        _requireNotPaused(species, PAUSE_VAULT);
+        
+        uint256 totalDecay;
+        (released, totalDecay) = WellnessVault.releaseMatured(
+            vaultPositions[msg.sender][species],
+            msg.sender,
+            species,
+            continuousDecay[species],
+            decayRates[species]
+        );
+        _recordVaultDecay(msg.sender, species, totalDecay);
         
         uint256 currentBalance = _updateBalance(msg.sender, species);
-        require(currentBalance >= amount, "Insufficient balance");
-        require(balances[msg.sender][species].lockedUntil <= block.timestamp, "Already locked");
+        _setBalance(msg.sender, species, currentBalance + released);
+        
+        lockedSupply[species] -= released;
+        _checkpointLiquidSupply(species, released, 0);
+        _checkpointVault(msg.sender, species);
+    }
+    
+    /**
+     * @notice Withdraw a vault position before maturity
+     * @dev Penalty P = V_locked × (t_remaining / t_total) × 0.5 is credited to the Reservoir token chamber
+     * @return withdrawn Amount returned to the liquid balance
+     * @return penalty Amount routed to the Reservoir
+     */
+    function withdrawFromVaultEarly(uint8 species, uint256 positionId) 
+        external 
+        nonReentrant 
+        whenNotPaused 
+        returns (uint256 withdrawn, uint256 penalty)
+    {
+        _requireNotPaused(species, PAUSE_VAULT);
+        require(address(reservoir) != address(0), "Reservoir not set");
+        
+        uint256 lockedValue;
+        uint256 decayAmount;
+        uint256 timeRemaining;
+        (lockedValue, penalty, decayAmount, timeRemaining) = WellnessVault.withdrawEarly(
+            vaultPositions[msg.sender][species],
+            positionId,
+            continuousDecay[species],
+            decayRates[species]
+        );
+        _recordVaultDecay(msg.sender, species, decayAmount);
+        withdrawn = lockedValue - penalty;
         
-        uint256 lockDuration = lockDays * SECONDS_PER_DAY;
-        balances[msg.sender][species].lockedUntil = uint64(block.timestamp + lockDuration);
+        uint256 currentBalance = _updateBalance(msg.sender, species);
+        _setBalance(msg.sender, species, currentBalance + withdrawn);
+        
+        lockedSupply[species] -= lockedValue;
+        _checkpointLiquidSupply(species, withdrawn, 0);
+        _checkpointVault(msg.sender, species);
+        
+        if (penalty > 0) {
+            // Penalty leaves circulation and is accounted for in the Reservoir
+            totalSupply[species] -= penalty;
+            reservoir.receiveVaultPenalty(species, penalty);
+            _notifyTransfer(msg.sender, address(0), species, penalty);
+        }
+        
+        emit VaultWithdrawnEarly(msg.sender, species, positionId, lockedValue, penalty, withdrawn, timeRemaining);
+    }
+    
+    /**
+     * @notice Preview the penalty for withdrawing a vault position now
+     * @dev Returns zero for matured positions
+     */
+    function calculateEarlyWithdrawalPenalty(address user, uint8 species, uint256 positionId) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        _requireValidSpecies(species);
         
-        emit VaultLocked(msg.sender, species, amount, lockDuration);
+        return WellnessVault.previewPenalty(
+            vaultPositions[user][species],
+            positionId,
+            continuousDecay[species],
+            decayRates[species]
+        );
     }
     
     /**
@@ -195,6 +547,7 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
     function collectDecay(address[] calldata users, uint8[] calldata species) 
         external 
         onlyRole(RESERVOIR_ROLE) 
+        whenNotPaused 
         returns (uint256 totalDecayed) 
     {
         require(users.length == species.length, "Array length mismatch");
@@ -203,6 +556,7 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
             uint256 decayAmount = _calculateDecayAmount(users[i], species[i]);
             if (decayAmount > 0) {
                 _updateBalance(users[i], species[i]);
+                _updateVaultPositions(users[i], species[i]);
                 totalDecayed += decayAmount;
             }
         }
@@ -210,6 +564,30 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
         return totalDecayed;
     }
     
+    /**
+     * @notice Realize pending decay for a single balance
+     * @dev Called by the Reservoir when sweeping decayed tokens. Blocked while paused, like
+     *      collectDecay, so imported balances stay as imported until the import is done.
+     */
+    function applyDecay(address user, uint8 species) 
+        external 
+        onlyRole(RESERVOIR_ROLE) 
+        whenNotPaused 
+    {
+        _requireValidSpecies(species);
+        _updateBalance(user, species);
+        _updateVaultPositions(user, species);
+    }
+    
+    /**
+     * @notice Get the amount of decay accrued since the last balance update
+     * @dev Lets the Reservoir value a sweep before applying it
+     */
+    function calculateDecayAmount(address user, uint8 species) external view returns (uint256) {
+        _requireValidSpecies(species);
+        return _calculateDecayAmount(user, species);
+    }
+    
     /**
      * @notice Update decay rate for dynamic adjustment (Catalyst tokens)
      * @dev Only callable by governance after on-chain experiment validation
@@ -218,30 +596,547 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
         external 
         onlyRole(GOVERNANCE_ROLE) 
     {
-        require(species < MAX_SPECIES, "Invalid species");
-        require(newRate <= 100000000000000000, "Rate too high"); // Max 10%
+        _requireValidSpecies(species);
+        _setDecayRate(species, newRate);
+    }
+    
+    /**
+     * @notice Add a species with the next free id
+     * @dev Called by the SpeciesRegistry, which holds the species' name, symbol and description
+     */
+    function addSpecies(uint256 decayRate, bool continuous) 
+        external 
+        onlyRole(REGISTRAR_ROLE) 
+        returns (uint8 species) 
+    {
+        require(speciesCount < MAX_SPECIES, "Too many species");
         
-        uint256 oldRate = decayRates[species];
-        decayRates[species] = newRate;
+        species = speciesCount++;
+        _setDecayRate(species, decayRate);
+        continuousDecay[species] = continuous;
         
-        emit DecayRateUpdated(species, oldRate, newRate);
+        emit SpeciesAdded(species, decayRate, continuous);
+    }
+    
+    /**
+     * @notice Import holder balances and vault positions exported from a previous deployment
+     * @dev Callable in batches until sealImport, while the token is paused so no imported
+     *      holder can move tokens or be settled before the rest arrive. Each holder and species
+     *      is imported once, into an account with no activity yet. Liquid amounts are valued as
+     *      of `asOf` and vault positions as of their lastUpdate, at or before it; both keep
+     *      decaying from then, so the migration window is not decay-free. Positions must fit the
+     *      limits of lockInVault. The transfer guard and listener are not notified.
+     */
+    function importBalances(uint64 asOf, ImportedBalance[] calldata entries) 
+        external 
+        onlyRole(DEFAULT_ADMIN_ROLE) 
+        whenPaused 
+    {
+        require(!importSealed, "Import sealed");
+        require(asOf <= block.timestamp, "Future import");
+        
+        for (uint256 i = 0; i < entries.length; i++) {
+            _importBalance(asOf, entries[i]);
+        }
+    }
+    
+    /**
+     * @notice Close the import for good and publish the Merkle root of the imported state
+     * @dev scripts/migrate.js verify recomputes the root from this contract's state
+     */
+    function sealImport(bytes32 root) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!importSealed, "Import sealed");
+        
+        importSealed = true;
+        migrationRoot = root;
+        
+        emit ImportSealed(root);
+    }
+    
+    /**
+     * @notice Freeze the current time under a new snapshot id
+     * @dev Balances at a snapshot are read with balanceOfAtSnapshot
+     */
+    function snapshot() external onlyRole(GOVERNANCE_ROLE) returns (uint256 snapshotId) {
+        snapshotId = ++currentSnapshotId;
+        snapshotTimestamps[snapshotId] = block.timestamp;
+        
+        emit Snapshot(snapshotId, block.timestamp);
+    }
+    
+    /**
+     * @notice Switch a species between stepwise and continuous decay
+     * @dev Stepwise balances drop once per whole day; continuous balances decay by
+     *      (1 - rate)^(t / 1 day) every second. Pending decay is re-evaluated under the new mode.
+     */
+    function setDecayMode(uint8 species, bool continuous) 
+        external 
+        onlyRole(GOVERNANCE_ROLE) 
+    {
+        _requireValidSpecies(species);
+        require(continuousDecay[species] != continuous, "Mode unchanged");
+        
+        _checkpointLiquidSupply(species, 0, 0);
+        continuousDecay[species] = continuous;
+        
+        emit DecayModeUpdated(species, continuous);
+    }
+    
+    /**
+     * @notice Replace the whale-protection tier table for a species
+     * @dev Balances at or above thresholds[i] decay at multipliers[i + 1] times the base rate;
+     *      balances below the first threshold use multipliers[0]. Thresholds must be strictly
+     *      increasing and multipliers non-decreasing, between 1x and 5x.
+     */
+    function setWhaleTiers(uint8 species, uint256[] calldata thresholds, uint256[] calldata multipliers) 
+        external 
+        onlyRole(GOVERNANCE_ROLE) 
+    {
+        _requireValidSpecies(species);
+        DecayMath.setWhaleTiers(whaleThresholds[species], whaleMultipliers[species], thresholds, multipliers);
+        
+        emit WhaleTiersUpdated(species, thresholds, multipliers);
+    }
+    
+    /**
+     * @notice Set the dynamic Catalyst decay rate
+     * @dev Called by the CatalystDecayController; the rate must stay inside the 2-10% band
+     */
+    function setCatalystDecayRate(uint256 newRate) external onlyRole(DECAY_CONTROLLER_ROLE) {
+        require(newRate >= CATALYST_MIN_DECAY && newRate <= CATALYST_MAX_DECAY, "Rate outside Catalyst band");
+        _setDecayRate(CATALYST, newRate);
+    }
+    
+    /**
+     * @notice Set the Reservoir that receives early withdrawal penalties
+     */
+    function setReservoir(address newReservoir) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newReservoir != address(0), "Invalid reservoir");
+        
+        address oldReservoir = address(reservoir);
+        reservoir = IReservoir(newReservoir);
+        
+        emit ReservoirUpdated(oldReservoir, newReservoir);
+    }
+    
+    /**
+     * @notice Set the observer notified of mints, burns and transfers
+     * @dev Pass the zero address to disable notifications
+     */
+    function setTransferListener(address newListener) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldListener = address(transferListener);
+        transferListener = ISpeciesTransferListener(newListener);
+        
+        emit TransferListenerUpdated(oldListener, newListener);
+    }
+    
+    /**
+     * @notice Set the policy contract checked on every mint, burn and transfer
+     * @dev Pass the zero address to disable checks
+     */
+    function setTransferGuard(address newGuard) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldGuard = address(transferGuard);
+        transferGuard = ISpeciesTransferGuard(newGuard);
+        
+        emit TransferGuardUpdated(oldGuard, newGuard);
+    }
+    
+    /**
+     * @notice Get the decayed value of all vault positions for a species
+     */
+    function vaultBalanceOf(address user, uint8 species) public view returns (uint256 total) {
+        _requireValidSpecies(species);
+        
+        return WellnessVault.totalValue(vaultPositions[user][species], continuousDecay[species], decayRates[species]);
+    }
+    
+    /**
+     * @notice List open vault positions with their current decayed values
+     * @dev Convenience function for UI
+     */
+    function getVaultPositions(address user, uint8 species) 
+        external 
+        view 
+        returns (VaultPosition[] memory positions, uint256[] memory currentValues) 
+    {
+        _requireValidSpecies(species);
+        
+        return WellnessVault.list(vaultPositions[user][species], continuousDecay[species], decayRates[species]);
+    }
+    
+    /**
+     * @notice Whale-protection tier table for a species
+     */
+    function getWhaleTiers(uint8 species) 
+        external 
+        view 
+        returns (uint256[] memory thresholds, uint256[] memory multipliers) 
+    {
+        return (whaleThresholds[species], whaleMultipliers[species]);
+    }
+    
+    /**
+     * @notice Tier and daily decay rate that would apply to a given liquid balance
+     * @dev Lets the UI show which tier a balance falls into before it is reached
+     */
+    function getWhaleTier(uint8 species, uint256 balance) 
+        public 
+        view 
+        returns (uint256 tier, uint256 effectiveRate) 
+    {
+        _requireValidSpecies(species);
+        tier = _getWhaleTier(species, balance);
+        effectiveRate = _getEffectiveDecayRate(species, balance);
+    }
+    
+    /**
+     * @notice Tier and daily decay rate currently applied to a user's liquid balance
+     * @dev Decay is charged on the last settled balance, so that is what selects the tier
+     */
+    function getEffectiveDecayRate(address user, uint8 species) 
+        external 
+        view 
+        returns (uint256 tier, uint256 effectiveRate) 
+    {
+        return getWhaleTier(species, balances[user][species].amount);
+    }
+    
+    /**
+     * @notice Estimated current supply including pending decay
+     * @dev Liquid supply decays lazily in aggregate at the base rate, ignoring whale multipliers,
+     *      so minting and burning keep it at or above the sum of balances. It can fall below that
+     *      sum after a decay rate or mode change, which balances apply back to their last
+     *      settlement, and when a stepwise balance restarts its day count on settling part way
+     *      through a day. Vault supply is counted at its last settled value. Never exceeds the
+     *      settled totalSupply.
+     */
+    function decayedTotalSupply(uint8 species) public view returns (uint256) {
+        _requireValidSpecies(species);
+        return _liquidSupply(species) + lockedSupply[species];
+    }
+    
+    /**
+     * @notice Estimated liquid supply outside vaults
+     * @dev The Reservoir's token chamber is not part of supply until it is redistributed
+     */
+    function circulatingSupply(uint8 species) public view returns (uint256) {
+        _requireValidSpecies(species);
+        return _liquidSupply(species);
+    }
+    
+    /**
+     * @notice Decay collected into the Reservoir's token chamber and not yet redistributed
+     * @dev Collected decay has already left totalSupply; redistribution mints it back
+     */
+    function reservoirSupply(uint8 species) public view returns (uint256 current) {
+        _requireValidSpecies(species);
+        if (address(reservoir) == address(0)) return 0;
+        (, , current) = reservoir.tokenChamber(species);
+    }
+    
+    /**
+     * @notice All supply figures for a species in one call
+     * @dev Convenience function for dashboards
+     */
+    function getSupplyBreakdown(uint8 species) 
+        external 
+        view 
+        returns (
+            uint256 settled,
+            uint256 decayed,
+            uint256 locked,
+            uint256 reservoirHeld,
+            uint256 circulating
+        ) 
+    {
+        circulating = circulatingSupply(species);
+        return (
+            totalSupply[species],
+            circulating + lockedSupply[species],
+            lockedSupply[species],
+            reservoirSupply(species),
+            circulating
+        );
+    }
+    
+    /**
+     * @notice Balance at a past timestamp, liquid and vaulted, decayed up to that time
+     * @dev Uses the latest checkpoints at or before `timestamp` and the decay rate and mode
+     *      recorded with them, so results are fixed once the time has passed. A checkpoint
+     *      written later in the same block as `timestamp` counts. Vault positions are checkpointed
+     *      with their lock terms whenever one is opened, closed or settled, and each is valued
+     *      at its own reduced rate, so until the decay terms change the result at the current
+     *      time equals balanceOf.
+     */
+    function balanceOfAt(address user, uint8 species, uint256 timestamp) public view returns (uint256) {
+        _requireValidSpecies(species);
+        require(timestamp <= block.timestamp, "Future lookup");
+        
+        return BalanceHistory.valueAt(balanceCheckpoints[user][species], timestamp)
+            + BalanceHistory.vaultValueAt(vaultCheckpoints[user][species], timestamp);
+    }
+    
+    /**
+     * @notice Balance as of a governance snapshot
+     */
+    function balanceOfAtSnapshot(address user, uint8 species, uint256 snapshotId) external view returns (uint256) {
+        require(snapshotId > 0 && snapshotId <= currentSnapshotId, "Invalid snapshot");
+        return balanceOfAt(user, species, snapshotTimestamps[snapshotId]);
     }
     
     /**
      * @notice Get all balances for a user
      * @dev Convenience function for UI
      */
-    function getAllBalances(address user) external view returns (uint256[4] memory) {
-        return [
-            balanceOf(user, RHYTHM),
-            balanceOf(user, HEALING),
-            balanceOf(user, FOUNDATION),
-            balanceOf(user, CATALYST)
-        ];
+    function getAllBalances(address user) external view returns (uint256[] memory balancesBySpecies) {
+        balancesBySpecies = new uint256[](speciesCount);
+        for (uint8 i = 0; i < balancesBySpecies.length; i++) {
+            balancesBySpecies[i] = balanceOf(user, i);
+        }
     }
     
     // Internal functions
     
+    function _transfer(address from, address to, uint8 species, uint256 amount) internal {
+        require(to != address(0), "Invalid recipient");
+        _requireNotPaused(species, PAUSE_TRANSFER);
+        
+        // Apply decay and get current balance
+        uint256 senderBalance = _updateBalance(from, species);
+        require(senderBalance >= amount, "Insufficient balance");
+        
+        // Update sender balance
+        _setBalance(from, species, senderBalance - amount);
+        
+        // Update recipient balance
+        uint256 recipientBalance = _updateBalance(to, species);
+        _setBalance(to, species, recipientBalance + amount);
+        
+        // Track volume and active senders for market signals; self-transfers move no value
+        if (from != to) {
+            transferVolume[species] += amount;
+            
+            uint256 today = block.timestamp / SECONDS_PER_DAY;
+            if (lastSendDay[from][species] != today) {
+                lastSendDay[from][species] = today;
+                activeSenderDays[species]++;
+            }
+        }
+        
+        // Calculate decay amount for event
+        uint256 decayAmount = _calculateDecayAmount(from, species);
+        
+        emit Transfer(from, to, species, amount, decayAmount);
+        _notifyTransfer(from, to, species, amount);
+    }
+    
+    function _lockInVault(address user, uint8 species, uint256 amount, uint256 lockDays) 
+        internal 
+        returns (uint256 positionId) 
+    {
+        _requireNotPaused(species, PAUSE_VAULT);
+        positionId = nextVaultId[user]++;
+        uint256 lockDuration = WellnessVault.open(vaultPositions[user][species], amount, lockDays, positionId);
+        
+        uint256 currentBalance = _updateBalance(user, species);
+        require(currentBalance >= amount, "Insufficient balance");
+        _setBalance(user, species, currentBalance - amount);
+        
+        _checkpointLiquidSupply(species, 0, amount);
+        lockedSupply[species] += amount;
+        _checkpointVault(user, species);
+        
+        emit VaultLocked(user, species, positionId, amount, lockDuration);
+    }
+    
+    // Struct hashes consume the signer's nonce, so each signature is valid exactly once
+    function _permitStructHash(
+        address owner,
+        address spender,
+        uint8 species,
+        uint256 value,
+        uint256 deadline
+    ) internal returns (bytes32) {
+        return keccak256(
+            abi.encode(PERMIT_TYPEHASH, owner, spender, species, value, nonces[owner]++, deadline)
+        );
+    }
+    
+    function _transferStructHash(
+        address from,
+        address to,
+        uint8 species,
+        uint256 amount,
+        uint256 deadline
+    ) internal returns (bytes32) {
+        return keccak256(
+            abi.encode(TRANSFER_TYPEHASH, from, to, species, amount, nonces[from]++, deadline)
+        );
+    }
+    
+    function _lockInVaultStructHash(
+        address owner,
+        uint8 species,
+        uint256 amount,
+        uint256 lockDays,
+        uint256 deadline
+    ) internal returns (bytes32) {
+        return keccak256(
+            abi.encode(LOCK_IN_VAULT_TYPEHASH, owner, species, amount, lockDays, nonces[owner]++, deadline)
+        );
+    }
+    
+    function _checkSignature(
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal view {
+        TypedSignature.verify(_domainSeparatorV4(), signer, structHash, deadline, v, r, s);
+    }
+    
+    function _notifyTransfer(address from, address to, uint8 species, uint256 amount) internal {
+        // The guard reverts the whole operation if it rejects the movement
+        if (address(transferGuard) != address(0)) {
+            transferGuard.checkSpeciesTransfer(msg.sender, from, to, species, amount);
+        }
+        if (address(transferListener) != address(0)) {
+            transferListener.onSpeciesTransfer(msg.sender, from, to, species, amount);
+        }
+    }
+    
+    function _requireValidSpecies(uint8 species) internal view {
+        require(species < speciesCount, "Invalid species");
+    }
+    
+    function _requireNotPaused(uint8 species, uint8 operation) internal view {
+        _requireValidSpecies(species);
+        require(pausedOperations[species] & operation == 0, "Species paused");
+    }
+    
+    function _approve(address owner, address spender, uint8 species, uint256 amount) internal {
+        require(spender != address(0), "Invalid spender");
+        _requireValidSpecies(species);
+        
+        allowances[owner][spender][species] = amount;
+        
+        emit Approval(owner, spender, species, amount);
+    }
+    
+    function _spendAllowance(address owner, address spender, uint8 species, uint256 amount) internal {
+        uint256 currentAllowance = allowances[owner][spender][species];
+        if (currentAllowance == type(uint256).max) return;
+        
+        require(currentAllowance >= amount, "Insufficient allowance");
+        allowances[owner][spender][species] = currentAllowance - amount;
+    }
+    
+    function _liquidSupply(uint8 species) internal view returns (uint256) {
+        Balance memory checkpoint = liquidSupplyCheckpoints[species];
+        uint256 estimate = _decayOver(continuousDecay[species], checkpoint.amount, decayRates[species], block.timestamp - checkpoint.lastUpdate);
+        
+        // Individual settlements can only lower the settled total, so cap the estimate by it
+        uint256 settledLiquid = totalSupply[species] - lockedSupply[species];
+        return estimate < settledLiquid ? estimate : settledLiquid;
+    }
+    
+    function _checkpointLiquidSupply(uint8 species, uint256 added, uint256 removed) internal {
+        Balance storage checkpoint = liquidSupplyCheckpoints[species];
+        uint256 current = _liquidSupply(species);
+        
+        // Stepwise species advance by whole days only, so the aggregate steps like individual balances do
+        uint256 lastUpdate = checkpoint.amount == 0 || continuousDecay[species]
+            ? block.timestamp
+            : checkpoint.lastUpdate + ((block.timestamp - checkpoint.lastUpdate) / SECONDS_PER_DAY) * SECONDS_PER_DAY;
+        
+        // Amounts added part way through the aggregate's day start their own day count now, so
+        // they join it grossed up by a day's decay (rounded up), which its next step takes back off
+        if (lastUpdate != block.timestamp) {
+            // Cannot overflow: amounts fit in 128 bits and rates stay at or below 10%
+            unchecked {
+                uint256 retention = PRECISION - decayRates[species];
+                added = (added * PRECISION + retention - 1) / retention;
+            }
+        }
+        current += added;
+        
+        checkpoint.amount = uint128(current > removed ? current - removed : 0);
+        checkpoint.lastUpdate = uint64(lastUpdate);
+    }
+    
+    function _setDecayRate(uint8 species, uint256 newRate) internal {
+        require(newRate <= 100000000000000000, "Rate too high"); // Max 10%
+        
+        // Settle the supply estimate at the old rate before switching
+        _checkpointLiquidSupply(species, 0, 0);
+        
+        uint256 oldRate = decayRates[species];
+        decayRates[species] = newRate;
+        
+        emit DecayRateUpdated(species, oldRate, newRate);
+    }
+    
+    function _setBalance(address user, uint8 species, uint256 amount) internal {
+        _setBalanceAt(user, species, amount, block.timestamp);
+    }
+    
+    function _setBalanceAt(address user, uint8 species, uint256 amount, uint256 timestamp) internal {
+        balances[user][species] = Balance(uint128(amount), uint64(timestamp));
+        
+        BalanceHistory.record(
+            balanceCheckpoints[user][species],
+            amount,
+            timestamp,
+            _getEffectiveDecayRate(species, amount),
+            continuousDecay[species]
+        );
+    }
+    
+    function _checkpointVault(address user, uint8 species) internal {
+        _checkpointVaultAt(user, species, block.timestamp);
+    }
+    
+    function _checkpointVaultAt(address user, uint8 species, uint256 timestamp) internal {
+        BalanceHistory.recordVault(
+            vaultCheckpoints[user][species],
+            vaultPositions[user][species],
+            timestamp,
+            decayRates[species],
+            continuousDecay[species]
+        );
+    }
+    
+    function _importBalance(uint64 asOf, ImportedBalance calldata entry) internal {
+        address user = entry.user;
+        uint8 species = entry.species;
+        _requireValidSpecies(species);
+        
+        VaultPosition[] storage positions = vaultPositions[user][species];
+        require(balances[user][species].lastUpdate == 0 && positions.length == 0, "Holder already active");
+        
+        uint256 liquid = entry.liquid;
+        if (liquid > 0) {
+            _setBalanceAt(user, species, liquid, asOf);
+        }
+        
+        // New positions are issued ids above the imported ones
+        (uint256 vaulted, uint64 nextId) = WellnessVault.importPositions(positions, entry.positions, asOf, nextVaultId[user]);
+        nextVaultId[user] = nextId;
+        if (vaulted > 0) {
+            _checkpointVaultAt(user, species, asOf);
+        }
+        
+        totalSupply[species] += liquid + vaulted;
+        lockedSupply[species] += vaulted;
+        
+        // The balance has been decaying since asOf, so it joins the supply estimate at today's value
+        _checkpointLiquidSupply(species, liquidBalanceOf(user, species), 0);
+        
+        emit BalanceImported(user, species, liquid, vaulted);
+    }
+    
     function _updateBalance(address user, uint8 species) internal returns (uint256) {
         Balance storage bal = balances[user][species];
         
@@ -250,112 +1145,79 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
             return 0;
         }
         
-        uint256 currentBalance = balanceOf(user, species);
+        uint256 currentBalance = liquidBalanceOf(user, species);
         uint256 decayAmount = bal.amount - currentBalance;
         
         if (decayAmount > 0) {
+            // Decayed tokens leave circulation until the Reservoir redistributes them
+            totalSupply[species] -= decayAmount;
             emit DecayApplied(user, species, decayAmount);
-            // Decayed tokens would be tracked for Reservoir collection
         }
         
-        bal.amount = uint128(currentBalance);
-        bal.lastUpdate = uint64(block.timestamp);
+        _setBalance(user, species, currentBalance);
         
         return currentBalance;
     }
     
-    function _calculateDecayAmount(address user, uint8 species) internal view returns (uint256) {
+    function _calculateDecayAmount(address user, uint8 species) internal view returns (uint256 decayAmount) {
         Balance memory bal = balances[user][species];
-        if (bal.amount == 0) return 0;
+        if (bal.amount > 0) {
+            uint256 currentBalance = liquidBalanceOf(user, species);
+            decayAmount = bal.amount > currentBalance ? bal.amount - currentBalance : 0;
+        }
         
-        uint256 currentBalance = balanceOf(user, species);
-        return bal.amount > currentBalance ? bal.amount - currentBalance : 0;
+        return decayAmount + WellnessVault.pendingDecay(vaultPositions[user][species], continuousDecay[species], decayRates[species]);
     }
     
-    function _applyDecay(uint256 balance, uint256 dailyDecayRate, uint256 daysPassed) 
-        internal 
-        pure 
-        returns (uint256) 
-    {
-        if (daysPassed == 0 || dailyDecayRate == 0) return balance;
+    function _updateVaultPositions(address user, uint8 species) internal {
+        VaultPosition[] storage positions = vaultPositions[user][species];
+        if (positions.length == 0) return;
         
-        // Calculate (1 - decayRate)^daysPassed
-        uint256 retentionRate = PRECISION - dailyDecayRate;
-        uint256 decayFactor = _pow(retentionRate, daysPassed, PRECISION);
+        uint256 totalDecay = WellnessVault.settleAll(positions, continuousDecay[species], decayRates[species]);
+        _recordVaultDecay(user, species, totalDecay);
+        _checkpointVault(user, species);
+    }
+    
+    function _recordVaultDecay(address user, uint8 species, uint256 decayAmount) internal {
+        if (decayAmount == 0) return;
         
-        return (balance * decayFactor) / _pow(PRECISION, daysPassed, PRECISION);
+        totalSupply[species] -= decayAmount;
+        lockedSupply[species] -= decayAmount;
+        emit DecayApplied(user, species, decayAmount);
     }
     
-    function _getEffectiveDecayRate(address user, uint8 species, uint256 balance) 
+    function _decayOver(bool continuous, uint256 balance, uint256 dailyDecayRate, uint256 elapsed) 
         internal 
-        view 
+        pure 
         returns (uint256) 
     {
-        if (species != RHYTHM || whaleThresholds[species].length == 0) {
-            return decayRates[species];
-        }
-        
-        // Apply progressive whale protection
-        uint256[] memory thresholds = whaleThresholds[species];
-        uint256[] memory multipliers = whaleMultipliers[species];
-        
-        for (uint256 i = thresholds.length; i > 0; i--) {
-            if (balance >= thresholds[i - 1]) {
-                return (decayRates[species] * multipliers[i]) / PRECISION;
-            }
-        }
-        
-        return decayRates[species];
+        return DecayMath.decay(continuous, balance, dailyDecayRate, elapsed);
     }
     
-    function _calculateVaultBalance(Balance memory bal, uint8 species) 
+    function _getEffectiveDecayRate(uint8 species, uint256 balance) 
         internal 
         view 
         returns (uint256) 
     {
-        uint256 lockDuration = bal.lockedUntil - bal.lastUpdate;
-        uint256 lockDays = lockDuration / SECONDS_PER_DAY;
-        
-        // Calculate decay reduction based on lock duration
-        uint256 reductionFactor = _getVaultReductionFactor(lockDays);
-        uint256 reducedDecayRate = (decayRates[species] * (PRECISION - reductionFactor)) / PRECISION;
-        
-        uint256 timePassed = block.timestamp - bal.lastUpdate;
-        uint256 daysPassed = timePassed / SECONDS_PER_DAY;
+        uint256[] storage multipliers = whaleMultipliers[species];
+        if (multipliers.length == 0) {
+            return decayRates[species];
+        }
         
-        return _applyDecay(bal.amount, reducedDecayRate, daysPassed);
-    }
-    
-    function _getVaultReductionFactor(uint256 lockDays) internal pure returns (uint256) {
-        if (lockDays >= 365) return 900000000000000000; // 90% reduction
-        if (lockDays >= 180) return 450000000000000000; // 45% reduction
-        if (lockDays >= 90) return 270000000000000000;  // 27% reduction
-        return 90000000000000000; // 9% reduction for 30 days
+        // Apply progressive whale protection
+        return (decayRates[species] * multipliers[_getWhaleTier(species, balance)]) / PRECISION;
     }
     
-    /**
-     * @dev Efficient power function for decay calculations
-     */
-    function _pow(uint256 base, uint256 exponent, uint256 precision) 
-        internal 
-        pure 
-        returns (uint256) 
-    {
-        if (exponent == 0) return precision;
-        if (exponent == 1) return base;
+    function _getWhaleTier(uint8 species, uint256 balance) internal view returns (uint256) {
+        uint256[] storage thresholds = whaleThresholds[species];
         
-        uint256 result = precision;
-        uint256 currentBase = base;
-        
-        while (exponent > 0) {
-            if (exponent & 1 == 1) {
-                result = (result * currentBase) / precision;
+        for (uint256 i = thresholds.length; i > 0; i--) {
+            if (balance >= thresholds[i - 1]) {
+                return i;
             }
-            currentBase = (currentBase * currentBase) / precision;
-            exponent >>= 1;
         }
         
-        return result;
+        return 0;
     }
     
     // Emergency functions
@@ -367,4 +1229,18 @@ contract AutophageToken is AccessControl, ReentrancyGuard, Pausable {
     function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         _unpause();
     }
+    
+    /**
+     * @notice Pause operations for a single species without freezing the others
+     * @dev `operations` is a bitmask of PAUSE_MINT, PAUSE_TRANSFER and PAUSE_VAULT; zero resumes all.
+     *      Burns stay available so pending settlements can still complete.
+     */
+    function setSpeciesPause(uint8 species, uint8 operations) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireValidSpecies(species);
+        require(operations <= PAUSE_MINT | PAUSE_TRANSFER | PAUSE_VAULT, "Invalid operations");
+        
+        pausedOperations[species] = operations;
+        
+        emit SpeciesPauseUpdated(species, operations);
+    }
 }
\ No newline at end of file
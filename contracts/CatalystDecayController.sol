@@ -0,0 +1,261 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IAutophageToken.sol";
+import "./interfaces/IReservoir.sol";
+
+/**
+ * @title CatalystDecayController
+ * @notice Recomputes the Catalyst decay rate from marketplace signals
+ * @dev Keeps Catalyst decay inside the 2-10% band from the POTP specification
+ *
+ * Signals (all read on-chain):
+ * - Velocity: Catalyst transferred per day since the last update, relative to Catalyst supply,
+ *   capped by activity. Activity counts distinct Catalyst senders per day, each address once a
+ *   day however much it sends, and every one of them can account for at most
+ *   targetVelocity / targetActivity of velocity. Trading back and forth between a few
+ *   addresses therefore cannot push velocity up, and many senders moving dust do not either.
+ * - Share: Catalyst supply as a fraction of total supply across species
+ * - Reservoir: Catalyst held in the Reservoir token chamber, relative to Catalyst supply
+ *
+ * Each signal becomes a pressure in [0, 1]. Slow markets, a Catalyst glut and a thin
+ * Reservoir all push decay up. The weighted pressure maps linearly onto the band, and each
+ * update moves the live rate toward that target by at most maxRateChange.
+ */
+contract CatalystDecayController is AccessControl {
+    // Constants
+    uint256 private constant PRECISION = 1e18;
+    uint256 private constant SECONDS_PER_DAY = 86400;
+    uint8 private constant CATALYST = 3;
+    uint256 public constant MIN_DECAY_RATE = 20000000000000000; // 2%
+    uint256 public constant MAX_DECAY_RATE = 100000000000000000; // 10%
+    
+    // Roles
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+    
+    // State variables
+    IAutophageToken public immutable autophageToken;
+    IReservoir public immutable reservoir;
+    
+    // Signal targets (scaled by PRECISION)
+    uint256 public targetVelocity = 100000000000000000; // 10% of supply transferred per day
+    uint256 public targetActivity = 100 * PRECISION; // 100 distinct senders per day
+    uint256 public shareCeiling = 500000000000000000; // 50% of total supply
+    uint256 public targetReservoirRatio = 100000000000000000; // 10% of supply held by the Reservoir
+    
+    // Signal weights (sum to PRECISION)
+    uint256 public velocityWeight = 400000000000000000; // 40%
+    uint256 public shareWeight = 300000000000000000; // 30%
+    uint256 public reservoirWeight = 300000000000000000; // 30%
+    
+    // Rate limiting
+    uint256 public minUpdateInterval = 1 days;
+    uint256 public maxRateChange = 10000000000000000; // 1 percentage point per update
+    
+    // Velocity window
+    uint256 public lastUpdate;
+    uint256 public lastTransferVolume;
+    uint256 public lastActiveSenderDays;
+    
+    // Events
+    event CatalystDecayUpdated(
+        uint256 oldRate,
+        uint256 newRate,
+        uint256 targetRate,
+        uint256 velocity,
+        uint256 share,
+        uint256 reservoirRatio
+    );
+    event SignalTargetsUpdated(
+        uint256 targetVelocity,
+        uint256 targetActivity,
+        uint256 shareCeiling,
+        uint256 targetReservoirRatio
+    );
+    event SignalWeightsUpdated(uint256 velocityWeight, uint256 shareWeight, uint256 reservoirWeight);
+    event RateLimitsUpdated(uint256 minUpdateInterval, uint256 maxRateChange);
+    
+    constructor(address _token, address _reservoir) {
+        autophageToken = IAutophageToken(_token);
+        reservoir = IReservoir(_reservoir);
+        
+        lastUpdate = block.timestamp;
+        lastTransferVolume = autophageToken.transferVolume(CATALYST);
+        lastActiveSenderDays = autophageToken.activeSenderDays(CATALYST);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(GOVERNANCE_ROLE, msg.sender);
+    }
+    
+    /**
+     * @notice Recompute and apply the Catalyst decay rate
+     * @dev Callable by anyone (e.g. a keeper) once per minUpdateInterval. Requires
+     *      DECAY_CONTROLLER_ROLE on AutophageToken.
+     * @return newRate The Catalyst decay rate now in effect
+     */
+    function updateDecayRate() external returns (uint256 newRate) {
+        require(block.timestamp >= lastUpdate + minUpdateInterval, "Update too soon");
+        
+        (uint256 velocity, , uint256 share, uint256 reservoirRatio) = getSignals();
+        uint256 targetRate = _targetRate(velocity, share, reservoirRatio);
+        uint256 oldRate = autophageToken.decayRates(CATALYST);
+        newRate = _stepToward(oldRate, targetRate);
+        
+        lastUpdate = block.timestamp;
+        lastTransferVolume = autophageToken.transferVolume(CATALYST);
+        lastActiveSenderDays = autophageToken.activeSenderDays(CATALYST);
+        
+        if (newRate != oldRate) {
+            autophageToken.setCatalystDecayRate(newRate);
+        }
+        
+        emit CatalystDecayUpdated(oldRate, newRate, targetRate, velocity, share, reservoirRatio);
+    }
+    
+    /**
+     * @notice Rate the next update would apply, ignoring the update interval
+     */
+    function previewDecayRate()
+        external
+        view
+        returns (uint256 nextRate, uint256 targetRate)
+    {
+        (uint256 velocity, , uint256 share, uint256 reservoirRatio) = getSignals();
+        targetRate = _targetRate(velocity, share, reservoirRatio);
+        nextRate = _stepToward(autophageToken.decayRates(CATALYST), targetRate);
+    }
+    
+    /**
+     * @notice Current controller inputs, each scaled by PRECISION
+     * @return velocity Daily Catalyst transfer volume since the last update over Catalyst supply,
+     *         capped at activity × targetVelocity / targetActivity
+     * @return activity Average distinct Catalyst senders per day since the last update
+     * @return share Catalyst supply over total supply across species
+     * @return reservoirRatio Reservoir Catalyst chamber over Catalyst supply
+     */
+    function getSignals()
+        public
+        view
+        returns (uint256 velocity, uint256 activity, uint256 share, uint256 reservoirRatio)
+    {
+        uint256 catalystSupply = autophageToken.totalSupply(CATALYST);
+        if (catalystSupply == 0) {
+            return (0, 0, 0, 0);
+        }
+        
+        uint256 elapsed = block.timestamp - lastUpdate;
+        if (elapsed > 0) {
+            uint256 volume = autophageToken.transferVolume(CATALYST) - lastTransferVolume;
+            uint256 senderDays = autophageToken.activeSenderDays(CATALYST) - lastActiveSenderDays;
+            velocity = volume * SECONDS_PER_DAY * PRECISION / (elapsed * catalystSupply);
+            activity = senderDays * SECONDS_PER_DAY * PRECISION / elapsed;
+            
+            // Volume only counts as far as enough distinct senders moved it
+            uint256 velocityCap = activity * targetVelocity / targetActivity;
+            if (velocity > velocityCap) velocity = velocityCap;
+        }
+        
+        uint256 allSupply;
+        uint8 speciesCount = autophageToken.speciesCount();
+        for (uint8 i = 0; i < speciesCount; i++) {
+            allSupply += autophageToken.totalSupply(i);
+        }
+        share = catalystSupply * PRECISION / allSupply;
+        
+        (, , uint256 chamber) = reservoir.tokenChamber(CATALYST);
+        reservoirRatio = chamber * PRECISION / catalystSupply;
+    }
+    
+    // Governance functions
+    
+    function setSignalTargets(
+        uint256 _targetVelocity,
+        uint256 _targetActivity,
+        uint256 _shareCeiling,
+        uint256 _targetReservoirRatio
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        require(
+            _targetVelocity > 0 && _targetActivity > 0 && _shareCeiling > 0 && _targetReservoirRatio > 0,
+            "Targets must be positive"
+        );
+        require(_shareCeiling <= PRECISION, "Share ceiling too high");
+        
+        targetVelocity = _targetVelocity;
+        targetActivity = _targetActivity;
+        shareCeiling = _shareCeiling;
+        targetReservoirRatio = _targetReservoirRatio;
+        
+        emit SignalTargetsUpdated(_targetVelocity, _targetActivity, _shareCeiling, _targetReservoirRatio);
+    }
+    
+    function setSignalWeights(
+        uint256 _velocityWeight,
+        uint256 _shareWeight,
+        uint256 _reservoirWeight
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        require(_velocityWeight + _shareWeight + _reservoirWeight == PRECISION, "Weights must sum to 1");
+        
+        velocityWeight = _velocityWeight;
+        shareWeight = _shareWeight;
+        reservoirWeight = _reservoirWeight;
+        
+        emit SignalWeightsUpdated(_velocityWeight, _shareWeight, _reservoirWeight);
+    }
+    
+    function setRateLimits(uint256 _minUpdateInterval, uint256 _maxRateChange)
+        external
+        onlyRole(GOVERNANCE_ROLE)
+    {
+        require(_minUpdateInterval >= 1 hours, "Interval too short");
+        require(_maxRateChange > 0 && _maxRateChange <= MAX_DECAY_RATE - MIN_DECAY_RATE, "Invalid max change");
+        
+        minUpdateInterval = _minUpdateInterval;
+        maxRateChange = _maxRateChange;
+        
+        emit RateLimitsUpdated(_minUpdateInterval, _maxRateChange);
+    }
+    
+    // Internal functions
+    
+    function _targetRate(uint256 velocity, uint256 share, uint256 reservoirRatio)
+        internal
+        view
+        returns (uint256)
+    {
+        // Slow markets push decay up to encourage circulation
+        uint256 velocityPressure = velocity >= targetVelocity
+            ? 0
+            : PRECISION - velocity * PRECISION / targetVelocity;
+        
+        // A growing Catalyst share pushes decay up
+        uint256 sharePressure = share >= shareCeiling
+            ? PRECISION
+            : share * PRECISION / shareCeiling;
+        
+        // A thin Reservoir chamber pushes decay up to refill it
+        uint256 reservoirPressure = reservoirRatio >= targetReservoirRatio
+            ? 0
+            : PRECISION - reservoirRatio * PRECISION / targetReservoirRatio;
+        
+        uint256 pressure = (
+            velocityPressure * velocityWeight +
+            sharePressure * shareWeight +
+            reservoirPressure * reservoirWeight
+        ) / PRECISION;
+        
+        return MIN_DECAY_RATE + (MAX_DECAY_RATE - MIN_DECAY_RATE) * pressure / PRECISION;
+    }
+    
+    function _stepToward(uint256 currentRate, uint256 targetRate) internal view returns (uint256 rate) {
+        if (targetRate > currentRate) {
+            rate = targetRate - currentRate > maxRateChange ? currentRate + maxRateChange : targetRate;
+        } else {
+            rate = currentRate - targetRate > maxRateChange ? currentRate - maxRateChange : targetRate;
+        }
+        
+        // Pull a rate set outside the band back inside it
+        if (rate < MIN_DECAY_RATE) rate = MIN_DECAY_RATE;
+        if (rate > MAX_DECAY_RATE) rate = MAX_DECAY_RATE;
+    }
+}
@@ -1,8 +1,9 @@
 // SPDX-License-Identifier: Apache-2.0
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./interfaces/IAutophageToken.sol";
@@ -18,7 +19,7 @@ import "./interfaces/IAutophageToken.sol";
  * - On-chain A/B testing with statistical significance
  * - Automatic sunset of unused features
  */
-contract GovernanceContract is AccessControl, ReentrancyGuard {
+contract GovernanceContract is Initializable, AccessControlUpgradeable, ReentrancyGuardUpgradeable {
     using SafeERC20 for IERC20;
     
     // Constants
@@ -125,7 +126,18 @@ contract GovernanceContract is AccessControl, ReentrancyGuard {
     event ProposalExecuted(uint256 indexed proposalId, bool success);
     event FeatureSunset(bytes32 indexed featureId, uint256 lastUsed);
     
-    constructor(address _token, address _catalyst) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @notice Set the token addresses and grant the deployer's roles behind a new proxy
+     */
+    function initialize(address _token, address _catalyst) external initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        
         autophageToken = IAutophageToken(_token);
         catalystToken = IERC20(_catalyst);
         
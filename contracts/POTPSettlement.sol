@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "./interfaces/IAutophageToken.sol";
+import "./interfaces/IPOTPSettlement.sol";
+import "./libraries/DecayMath.sol";
+
+/**
+ * @title POTPSettlement
+ * @notice Settlement layer converting species tokens into non-decaying POTP
+ * @dev Implements IPOTPSettlement from the POTP specification. Species tokens are burned
+ *      through AutophageToken's burn path (requires BURNER_ROLE) and POTP is credited as an
+ *      internal, non-transferable balance used for protocol accounting and governance.
+ *
+ * Conversion rate for species i:
+ *   rate_i = baseRate_i × (1 - δ_i)^decayHorizon
+ *
+ * POTP never decays, so each species is priced at the value it would keep over the decay
+ * horizon. δ_i is read live from the token, so Catalyst follows its dynamic rate.
+ */
+contract POTPSettlement is AccessControl, ReentrancyGuard, Pausable, IPOTPSettlement {
+    // Constants
+    uint256 private constant PRECISION = 1e18;
+    uint256 public constant MAX_DECAY_HORIZON = 365; // days
+    
+    // Roles
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+    
+    // State variables
+    IAutophageToken public immutable autophageToken;
+    
+    // POTP per species token before decay adjustment (scaled by PRECISION)
+    mapping(uint8 => uint256) public baseRates;
+    
+    // Days of species decay priced into the conversion
+    uint256 public decayHorizon = 30;
+    
+    // POTP accounting
+    mapping(address => uint256) private potpBalances;
+    uint256 public totalPOTP;
+    mapping(uint8 => uint256) public totalConverted; // Species tokens burned per species
+    mapping(uint8 => uint256) public potpIssued; // POTP credited per source species
+    
+    // Events
+    event ConvertedToPOTP(
+        address indexed account,
+        uint8 indexed species,
+        uint256 amount,
+        uint256 potpAmount,
+        uint256 rate
+    );
+    event BaseRateUpdated(uint8 indexed species, uint256 oldRate, uint256 newRate);
+    event DecayHorizonUpdated(uint256 oldHorizon, uint256 newHorizon);
+    
+    constructor(address _token) {
+        require(_token != address(0), "Invalid token");
+        autophageToken = IAutophageToken(_token);
+        
+        // One POTP per genesis species token before decay adjustment; species added later
+        // start at zero and convert once governance sets a rate
+        for (uint8 i = 0; i < 4; i++) {
+            baseRates[i] = PRECISION;
+        }
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(GOVERNANCE_ROLE, msg.sender);
+    }
+    
+    /**
+     * @notice Burn species tokens from the caller and credit POTP
+     * @dev The caller's decayed balance is checked by the token's burn
+     * @return potpAmount POTP credited to the caller
+     */
+    function convertToPOTP(uint8 fromSpecies, uint256 amount)
+        external
+        override
+        nonReentrant
+        whenNotPaused
+        returns (uint256 potpAmount)
+    {
+        require(amount > 0, "Amount must be positive");
+        
+        uint256 rate = getConversionRate(fromSpecies);
+        potpAmount = amount * rate / PRECISION;
+        require(potpAmount > 0, "Conversion too small");
+        
+        autophageToken.burn(msg.sender, fromSpecies, amount);
+        
+        potpBalances[msg.sender] += potpAmount;
+        totalPOTP += potpAmount;
+        totalConverted[fromSpecies] += amount;
+        potpIssued[fromSpecies] += potpAmount;
+        
+        emit ConvertedToPOTP(msg.sender, fromSpecies, amount, potpAmount, rate);
+    }
+    
+    /**
+     * @notice POTP credited per species token (scaled by PRECISION)
+     */
+    function getConversionRate(uint8 species) public view override returns (uint256) {
+        require(species < autophageToken.speciesCount(), "Invalid species");
+        
+        uint256 retention = PRECISION - autophageToken.decayRates(species);
+        return baseRates[species] * DecayMath.pow(retention, decayHorizon) / PRECISION;
+    }
+    
+    /**
+     * @notice POTP a conversion of `amount` would credit at the current rate
+     */
+    function previewConversion(uint8 species, uint256 amount) external view returns (uint256) {
+        return amount * getConversionRate(species) / PRECISION;
+    }
+    
+    /**
+     * @notice POTP held by an account
+     */
+    function getPOTPBalance(address account) external view override returns (uint256) {
+        return potpBalances[account];
+    }
+    
+    // Governance functions
+    
+    /**
+     * @notice Set the POTP value of a species token before decay adjustment
+     * @dev A zero rate disables conversions from that species
+     */
+    function setBaseRate(uint8 species, uint256 newRate) external onlyRole(GOVERNANCE_ROLE) {
+        require(species < autophageToken.speciesCount(), "Invalid species");
+        
+        uint256 oldRate = baseRates[species];
+        baseRates[species] = newRate;
+        
+        emit BaseRateUpdated(species, oldRate, newRate);
+    }
+    
+    function setDecayHorizon(uint256 newHorizon) external onlyRole(GOVERNANCE_ROLE) {
+        require(newHorizon <= MAX_DECAY_HORIZON, "Horizon too long");
+        
+        uint256 oldHorizon = decayHorizon;
+        decayHorizon = newHorizon;
+        
+        emit DecayHorizonUpdated(oldHorizon, newHorizon);
+    }
+    
+    // Emergency functions
+    
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+    
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+}
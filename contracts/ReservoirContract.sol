@@ -1,11 +1,14 @@
 // SPDX-License-Identifier: Apache-2.0
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./interfaces/IAutophageToken.sol";
+import "./libraries/ClaimQueue.sol";
+import "./libraries/RollingWindow.sol";
 
 /**
  * @title ReservoirContract
@@ -14,12 +17,23 @@ import "./interfaces/IAutophageToken.sol";
  * 
  * Architecture:
  * - Token Chamber: Collects decayed tokens for redistribution
+ * - Epoch redistribution: a governance-set share of each species' chamber is paid back
+ *   to users in proportion to their verified activity in the epoch; what is not claimed
+ *   within the claim window returns to the chamber
  * - USDC Chamber: Maintains liquidity for healthcare settlements
- * - Priority queue for healthcare claims
+ * - App stakes: USDC staked by verification apps, held apart from the USDC chamber until
+ *   slashed into it
+ * - Healthcare claim review by oracle attestation, with rejection reasons and appeals
+ * - Priority queue for approved healthcare claims, paid in installments from reserves above
+ *   the solvency floor
+ * - Registry of healthcare providers that claimants can name as payee, settled in batches
  * - Triple-coverage solvency requirements
+ * - Metabolic price from 30-day rolling windows of verified energy, verified activity and
+ *   token transfer volume, and from the token's circulating supply
  */
-contract ReservoirContract is AccessControl, ReentrancyGuard {
+contract ReservoirContract is Initializable, AccessControlUpgradeable, ReentrancyGuardUpgradeable {
     using SafeERC20 for IERC20;
+    using RollingWindow for RollingWindow.Window;
     
     // Constants
     uint256 private constant PRECISION = 1e18;
@@ -27,11 +41,19 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
     uint256 private constant HEALTHCARE_RESERVE_RATIO = 40; // 40% of deposits
     uint256 private constant MONTHLY_COVERAGE_MONTHS = 3;
     uint256 private constant ANNUAL_REVENUE_RATIO = 22; // 22% of annual revenue
+    uint256 private constant BPS = 10000;
+    uint256 public constant REDISTRIBUTION_EPOCH = 7 days;
+    uint256 public constant REDISTRIBUTION_CLAIM_WINDOW = 28 days; // After the epoch ends
+    uint256 public constant APPEAL_WINDOW = 7 days;
+    uint256 private constant KCAL_VALUE = 2e15; // $0.002 per kcal
+    uint8 private constant CATALYST = 3;
     
     // Roles
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
     bytes32 public constant SETTLEMENT_ROLE = keccak256("SETTLEMENT_ROLE");
     bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    bytes32 public constant ACTIVITY_ROLE = keccak256("ACTIVITY_ROLE");
+    bytes32 public constant PROVIDER_MANAGER_ROLE = keccak256("PROVIDER_MANAGER_ROLE");
     
     // Token species tracking
     struct TokenBalance {
@@ -40,15 +62,20 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
         uint256 current;      // Current balance
     }
     
-    // Healthcare claim structure
-    struct HealthcareClaim {
-        address claimant;
+    // Healthcare provider registry entry
+    struct Provider {
+        string name;
+        string category;         // pharmacy, clinic, hospital, lab
+        bool active;             // False while suspended
+        uint256 registeredAt;
+    }
+    
+    // Batch payment to a provider, acknowledged by the provider on receipt
+    struct ProviderSettlement {
+        address provider;
         uint256 amount;
-        uint8 urgencyScore;      // 1-10 scale
         uint256 timestamp;
-        string claimType;        // prescription, procedure, preventive, emergency
-        bytes32 verificationHash;
-        bool processed;
+        bool acknowledged;
     }
     
     // State variables
@@ -74,16 +101,85 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
     uint256[30] public dailyHealthcareSpending; // Rolling 30-day window
     uint8 public currentDayIndex;
     
+    // Decay redistribution, by epoch number (timestamp / REDISTRIBUTION_EPOCH)
+    mapping(uint8 => uint256) public redistributionSplits; // Share of the chamber paid out per epoch (bps)
+    mapping(uint256 => uint256) public epochActivity;
+    mapping(uint256 => mapping(address => uint256)) public userEpochActivity;
+    mapping(uint256 => mapping(uint8 => uint256)) public epochAllocations;
+    mapping(uint256 => bool) public epochFinalized;
+    // Unused since claims became per species. Kept for the proxy storage layout.
+    /// @custom:oz-renamed-from redistributionClaimed
+    mapping(uint256 => mapping(address => bool)) private retiredRedistributionClaimed;
+    
+    // Verification app stakes, not part of usdcBalance
+    address public verificationEngine;
+    mapping(address => uint256) public appStakes;
+    uint256 public totalStaked;
+    
+    // Metabolic price inputs
+    RollingWindow.Window private energyWindow;   // kcal from verified proofs
+    RollingWindow.Window private activityWindow; // Verified reward points
+    RollingWindow.Window private volumeWindow;   // Token transfers across species
+    uint256 public lastTransferVolume;           // Token's cumulative volume at the last sample
+    uint256 public metabolicPrice;
+    uint256 public lastMetabolicPriceUpdate;
+    
+    // Claim ids per claimant, in submission order
+    mapping(address => uint256[]) private claimantClaims;
+    
+    // Provider registry and payable ledgers, not part of usdcBalance
+    mapping(address => Provider) public providers;
+    mapping(uint256 => address) public claimPayee;        // Provider paid instead of the claimant, if set
+    mapping(address => uint256) public providerPayable;   // Paid claims awaiting settlement
+    mapping(address => uint256) public providerSettled;   // Total settled to date
+    uint256 public totalProviderPayable;
+    mapping(uint256 => ProviderSettlement) public providerSettlements;
+    uint256 public nextSettlementId;
+    
+    // Per-species redistribution claims, and the total claimed from each allocation
+    mapping(uint256 => mapping(address => mapping(uint8 => bool))) public redistributionClaimed;
+    mapping(uint256 => mapping(uint8 => uint256)) public epochClaimed;
+    
     // Events
     event TokensCollected(uint8 indexed species, uint256 amount);
+    event VaultPenaltyCollected(uint8 indexed species, uint256 amount);
     event TokensDistributed(uint8 indexed species, address indexed recipient, uint256 amount);
     event HealthcareClaimSubmitted(uint256 indexed claimId, address indexed claimant, uint256 amount);
     event HealthcareClaimProcessed(uint256 indexed claimId, uint256 amount);
+    event ClaimInstallmentPaid(uint256 indexed claimId, uint256 installment, uint256 amount, uint256 remaining);
+    event ClaimStatusChanged(uint256 indexed claimId, ClaimStatus status);
+    event ClaimRejected(uint256 indexed claimId, RejectionReason reason);
+    event ClaimAppealed(uint256 indexed claimId, address indexed claimant);
+    event ProviderRegistered(address indexed provider, string name, string category);
+    event ProviderStatusChanged(address indexed provider, bool active);
+    event ProviderPayableAccrued(address indexed provider, uint256 indexed claimId, uint256 amount);
+    event ProviderSettled(uint256 indexed settlementId, address indexed provider, uint256 amount);
+    event ProviderSettlementAcknowledged(uint256 indexed settlementId, address indexed provider);
     event USDCDeposited(address indexed depositor, uint256 amount);
     event SolvencyWarning(uint256 required, uint256 available);
     event MetabolicPriceUpdate(uint256 newPrice);
+    event ActivityRecorded(uint256 indexed epoch, address indexed user, uint256 points);
+    event RedistributionSplitUpdated(uint8 indexed species, uint256 splitBps);
+    event RedistributionAllocated(uint256 indexed epoch, uint8 indexed species, uint256 amount, uint256 totalActivity);
+    event RedistributionClaimed(uint256 indexed epoch, address indexed user, uint8 indexed species, uint256 amount);
+    event RedistributionSwept(uint256 indexed epoch, uint8 indexed species, uint256 amount);
+    event StakeReceived(address indexed app, uint256 amount);
+    event StakeSlashed(address indexed app, uint256 amount);
+    event StakeReleased(address indexed app, uint256 amount);
+    event VerificationEngineUpdated(address indexed oldEngine, address indexed newEngine);
     
-    constructor(address _token, address _usdc) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @notice Set the token and USDC addresses and grant the deployer's roles behind a new proxy
+     */
+    function initialize(address _token, address _usdc) external initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        
         autophageToken = IAutophageToken(_token);
         usdc = IERC20(_usdc);
         
@@ -117,9 +213,23 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
         }
     }
     
+    /**
+     * @notice Credit an early vault withdrawal penalty to the token chamber
+     * @dev Called by the token contract when a vault position is exited early
+     */
+    function receiveVaultPenalty(uint8 species, uint256 amount) external {
+        require(msg.sender == address(autophageToken), "Only token contract");
+        
+        tokenChamber[species].collected += amount;
+        tokenChamber[species].current += amount;
+        
+        emit VaultPenaltyCollected(species, amount);
+    }
+    
     /**
      * @notice Submit healthcare claim for settlement
-     * @dev Claims are processed based on priority score
+     * @dev The claim waits for oracle review; only approved claims join the payout queue.
+     *      `verificationHash` commits to the supporting documents the oracle will attest to.
      */
     function submitHealthcareClaim(
         uint256 amount,
@@ -127,9 +237,35 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
         string calldata claimType,
         bytes32 verificationHash
     ) external nonReentrant returns (uint256 claimId) {
+        return _submitClaim(amount, urgencyScore, claimType, verificationHash, address(0));
+    }
+    
+    /**
+     * @notice Submit a healthcare claim paid to a registered provider instead of the claimant
+     * @dev Payouts accrue to the provider's payable ledger and leave in `settleProviders` batches
+     */
+    function submitProviderClaim(
+        uint256 amount,
+        uint8 urgencyScore,
+        string calldata claimType,
+        bytes32 verificationHash,
+        address provider
+    ) external nonReentrant returns (uint256 claimId) {
+        require(providers[provider].active, "Unregistered provider");
+        return _submitClaim(amount, urgencyScore, claimType, verificationHash, provider);
+    }
+    
+    function _submitClaim(
+        uint256 amount,
+        uint8 urgencyScore,
+        string calldata claimType,
+        bytes32 verificationHash,
+        address payee
+    ) internal returns (uint256 claimId) {
         require(amount > 0, "Invalid amount");
         require(urgencyScore >= 1 && urgencyScore <= 10, "Invalid urgency");
         require(bytes(claimType).length > 0, "Invalid claim type");
+        require(verificationHash != bytes32(0), "Invalid verification hash");
         
         claimId = nextClaimId++;
         
@@ -140,57 +276,218 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
             timestamp: block.timestamp,
             claimType: claimType,
             verificationHash: verificationHash,
-            processed: false
+            processed: false,
+            status: ClaimStatus.Submitted,
+            rejectionReason: RejectionReason.None,
+            decidedAt: 0,
+            appealed: false,
+            amountPaid: 0,
+            installmentsPaid: 0,
+            lastInstallmentAt: 0
         });
-        
-        // Add to priority queue
-        _insertIntoPriorityQueue(claimId);
+        claimantClaims[msg.sender].push(claimId);
+        if (payee != address(0)) claimPayee[claimId] = payee;
         
         emit HealthcareClaimSubmitted(claimId, msg.sender, amount);
         
+        return claimId;
+    }
+    
+    /**
+     * @notice Onboard a healthcare provider that claimants can name as payee
+     */
+    function registerProvider(address provider, string calldata name, string calldata category)
+        external
+        onlyRole(PROVIDER_MANAGER_ROLE)
+    {
+        require(provider != address(0), "Invalid provider");
+        require(providers[provider].registeredAt == 0, "Provider already registered");
+        require(bytes(name).length > 0, "Invalid name");
+        
+        providers[provider] = Provider({
+            name: name,
+            category: category,
+            active: true,
+            registeredAt: block.timestamp
+        });
+        
+        emit ProviderRegistered(provider, name, category);
+    }
+    
+    /**
+     * @notice Suspend or reinstate a provider
+     * @dev Suspended providers cannot be named on new claims and their payables are held until
+     *      they are reinstated
+     */
+    function setProviderActive(address provider, bool active) external onlyRole(PROVIDER_MANAGER_ROLE) {
+        _requireRegisteredProvider(provider);
+        
+        providers[provider].active = active;
+        
+        emit ProviderStatusChanged(provider, active);
+    }
+    
+    /**
+     * @notice Pay out the payable ledgers of a batch of providers
+     * @dev Suspended providers and empty ledgers are skipped
+     * @return settled Total USDC sent
+     */
+    function settleProviders(address[] calldata providerList)
+        external
+        onlyRole(SETTLEMENT_ROLE)
+        nonReentrant
+        returns (uint256 settled)
+    {
+        for (uint256 i = 0; i < providerList.length; i++) {
+            address provider = providerList[i];
+            _requireRegisteredProvider(provider);
+            
+            uint256 amount = providerPayable[provider];
+            if (!providers[provider].active || amount == 0) continue;
+            
+            providerPayable[provider] = 0;
+            providerSettled[provider] += amount;
+            totalProviderPayable -= amount;
+            settled += amount;
+            
+            uint256 settlementId = nextSettlementId++;
+            providerSettlements[settlementId] = ProviderSettlement({
+                provider: provider,
+                amount: amount,
+                timestamp: block.timestamp,
+                acknowledged: false
+            });
+            
+            usdc.safeTransfer(provider, amount);
+            
+            emit ProviderSettled(settlementId, provider, amount);
+        }
+    }
+    
+    /**
+     * @notice Confirm receipt of a settlement, as the provider it paid
+     */
+    function acknowledgeSettlement(uint256 settlementId) external {
+        ProviderSettlement storage settlement = providerSettlements[settlementId];
+        require(settlement.provider == msg.sender, "Not provider");
+        require(!settlement.acknowledged, "Already acknowledged");
+        
+        settlement.acknowledged = true;
+        
+        emit ProviderSettlementAcknowledged(settlementId, msg.sender);
+    }
+    
+    /**
+     * @notice Take a submitted or appealed claim under review
+     */
+    function startClaimReview(uint256 claimId) external onlyRole(ORACLE_ROLE) {
+        HealthcareClaim storage claim = _existingClaim(claimId);
+        require(
+            claim.status == ClaimStatus.Submitted || claim.status == ClaimStatus.Appealed,
+            "Claim not awaiting review"
+        );
+        
+        _setClaimStatus(claimId, ClaimStatus.UnderReview);
+    }
+    
+    /**
+     * @notice Approve a claim under review and queue it for payout
+     * @param attestation Hash of the documents the oracle verified; must match the claim's
+     *        `verificationHash`
+     */
+    function approveClaim(uint256 claimId, bytes32 attestation) external onlyRole(ORACLE_ROLE) nonReentrant {
+        HealthcareClaim storage claim = _existingClaim(claimId);
+        require(claim.status == ClaimStatus.UnderReview, "Claim not under review");
+        require(attestation == claim.verificationHash, "Attestation mismatch");
+        
+        claim.decidedAt = block.timestamp;
+        _setClaimStatus(claimId, ClaimStatus.Approved);
+        
+        ClaimQueue.insert(pendingClaimIds, claims, claimId);
+        
         // Process claims if funds available
         _processClaimsQueue();
+    }
+    
+    /**
+     * @notice Reject a claim under review, opening its appeal window
+     */
+    function rejectClaim(uint256 claimId, RejectionReason reason) external onlyRole(ORACLE_ROLE) {
+        HealthcareClaim storage claim = _existingClaim(claimId);
+        require(claim.status == ClaimStatus.UnderReview, "Claim not under review");
+        require(reason != RejectionReason.None, "Invalid reason");
         
-        return claimId;
+        claim.rejectionReason = reason;
+        claim.decidedAt = block.timestamp;
+        _setClaimStatus(claimId, ClaimStatus.Rejected);
+        
+        emit ClaimRejected(claimId, reason);
+    }
+    
+    /**
+     * @notice Appeal a rejected claim within APPEAL_WINDOW of the rejection
+     * @dev Each claim can be appealed once; a second rejection is final
+     */
+    function appealClaim(uint256 claimId) external {
+        HealthcareClaim storage claim = _existingClaim(claimId);
+        require(claim.claimant == msg.sender, "Not claimant");
+        require(claim.status == ClaimStatus.Rejected, "Claim not rejected");
+        require(!claim.appealed, "Already appealed");
+        require(block.timestamp <= claim.decidedAt + APPEAL_WINDOW, "Appeal window closed");
+        
+        claim.appealed = true;
+        _setClaimStatus(claimId, ClaimStatus.Appealed);
+        
+        emit ClaimAppealed(claimId, msg.sender);
+    }
+    
+    /**
+     * @notice Full record of a claim, including its status and rejection reason
+     */
+    function getClaim(uint256 claimId) external view returns (HealthcareClaim memory) {
+        return _existingClaim(claimId);
+    }
+    
+    /**
+     * @notice Ids of every claim a claimant has submitted, oldest first
+     */
+    function getClaimsByClaimant(address claimant) external view returns (uint256[] memory) {
+        return claimantClaims[claimant];
     }
     
     /**
      * @notice Process pending healthcare claims
-     * @dev Processes claims in priority order until funds exhausted
+     * @dev Pays up to `maxInstallments` installments in priority order until reserves reach
+     *      the solvency floor
      */
-    function processHealthcareClaims(uint256 maxClaims) 
+    function processHealthcareClaims(uint256 maxInstallments) 
         external 
         onlyRole(SETTLEMENT_ROLE) 
     {
-        uint256 processed = 0;
-        
-        while (processed < maxClaims && pendingClaimIds.length > 0 && _hasSufficientReserves()) {
-            uint256 claimId = _getHighestPriorityClaim();
-            HealthcareClaim storage claim = claims[claimId];
-            
-            if (!claim.processed && usdcBalance >= claim.amount) {
-                // Process the claim
-                claim.processed = true;
-                usdcBalance -= claim.amount;
-                
-                // Track spending
-                _updateHealthcareSpending(claim.amount);
-                
-                // Transfer USDC to claimant
-                usdc.safeTransfer(claim.claimant, claim.amount);
-                
-                emit HealthcareClaimProcessed(claimId, claim.amount);
-                processed++;
-            }
-            
-            // Remove from queue
-            _removeFromPriorityQueue(claimId);
-        }
+        _settleClaims(maxInstallments);
         
         // Check solvency after processing
         _checkSolvency();
     }
     
+    /**
+     * @notice USDC that can go to claims now without breaking triple coverage
+     */
+    function availableForClaims() public view returns (uint256) {
+        uint256 fixedCoverage = (totalDeposits * HEALTHCARE_RESERVE_RATIO) / 100;
+        uint256 annualCoverage = (annualRevenue * ANNUAL_REVENUE_RATIO) / 100;
+        if (annualCoverage > fixedCoverage) fixedCoverage = annualCoverage;
+        
+        uint256 monthlyCoverage = monthlyHealthcareSpending * MONTHLY_COVERAGE_MONTHS;
+        if (usdcBalance <= fixedCoverage || usdcBalance <= monthlyCoverage) return 0;
+        
+        // Every dollar paid also adds MONTHLY_COVERAGE_MONTHS dollars to the monthly coverage
+        uint256 available = usdcBalance - fixedCoverage;
+        uint256 monthlyLimit = (usdcBalance - monthlyCoverage) / (MONTHLY_COVERAGE_MONTHS + 1);
+        
+        return available < monthlyLimit ? available : monthlyLimit;
+    }
+    
     /**
      * @notice Distribute tokens as activity rewards
      * @dev Called by verification engine after activity validation
@@ -211,14 +508,175 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
         emit TokensDistributed(species, recipient, amount);
     }
     
+    /**
+     * @notice Credit verified activity to a user for the current redistribution epoch
+     * @dev Called by the VerificationEngine with the reward and the energy of each verified
+     *      proof; both also feed the metabolic price
+     */
+    function recordActivity(address user, uint256 points, uint256 energyExpended)
+        external
+        onlyRole(ACTIVITY_ROLE)
+    {
+        energyWindow.add(energyExpended, block.timestamp);
+        if (points == 0) return;
+        
+        activityWindow.add(points, block.timestamp);
+        
+        uint256 epoch = currentRedistributionEpoch();
+        userEpochActivity[epoch][user] += points;
+        epochActivity[epoch] += points;
+        
+        emit ActivityRecorded(epoch, user, points);
+    }
+    
+    /**
+     * @notice Set aside each species' share of the token chamber for an ended epoch
+     * @dev Epochs without recorded activity allocate nothing and leave the chamber untouched
+     */
+    function finalizeRedistribution(uint256 epoch) external onlyRole(ORACLE_ROLE) {
+        require(epoch < currentRedistributionEpoch(), "Epoch not ended");
+        require(!epochFinalized[epoch], "Already finalized");
+        
+        epochFinalized[epoch] = true;
+        
+        uint256 totalActivity = epochActivity[epoch];
+        if (totalActivity == 0) return;
+        
+        uint8 speciesCount = autophageToken.speciesCount();
+        for (uint8 species = 0; species < speciesCount; species++) {
+            TokenBalance storage chamber = tokenChamber[species];
+            uint256 amount = (chamber.current * redistributionSplits[species]) / BPS;
+            if (amount == 0) continue;
+            
+            chamber.current -= amount;
+            chamber.distributed += amount;
+            epochAllocations[epoch][species] = amount;
+            
+            emit RedistributionAllocated(epoch, species, amount, totalActivity);
+        }
+    }
+    
+    /**
+     * @notice Mint the caller's share of a finalized epoch's allocations for the given species
+     * @dev Each species is claimed on its own, so a species whose mint cap or emission budget
+     *      is exhausted can be left out and claimed later within the claim window
+     * @return amounts Amount minted per entry of `species`
+     */
+    function claimRedistribution(uint256 epoch, uint8[] calldata species)
+        external
+        nonReentrant
+        returns (uint256[] memory amounts)
+    {
+        _requireEpochFinalized(epoch);
+        require(block.timestamp < redistributionDeadline(epoch), "Claim window closed");
+        require(userEpochActivity[epoch][msg.sender] > 0, "No activity");
+        
+        amounts = new uint256[](species.length);
+        for (uint256 i = 0; i < species.length; i++) {
+            uint8 s = species[i];
+            require(!redistributionClaimed[epoch][msg.sender][s], "Already claimed");
+            
+            redistributionClaimed[epoch][msg.sender][s] = true;
+            amounts[i] = _redistributionShare(epoch, msg.sender, s);
+            if (amounts[i] == 0) continue;
+            
+            epochClaimed[epoch][s] += amounts[i];
+            autophageToken.mint(msg.sender, s, amounts[i]);
+            emit RedistributionClaimed(epoch, msg.sender, s, amounts[i]);
+        }
+    }
+    
+    /**
+     * @notice Return what was not claimed from an epoch's allocations to the token chamber
+     * @dev Permissionless once the claim window has closed. Includes the rounding left over
+     *      from splitting each allocation by activity. Each allocation is cut down to what was
+     *      claimed, so sweeping again returns nothing.
+     */
+    function sweepRedistribution(uint256 epoch) external {
+        _requireEpochFinalized(epoch);
+        require(block.timestamp >= redistributionDeadline(epoch), "Claim window open");
+        
+        uint8 speciesCount = autophageToken.speciesCount();
+        for (uint8 species = 0; species < speciesCount; species++) {
+            uint256 unclaimed = epochAllocations[epoch][species] - epochClaimed[epoch][species];
+            if (unclaimed == 0) continue;
+            
+            epochAllocations[epoch][species] -= unclaimed;
+            TokenBalance storage chamber = tokenChamber[species];
+            chamber.distributed -= unclaimed;
+            chamber.current += unclaimed;
+            
+            emit RedistributionSwept(epoch, species, unclaimed);
+        }
+    }
+    
+    /**
+     * @notice Amounts per species a user can still claim from an epoch
+     */
+    function claimableRedistribution(uint256 epoch, address user) external view returns (uint256[] memory amounts) {
+        amounts = new uint256[](autophageToken.speciesCount());
+        if (!epochFinalized[epoch] || block.timestamp >= redistributionDeadline(epoch)) return amounts;
+        
+        for (uint8 species = 0; species < amounts.length; species++) {
+            if (!redistributionClaimed[epoch][user][species]) {
+                amounts[species] = _redistributionShare(epoch, user, species);
+            }
+        }
+    }
+    
+    function currentRedistributionEpoch() public view returns (uint256) {
+        return block.timestamp / REDISTRIBUTION_EPOCH;
+    }
+    
+    /**
+     * @notice End of the window for claiming an epoch's redistribution
+     */
+    function redistributionDeadline(uint256 epoch) public pure returns (uint256) {
+        return (epoch + 1) * REDISTRIBUTION_EPOCH + REDISTRIBUTION_CLAIM_WINDOW;
+    }
+    
+    /**
+     * @notice Take custody of a verification app's USDC stake
+     * @dev Called by the VerificationEngine when an app registers; the app approves the
+     *      Reservoir for the stake beforehand
+     */
+    function receiveStake(address from, uint256 amount) external nonReentrant {
+        _requireVerificationEngine();
+        _pullUSDC(from, amount);
+        appStakes[from] += amount;
+        totalStaked += amount;
+        
+        emit StakeReceived(from, amount);
+    }
+    
+    /**
+     * @notice Move part of an app's stake into the healthcare chamber
+     * @dev Called by the VerificationEngine when it slashes an app
+     */
+    function slashStake(address app, uint256 amount) external {
+        _debitStake(app, amount);
+        usdcBalance += amount;
+        
+        emit StakeSlashed(app, amount);
+    }
+    
+    /**
+     * @notice Return part or all of an app's stake to the app
+     * @dev Called by the VerificationEngine when an app deregisters
+     */
+    function releaseStake(address app, uint256 amount) external nonReentrant {
+        _debitStake(app, amount);
+        usdc.safeTransfer(app, amount);
+        
+        emit StakeReleased(app, amount);
+    }
+    
     /**
      * @notice Deposit USDC for healthcare settlements
      * @dev Marketplace fees and other revenue streams deposit here
      */
     function depositUSDC(uint256 amount) external nonReentrant {
-        require(amount > 0, "Invalid amount");
-        
-        usdc.safeTransferFrom(msg.sender, address(this), amount);
+        _pullUSDC(msg.sender, amount);
         usdcBalance += amount;
         totalDeposits += amount;
         
@@ -230,27 +688,76 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
     
     /**
      * @notice Calculate metabolic price based on system activity
-     * @dev Implements endogenous pricing from litepaper Section 5
+     * @dev Implements endogenous pricing from litepaper Section 5. Returns USD per token
+     *      scaled by PRECISION, or zero while there has been no transfer volume.
      */
-    function calculateMetabolicPrice() external view returns (uint256) {
-        uint256 totalEnergy = _calculateTotalHealthEnergy();
-        uint256 marketVolume = _get30DayMarketVolume();
-        uint256 activeSupply = _getActiveTokenSupply();
-        uint256 velocity = _calculateTokenVelocity();
-        uint256 catalystRatio = _getCatalystRatio();
+    function calculateMetabolicPrice() public view returns (uint256) {
+        (
+            uint256 totalEnergy,
+            uint256 marketVolume,
+            uint256 activeSupply,
+            uint256 velocity,
+            uint256 catalystRatio,
+            uint256 activityMultiplier
+        ) = getMetabolicInputs();
         
         // Price formula from litepaper
         uint256 energyComponent = (totalEnergy * (PRECISION + 2 * catalystRatio)) / PRECISION;
         uint256 marketComponent = (marketVolume * (PRECISION - catalystRatio)) / PRECISION;
         
         uint256 numerator = energyComponent + marketComponent;
-        uint256 denominator = activeSupply * velocity * (PRECISION + _getActivityMultiplier()) / PRECISION;
+        uint256 denominator = (activeSupply * velocity / PRECISION) * (PRECISION + activityMultiplier) / PRECISION;
+        if (denominator == 0) return 0;
         
         uint256 price = (numerator * PRECISION) / denominator;
         
         return price;
     }
     
+    /**
+     * @notice Sample token transfer volume into its rolling window and publish the price
+     * @dev Permissionless; the keeper calls it after every sweep. Volume since the previous
+     *      sample is counted on the day of this one, and the first call only sets the baseline.
+     */
+    function updateMetabolicPrice() external returns (uint256 price) {
+        uint256 cumulative = _cumulativeTransferVolume();
+        if (lastMetabolicPriceUpdate != 0) {
+            volumeWindow.add(cumulative - lastTransferVolume, block.timestamp);
+        }
+        lastTransferVolume = cumulative;
+        
+        price = calculateMetabolicPrice();
+        metabolicPrice = price;
+        lastMetabolicPriceUpdate = block.timestamp;
+        
+        emit MetabolicPriceUpdate(price);
+    }
+    
+    /**
+     * @notice Inputs of the metabolic price, each scaled by PRECISION
+     * @return totalEnergy USD value of the energy verified over the last 30 days
+     * @return marketVolume Tokens transferred over the last 30 days
+     * @return activeSupply Circulating supply across species
+     * @return velocity Average daily transfer volume over active supply
+     * @return catalystRatio Catalyst share of active supply
+     * @return activityMultiplier Verified rewards over the last 30 days over active supply, capped at 1
+     */
+    function getMetabolicInputs() public view returns (
+        uint256 totalEnergy,
+        uint256 marketVolume,
+        uint256 activeSupply,
+        uint256 velocity,
+        uint256 catalystRatio,
+        uint256 activityMultiplier
+    ) {
+        totalEnergy = _calculateTotalHealthEnergy();
+        marketVolume = _get30DayMarketVolume();
+        activeSupply = _getActiveTokenSupply();
+        velocity = _calculateTokenVelocity(marketVolume, activeSupply);
+        catalystRatio = _getCatalystRatio(activeSupply);
+        activityMultiplier = _getActivityMultiplier(activeSupply);
+    }
+    
     /**
      * @notice Get reservoir statistics
      * @dev Returns comprehensive state for monitoring
@@ -279,80 +786,51 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
     
     // Internal functions
     
-    function _insertIntoPriorityQueue(uint256 claimId) internal {
-        pendingClaimIds.push(claimId);
-        
-        // Bubble up based on priority
-        uint256 index = pendingClaimIds.length - 1;
-        while (index > 0) {
-            uint256 parentIndex = (index - 1) / 2;
-            if (_getClaimPriority(pendingClaimIds[index]) > _getClaimPriority(pendingClaimIds[parentIndex])) {
-                (pendingClaimIds[index], pendingClaimIds[parentIndex]) = 
-                    (pendingClaimIds[parentIndex], pendingClaimIds[index]);
-                index = parentIndex;
-            } else {
-                break;
-            }
-        }
+    function _requireVerificationEngine() internal view {
+        require(msg.sender == verificationEngine, "Only verification engine");
     }
     
-    function _getHighestPriorityClaim() internal view returns (uint256) {
-        require(pendingClaimIds.length > 0, "No pending claims");
-        return pendingClaimIds[0];
+    function _debitStake(address app, uint256 amount) internal {
+        _requireVerificationEngine();
+        require(appStakes[app] >= amount, "Insufficient stake");
+        
+        appStakes[app] -= amount;
+        totalStaked -= amount;
     }
     
-    function _removeFromPriorityQueue(uint256 claimId) internal {
-        // Find and remove the claim
-        for (uint256 i = 0; i < pendingClaimIds.length; i++) {
-            if (pendingClaimIds[i] == claimId) {
-                pendingClaimIds[i] = pendingClaimIds[pendingClaimIds.length - 1];
-                pendingClaimIds.pop();
-                
-                // Re-heapify if needed
-                if (i < pendingClaimIds.length) {
-                    _heapifyDown(i);
-                }
-                break;
-            }
-        }
+    function _pullUSDC(address from, uint256 amount) internal {
+        require(amount > 0, "Invalid amount");
+        usdc.safeTransferFrom(from, address(this), amount);
     }
     
-    function _heapifyDown(uint256 index) internal {
-        uint256 length = pendingClaimIds.length;
-        while (true) {
-            uint256 leftChild = 2 * index + 1;
-            uint256 rightChild = 2 * index + 2;
-            uint256 largest = index;
-            
-            if (leftChild < length && 
-                _getClaimPriority(pendingClaimIds[leftChild]) > _getClaimPriority(pendingClaimIds[largest])) {
-                largest = leftChild;
-            }
-            
-            if (rightChild < length && 
-                _getClaimPriority(pendingClaimIds[rightChild]) > _getClaimPriority(pendingClaimIds[largest])) {
-                largest = rightChild;
-            }
-            
-            if (largest != index) {
-                (pendingClaimIds[index], pendingClaimIds[largest]) = 
-                    (pendingClaimIds[largest], pendingClaimIds[index]);
-                index = largest;
-            } else {
-                break;
-            }
-        }
+    function _requireRegisteredProvider(address provider) internal view {
+        require(providers[provider].registeredAt != 0, "Unregistered provider");
     }
     
-    function _getClaimPriority(uint256 claimId) internal view returns (uint256) {
-        HealthcareClaim memory claim = claims[claimId];
-        
-        // Priority formula: urgency * 0.7 + duration * 0.2 + verification * 0.1
-        uint256 urgencyComponent = claim.urgencyScore * 70;
-        uint256 durationComponent = ((block.timestamp - claim.timestamp) / 3600) * 2; // Hours waiting
-        uint256 verificationComponent = claim.verificationHash != bytes32(0) ? 10 : 0;
+    function _requireEpochFinalized(uint256 epoch) internal view {
+        require(epochFinalized[epoch], "Epoch not finalized");
+    }
+    
+    function _redistributionShare(uint256 epoch, address user, uint8 species) internal view returns (uint256) {
+        uint256 totalActivity = epochActivity[epoch];
+        if (totalActivity == 0) return 0;
         
-        return urgencyComponent + durationComponent + verificationComponent;
+        return (epochAllocations[epoch][species] * userEpochActivity[epoch][user]) / totalActivity;
+    }
+    
+    function _existingClaim(uint256 claimId) internal view returns (HealthcareClaim storage) {
+        require(claimId < nextClaimId, "Unknown claim");
+        return claims[claimId];
+    }
+    
+    function _setClaimStatus(uint256 claimId, ClaimStatus status) internal {
+        claims[claimId].status = status;
+        emit ClaimStatusChanged(claimId, status);
+    }
+    
+    function _getHighestPriorityClaim() internal view returns (uint256) {
+        require(pendingClaimIds.length > 0, "No pending claims");
+        return pendingClaimIds[0];
     }
     
     function _updateHealthcareSpending(uint256 amount) internal {
@@ -398,61 +876,104 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
         return required;
     }
     
-    function _hasSufficientReserves() internal view returns (bool) {
-        // Must maintain minimum reserves after processing claims
-        return usdcBalance > _getRequiredReserves();
+    function _processClaimsQueue() internal {
+        // Pay up to 10 installments automatically
+        _settleClaims(10);
     }
     
-    function _processClaimsQueue() internal {
-        // Process up to 10 claims automatically
-        uint256 processed = 0;
-        while (processed < 10 && pendingClaimIds.length > 0 && _hasSufficientReserves()) {
+    /**
+     * @dev Pays the highest priority claim what reserves allow above the solvency floor. A claim
+     *      paid in part keeps its place at the head of the queue (priorities age at the same
+     *      rate) and receives the next installment once reserves grow.
+     */
+    function _settleClaims(uint256 maxInstallments) internal {
+        uint256 installments = 0;
+        while (installments < maxInstallments && pendingClaimIds.length > 0) {
+            uint256 available = availableForClaims();
+            if (available == 0) break;
+            
             uint256 claimId = _getHighestPriorityClaim();
             HealthcareClaim storage claim = claims[claimId];
             
-            if (!claim.processed && usdcBalance >= claim.amount + _getRequiredReserves()) {
+            uint256 remaining = claim.amount - claim.amountPaid;
+            uint256 payment = remaining < available ? remaining : available;
+            remaining -= payment;
+            
+            claim.amountPaid += payment;
+            claim.installmentsPaid++;
+            claim.lastInstallmentAt = block.timestamp;
+            usdcBalance -= payment;
+            _updateHealthcareSpending(payment);
+            
+            if (remaining == 0) {
                 claim.processed = true;
-                usdcBalance -= claim.amount;
-                _updateHealthcareSpending(claim.amount);
-                usdc.safeTransfer(claim.claimant, claim.amount);
-                emit HealthcareClaimProcessed(claimId, claim.amount);
-                processed++;
+                _setClaimStatus(claimId, ClaimStatus.Paid);
+                ClaimQueue.remove(pendingClaimIds, claims, claimId);
+            } else if (claim.status != ClaimStatus.PartiallyPaid) {
+                _setClaimStatus(claimId, ClaimStatus.PartiallyPaid);
+            }
+            
+            address payee = claimPayee[claimId];
+            if (payee == address(0)) {
+                usdc.safeTransfer(claim.claimant, payment);
+            } else {
+                providerPayable[payee] += payment;
+                totalProviderPayable += payment;
+                emit ProviderPayableAccrued(payee, claimId, payment);
             }
             
-            _removeFromPriorityQueue(claimId);
+            emit ClaimInstallmentPaid(claimId, claim.installmentsPaid, payment, remaining);
+            if (remaining == 0) {
+                emit HealthcareClaimProcessed(claimId, claim.amount);
+            }
+            installments++;
         }
     }
     
-    // Placeholder functions for price calculation (would connect to oracles)
+    // Metabolic price inputs
     
     function _calculateTotalHealthEnergy() internal view returns (uint256) {
-        // Placeholder: would aggregate from activity oracles
-        return 500000 * 2; // 500k kcal * $0.002
+        return energyWindow.total(block.timestamp) * KCAL_VALUE;
+    }
+    
+    function _get30DayMarketVolume() internal view returns (uint256 volume) {
+        volume = volumeWindow.total(block.timestamp);
+        
+        // Include transfers since the last sample, which will land in today's bucket
+        if (lastMetabolicPriceUpdate != 0) {
+            volume += _cumulativeTransferVolume() - lastTransferVolume;
+        }
     }
     
-    function _get30DayMarketVolume() internal view returns (uint256) {
-        // Placeholder: would track actual marketplace volume
-        return 150000 * PRECISION;
+    function _getActiveTokenSupply() internal view returns (uint256 supply) {
+        uint8 speciesCount = autophageToken.speciesCount();
+        for (uint8 species = 0; species < speciesCount; species++) {
+            supply += autophageToken.circulatingSupply(species);
+        }
     }
     
-    function _getActiveTokenSupply() internal view returns (uint256) {
-        // Placeholder: would calculate from token contract
-        return 10000000 * PRECISION;
+    function _calculateTokenVelocity(uint256 marketVolume, uint256 activeSupply) internal pure returns (uint256) {
+        if (activeSupply == 0) return 0;
+        return marketVolume * PRECISION / (RollingWindow.WINDOW_DAYS * activeSupply);
     }
     
-    function _calculateTokenVelocity() internal view returns (uint256) {
-        // Placeholder: would track actual velocity
-        return 15 * PRECISION / 30; // 15x monthly
+    function _getCatalystRatio(uint256 activeSupply) internal view returns (uint256) {
+        if (activeSupply == 0) return 0;
+        return autophageToken.circulatingSupply(CATALYST) * PRECISION / activeSupply;
     }
     
-    function _getCatalystRatio() internal view returns (uint256) {
-        // Placeholder: would calculate actual ratio
-        return 230000000000000000; // 0.23
+    function _getActivityMultiplier(uint256 activeSupply) internal view returns (uint256) {
+        if (activeSupply == 0) return 0;
+        
+        uint256 multiplier = activityWindow.total(block.timestamp) * PRECISION / activeSupply;
+        return multiplier > PRECISION ? PRECISION : multiplier;
     }
     
-    function _getActivityMultiplier() internal view returns (uint256) {
-        // Placeholder: would calculate from system activity
-        return 400000000000000000; // 0.4
+    function _cumulativeTransferVolume() internal view returns (uint256 volume) {
+        uint8 speciesCount = autophageToken.speciesCount();
+        for (uint8 species = 0; species < speciesCount; species++) {
+            volume += autophageToken.transferVolume(species);
+        }
     }
     
     // Admin functions
@@ -461,12 +982,46 @@ contract ReservoirContract is AccessControl, ReentrancyGuard {
         annualRevenue = _revenue;
     }
     
+    /**
+     * @notice Set the VerificationEngine allowed to take and slash app stakes
+     */
+    function setVerificationEngine(address newEngine) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newEngine != address(0), "Invalid verification engine");
+        
+        address oldEngine = verificationEngine;
+        verificationEngine = newEngine;
+        
+        emit VerificationEngineUpdated(oldEngine, newEngine);
+    }
+    
+    /**
+     * @notice Set the share of a species' token chamber redistributed each epoch
+     * @dev Zero (the default) keeps all of the species' collected decay in the chamber
+     */
+    function setRedistributionSplit(uint8 species, uint256 splitBps) external onlyRole(TREASURY_ROLE) {
+        require(species < autophageToken.speciesCount(), "Invalid species");
+        require(splitBps <= BPS, "Invalid split");
+        
+        redistributionSplits[species] = splitBps;
+        emit RedistributionSplitUpdated(species, splitBps);
+    }
+    
+    /**
+     * @notice Withdraw tokens held by the Reservoir
+     * @dev USDC withdrawals come out of the healthcare chamber and may not dip into the
+     *      required reserves, app stakes or USDC owed to providers
+     */
     function emergencyWithdraw(address token, uint256 amount) 
         external 
         onlyRole(DEFAULT_ADMIN_ROLE) 
     {
-        require(token != address(usdc) || usdcBalance - amount >= _getRequiredReserves(), 
-                "Would break solvency");
+        if (token == address(usdc)) {
+            uint256 required = _getRequiredReserves();
+            require(amount + required <= usdcBalance &&
+                    amount + required + totalStaked + totalProviderPayable <= usdc.balanceOf(address(this)), 
+                    "Would break solvency");
+            usdcBalance -= amount;
+        }
         IERC20(token).safeTransfer(msg.sender, amount);
     }
 }
\ No newline at end of file
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./interfaces/IAutophageToken.sol";
+import "./libraries/DecayMath.sol";
+
+/**
+ * @title RewardDistributor
+ * @notice Epoch-based Merkle distributor for bulk activity rewards
+ * @dev Instead of minting per proof through VerificationEngine, the oracle posts one root per
+ *      epoch over `(address, species, amount)` leaves and holders claim with a proof. Claims
+ *      mint through AutophageToken, so the distributor needs MINTER_ROLE and, with SupplyGuard
+ *      registered, a minter cap for each species it pays out.
+ *
+ * Leaves are `keccak256(bytes.concat(keccak256(abi.encode(account, species, amount))))`, the
+ * format built by scripts/merkle.js.
+ *
+ * Decay start (fixed per epoch when the root is posted):
+ * - Claim time: the full amount is minted and starts decaying when it is claimed
+ * - Epoch time: the amount is decayed at the species' base rate from the epoch timestamp to
+ *   the claim, so holders gain nothing by leaving rewards unclaimed
+ */
+contract RewardDistributor is AccessControl, ReentrancyGuard, Pausable {
+    // Roles
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+    
+    struct Epoch {
+        bytes32 merkleRoot;
+        uint64 timestamp;      // End of the activity period the rewards were earned in
+        bool decayFromEpoch;   // Decay starts at `timestamp` instead of at the claim
+    }
+    
+    // State variables
+    IAutophageToken public immutable autophageToken;
+    
+    Epoch[] public epochs;
+    mapping(uint256 => mapping(address => mapping(uint8 => bool))) public claimed;
+    
+    // Applied to epochs posted from now on
+    bool public decayFromEpoch;
+    
+    // Events
+    event EpochPosted(uint256 indexed epochId, bytes32 merkleRoot, uint256 timestamp, bool decayFromEpoch);
+    event RewardClaimed(
+        uint256 indexed epochId,
+        address indexed account,
+        uint8 indexed species,
+        uint256 amount,
+        uint256 minted
+    );
+    event DecayStartUpdated(bool decayFromEpoch);
+    
+    constructor(address _token) {
+        require(_token != address(0), "Invalid token");
+        autophageToken = IAutophageToken(_token);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ORACLE_ROLE, msg.sender);
+        _grantRole(GOVERNANCE_ROLE, msg.sender);
+    }
+    
+    /**
+     * @notice Publish the reward root for an epoch
+     * @param merkleRoot Root over `(address, species, amount)` leaves
+     * @param timestamp End of the activity period, where epoch-time decay starts
+     * @return epochId Id to claim the epoch's rewards with
+     */
+    function postEpoch(bytes32 merkleRoot, uint64 timestamp)
+        external
+        onlyRole(ORACLE_ROLE)
+        returns (uint256 epochId)
+    {
+        require(merkleRoot != bytes32(0), "Invalid root");
+        require(timestamp <= block.timestamp, "Future epoch");
+        
+        epochId = epochs.length;
+        epochs.push(Epoch({
+            merkleRoot: merkleRoot,
+            timestamp: timestamp,
+            decayFromEpoch: decayFromEpoch
+        }));
+        
+        emit EpochPosted(epochId, merkleRoot, timestamp, decayFromEpoch);
+    }
+    
+    /**
+     * @notice Claim an epoch reward for `account`
+     * @dev Anyone may submit the claim; the tokens always go to `account`
+     * @return minted Amount minted after any epoch-time decay
+     */
+    function claim(
+        uint256 epochId,
+        address account,
+        uint8 species,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotPaused returns (uint256 minted) {
+        require(epochId < epochs.length, "Unknown epoch");
+        require(!claimed[epochId][account][species], "Already claimed");
+        
+        Epoch memory epoch = epochs[epochId];
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, species, amount))));
+        require(MerkleProof.verifyCalldata(proof, epoch.merkleRoot, leaf), "Invalid proof");
+        
+        claimed[epochId][account][species] = true;
+        
+        minted = _claimableAmount(epoch, species, amount);
+        if (minted > 0) {
+            autophageToken.mint(account, species, minted);
+        }
+        
+        emit RewardClaimed(epochId, account, species, amount, minted);
+    }
+    
+    /**
+     * @notice Amount a claim would mint now
+     * @dev Does not check the proof or whether the reward was already claimed
+     */
+    function previewClaim(uint256 epochId, uint8 species, uint256 amount) external view returns (uint256) {
+        require(epochId < epochs.length, "Unknown epoch");
+        return _claimableAmount(epochs[epochId], species, amount);
+    }
+    
+    function epochCount() external view returns (uint256) {
+        return epochs.length;
+    }
+    
+    // Governance functions
+    
+    /**
+     * @notice Choose where decay starts for epochs posted from now on
+     * @dev Epochs already posted keep the setting they were posted with
+     */
+    function setDecayFromEpoch(bool enabled) external onlyRole(GOVERNANCE_ROLE) {
+        decayFromEpoch = enabled;
+        emit DecayStartUpdated(enabled);
+    }
+    
+    // Internal functions
+    
+    function _claimableAmount(Epoch memory epoch, uint8 species, uint256 amount)
+        internal
+        view
+        returns (uint256)
+    {
+        if (!epoch.decayFromEpoch) return amount;
+        
+        return DecayMath.decay(
+            autophageToken.continuousDecay(species),
+            amount,
+            autophageToken.decayRates(species),
+            block.timestamp - epoch.timestamp
+        );
+    }
+    
+    // Emergency functions
+    
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+    
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IAutophageToken.sol";
+import "./interfaces/ISpeciesRegistry.sol";
+
+/**
+ * @title SpeciesRegistry
+ * @notice On-chain name, symbol, decimals and description for every AutophageToken species
+ * @dev Decay rate and mode are read live from the token, so the registry never goes stale.
+ *      New species are added here by governance: the registry calls AutophageToken.addSpecies
+ *      (requires REGISTRAR_ROLE) and stores the metadata under the id the token assigns.
+ *      Clients (web app, scripts, the ERC-1155 adapter) read species config from this contract.
+ *
+ *      The metadata is kept here rather than in AutophageToken because the token is at the 24 KB
+ *      bytecode limit. For the same reason token events carry the species id, not its symbol:
+ *      SpeciesRegistered and SpeciesMetadataUpdated record the symbol of every id, and indexers
+ *      join token events to them by id.
+ */
+contract SpeciesRegistry is AccessControl, ISpeciesRegistry {
+    // Constants
+    uint8 private constant MAX_DECIMALS = 18;
+    uint256 private constant MAX_SYMBOL_LENGTH = 8;
+    
+    // Roles
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+    
+    // Descriptive metadata; decay parameters live in the token
+    struct SpeciesMetadata {
+        string name;
+        string symbol;
+        uint8 decimals;
+        string description;
+    }
+    
+    // State variables
+    IAutophageToken public immutable autophageToken;
+    
+    mapping(uint8 => SpeciesMetadata) private metadata;
+    mapping(bytes32 => uint8) private symbolIds; // keccak256(symbol) => species id + 1
+    
+    // Events
+    event SpeciesRegistered(
+        uint8 indexed species,
+        string symbol,
+        string name,
+        uint256 decayRate,
+        bool continuous
+    );
+    event SpeciesMetadataUpdated(uint8 indexed species, string symbol, string name, string description);
+    
+    constructor(address _token) {
+        require(_token != address(0), "Invalid token");
+        autophageToken = IAutophageToken(_token);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(GOVERNANCE_ROLE, msg.sender);
+        
+        // Genesis species from the POTP specification
+        _registerGenesis(0, "Rhythm", "RHY", "Exercise and medication adherence");
+        _registerGenesis(1, "Healing", "HLN", "Therapy and recovery");
+        _registerGenesis(2, "Foundation", "FDN", "Preventive care");
+        _registerGenesis(3, "Catalyst", "CTL", "Marketplace and social activity");
+    }
+    
+    /**
+     * @notice Number of species registered in the token
+     */
+    function speciesCount() public view override returns (uint8) {
+        return autophageToken.speciesCount();
+    }
+    
+    /**
+     * @notice Metadata and live decay parameters of a species
+     */
+    function getSpecies(uint8 species) public view override returns (SpeciesInfo memory info) {
+        require(species < speciesCount(), "Invalid species");
+        
+        SpeciesMetadata storage data = metadata[species];
+        info = SpeciesInfo({
+            id: species,
+            name: data.name,
+            symbol: data.symbol,
+            decimals: data.decimals,
+            description: data.description,
+            decayRate: autophageToken.decayRates(species),
+            continuous: autophageToken.continuousDecay(species)
+        });
+    }
+    
+    /**
+     * @notice Every species in id order
+     * @dev Convenience function for UI
+     */
+    function getAllSpecies() external view override returns (SpeciesInfo[] memory all) {
+        all = new SpeciesInfo[](speciesCount());
+        for (uint8 i = 0; i < all.length; i++) {
+            all[i] = getSpecies(i);
+        }
+    }
+    
+    /**
+     * @notice Look up a species id by its symbol
+     */
+    function speciesBySymbol(string calldata symbol) external view override returns (uint8) {
+        uint8 stored = symbolIds[keccak256(bytes(symbol))];
+        require(stored > 0, "Unknown symbol");
+        return stored - 1;
+    }
+    
+    // Governance functions
+    
+    /**
+     * @notice Add a new species to the token with its metadata
+     * @dev Requires REGISTRAR_ROLE on AutophageToken. The new species has no whale tiers and
+     *      needs SupplyGuard caps and budgets before it can be minted.
+     * @return species Id assigned by the token
+     */
+    function registerSpecies(
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals,
+        string calldata description,
+        uint256 decayRate,
+        bool continuous
+    ) external onlyRole(GOVERNANCE_ROLE) returns (uint8 species) {
+        species = autophageToken.addSpecies(decayRate, continuous);
+        _setMetadata(species, name, symbol, decimals, description);
+        
+        emit SpeciesRegistered(species, symbol, name, decayRate, continuous);
+    }
+    
+    /**
+     * @notice Correct the descriptive metadata of an existing species
+     */
+    function updateMetadata(
+        uint8 species,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals,
+        string calldata description
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        require(species < speciesCount(), "Invalid species");
+        
+        delete symbolIds[keccak256(bytes(metadata[species].symbol))];
+        _setMetadata(species, name, symbol, decimals, description);
+        
+        emit SpeciesMetadataUpdated(species, symbol, name, description);
+    }
+    
+    // Internal functions
+    
+    function _registerGenesis(uint8 species, string memory name, string memory symbol, string memory description)
+        internal
+    {
+        _setMetadata(species, name, symbol, MAX_DECIMALS, description);
+        emit SpeciesRegistered(
+            species,
+            symbol,
+            name,
+            autophageToken.decayRates(species),
+            autophageToken.continuousDecay(species)
+        );
+    }
+    
+    function _setMetadata(
+        uint8 species,
+        string memory name,
+        string memory symbol,
+        uint8 decimals,
+        string memory description
+    ) internal {
+        require(bytes(name).length > 0, "Name required");
+        require(bytes(symbol).length > 0 && bytes(symbol).length <= MAX_SYMBOL_LENGTH, "Invalid symbol");
+        require(decimals <= MAX_DECIMALS, "Invalid decimals");
+        
+        bytes32 symbolHash = keccak256(bytes(symbol));
+        require(symbolIds[symbolHash] == 0, "Symbol taken");
+        symbolIds[symbolHash] = species + 1;
+        
+        metadata[species] = SpeciesMetadata(name, symbol, decimals, description);
+    }
+}
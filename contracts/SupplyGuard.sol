@@ -0,0 +1,282 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/ISpeciesTransferGuard.sol";
+import "./interfaces/IAutophageToken.sol";
+
+/**
+ * @title SupplyGuard
+ * @notice Caps how much of each species can be minted per epoch and stops abnormal mint or
+ *         transfer volume with circuit breakers
+ * @dev Registered as AutophageToken's transfer guard, so every mint and transfer is checked
+ *      no matter which MINTER_ROLE holder or operator sends it.
+ *
+ * Limits (both reset every epoch):
+ * - Minter cap: maximum a single minter may mint of a species
+ * - Epoch budget: maximum minted of a species across all minters
+ *
+ * Both default to zero, so a minter can only mint once governance has given it a cap and
+ * the species a budget.
+ *
+ * Circuit breakers (disabled by default):
+ * - Reject any mint, or separately any transfer, that would take the amount minted or moved
+ *   in one block or one day past a fraction of the species' supply before the operation. The
+ *   crossing operation reverts, so an oversized mint never lands
+ * - Governance can trip a breaker to halt every mint and transfer of the species until it
+ *   resets it
+ * - Burns are never blocked
+ */
+contract SupplyGuard is AccessControl, ISpeciesTransferGuard {
+    // Constants
+    uint256 private constant BPS = 10000;
+    uint256 private constant SECONDS_PER_DAY = 86400;
+    
+    // Roles
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+    
+    // Circuit breaker configuration and state for one species (single storage slot)
+    struct CircuitBreaker {
+        uint16 blockLimitBps;  // Max minted or moved per block, in basis points of supply (0 = off)
+        uint16 dayLimitBps;    // Max minted or moved per day, in basis points of supply (0 = off)
+        uint128 minSupply;     // Breaker is inactive while supply is below this, e.g. at launch
+        bool tripped;          // Set and cleared by governance
+    }
+    
+    // Amounts minted and transferred within a block or a day
+    struct Flow {
+        uint128 minted;
+        uint128 moved;
+    }
+    
+    // State variables
+    address public immutable autophageToken;
+    uint256 public immutable epochDuration;
+    uint256 public immutable genesis;
+    
+    mapping(address => mapping(uint8 => uint256)) public minterCaps;
+    mapping(uint8 => uint256) public epochBudgets;
+    
+    // Minted amounts per epoch
+    mapping(uint256 => mapping(address => mapping(uint8 => uint256))) public mintedByMinter;
+    mapping(uint256 => mapping(uint8 => uint256)) public mintedInEpoch;
+    
+    mapping(uint8 => CircuitBreaker) public circuitBreakers;
+    mapping(uint256 => mapping(uint8 => Flow)) public blockFlows; // By block number
+    mapping(uint256 => mapping(uint8 => Flow)) public dailyFlows; // By day since the Unix epoch
+    
+    // Events
+    event MinterCapUpdated(address indexed minter, uint8 indexed species, uint256 cap);
+    event EpochBudgetUpdated(uint8 indexed species, uint256 budget);
+    event MintRecorded(uint256 indexed epoch, address indexed minter, uint8 indexed species, uint256 amount);
+    event CircuitBreakerUpdated(uint8 indexed species, uint256 blockLimitBps, uint256 dayLimitBps, uint256 minSupply);
+    event CircuitBreakerTripped(uint8 indexed species, address indexed by);
+    event CircuitBreakerReset(uint8 indexed species, address indexed by);
+    
+    constructor(address _token, uint256 _epochDuration) {
+        require(_token != address(0), "Invalid token");
+        require(_epochDuration >= 1 hours, "Epoch too short");
+        
+        autophageToken = _token;
+        epochDuration = _epochDuration;
+        genesis = block.timestamp;
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(GOVERNANCE_ROLE, msg.sender);
+    }
+    
+    /**
+     * @notice Check a mint or transfer against the species' limits and circuit breaker
+     * @dev Called by AutophageToken on every balance movement; burns pass unchecked
+     */
+    function checkSpeciesTransfer(
+        address operator,
+        address from,
+        address to,
+        uint8 species,
+        uint256 amount
+    ) external override {
+        require(msg.sender == autophageToken, "Only token contract");
+        if (to == address(0)) return;
+        
+        require(!circuitBreakers[species].tripped, "Circuit breaker tripped");
+        
+        if (from == address(0)) {
+            _recordMint(operator, species, amount);
+            _recordFlow(species, true, amount);
+        } else if (from != to) {
+            // Self-transfers move no value
+            _recordFlow(species, false, amount);
+        }
+    }
+    
+    /**
+     * @notice Index of the current epoch, starting at zero on deployment
+     */
+    function currentEpoch() public view returns (uint256) {
+        return (block.timestamp - genesis) / epochDuration;
+    }
+    
+    /**
+     * @notice Timestamp at which the current epoch's limits reset
+     */
+    function nextEpochStart() external view returns (uint256) {
+        return genesis + (currentEpoch() + 1) * epochDuration;
+    }
+    
+    /**
+     * @notice Amount a minter can still mint of a species this epoch
+     * @dev Bounded by both the minter's own cap and what is left of the species budget
+     */
+    function remainingMinterAllowance(address minter, uint8 species) external view returns (uint256) {
+        uint256 epoch = currentEpoch();
+        uint256 cap = minterCaps[minter][species];
+        uint256 minted = mintedByMinter[epoch][minter][species];
+        uint256 ownRemaining = cap > minted ? cap - minted : 0;
+        
+        uint256 budgetRemaining = remainingEpochBudget(species);
+        return ownRemaining < budgetRemaining ? ownRemaining : budgetRemaining;
+    }
+    
+    /**
+     * @notice Amount of a species that can still be minted this epoch across all minters
+     */
+    function remainingEpochBudget(uint8 species) public view returns (uint256) {
+        uint256 budget = epochBudgets[species];
+        uint256 minted = mintedInEpoch[currentEpoch()][species];
+        return budget > minted ? budget - minted : 0;
+    }
+    
+    // Governance functions
+    
+    /**
+     * @notice Set a minter's per-epoch cap for a species
+     * @dev Lowering a cap below what the minter already minted this epoch blocks further mints
+     */
+    function setMinterCap(address minter, uint8 species, uint256 cap)
+        external
+        onlyRole(GOVERNANCE_ROLE)
+    {
+        require(minter != address(0), "Invalid minter");
+        _requireValidSpecies(species);
+        
+        minterCaps[minter][species] = cap;
+        
+        emit MinterCapUpdated(minter, species, cap);
+    }
+    
+    /**
+     * @notice Set the global per-epoch emission budget for a species
+     */
+    function setEpochBudget(uint8 species, uint256 budget)
+        external
+        onlyRole(GOVERNANCE_ROLE)
+    {
+        _requireValidSpecies(species);
+        
+        epochBudgets[species] = budget;
+        
+        emit EpochBudgetUpdated(species, budget);
+    }
+    
+    /**
+     * @notice Configure the circuit breaker for a species
+     * @dev Limits are basis points of the species' total supply; zero disables that window
+     */
+    function setCircuitBreaker(uint8 species, uint16 blockLimitBps, uint16 dayLimitBps, uint128 minSupply)
+        external
+        onlyRole(GOVERNANCE_ROLE)
+    {
+        _requireValidSpecies(species);
+        require(blockLimitBps <= BPS && dayLimitBps <= BPS, "Invalid limit");
+        
+        CircuitBreaker storage breaker = circuitBreakers[species];
+        breaker.blockLimitBps = blockLimitBps;
+        breaker.dayLimitBps = dayLimitBps;
+        breaker.minSupply = minSupply;
+        
+        emit CircuitBreakerUpdated(species, blockLimitBps, dayLimitBps, minSupply);
+    }
+    
+    /**
+     * @notice Halt mints and transfers of a species, e.g. after its limits rejected abnormal volume
+     */
+    function tripCircuitBreaker(uint8 species) external onlyRole(GOVERNANCE_ROLE) {
+        _requireValidSpecies(species);
+        require(!circuitBreakers[species].tripped, "Breaker already tripped");
+        
+        circuitBreakers[species].tripped = true;
+        
+        emit CircuitBreakerTripped(species, msg.sender);
+    }
+    
+    /**
+     * @notice Re-enable mints and transfers of a species after its breaker tripped
+     * @dev Clears the current block and day totals so the day's earlier volume does not count
+     *      against operations after the reset
+     */
+    function resetCircuitBreaker(uint8 species) external onlyRole(GOVERNANCE_ROLE) {
+        require(circuitBreakers[species].tripped, "Breaker not tripped");
+        
+        circuitBreakers[species].tripped = false;
+        delete blockFlows[block.number][species];
+        delete dailyFlows[block.timestamp / SECONDS_PER_DAY][species];
+        
+        emit CircuitBreakerReset(species, msg.sender);
+    }
+    
+    // Internal functions
+    
+    function _requireValidSpecies(uint8 species) internal view {
+        require(species < IAutophageToken(autophageToken).speciesCount(), "Invalid species");
+    }
+    
+    function _recordMint(address minter, uint8 species, uint256 amount) internal {
+        uint256 epoch = currentEpoch();
+        
+        uint256 minterTotal = mintedByMinter[epoch][minter][species] + amount;
+        require(minterTotal <= minterCaps[minter][species], "Minter cap exceeded");
+        
+        uint256 epochTotal = mintedInEpoch[epoch][species] + amount;
+        require(epochTotal <= epochBudgets[species], "Epoch budget exceeded");
+        
+        mintedByMinter[epoch][minter][species] = minterTotal;
+        mintedInEpoch[epoch][species] = epochTotal;
+        
+        emit MintRecorded(epoch, minter, species, amount);
+    }
+    
+    function _recordFlow(uint8 species, bool minting, uint256 amount) internal {
+        CircuitBreaker storage breaker = circuitBreakers[species];
+        if (breaker.blockLimitBps == 0 && breaker.dayLimitBps == 0) return;
+        
+        Flow storage inBlock = blockFlows[block.number][species];
+        Flow storage inDay = dailyFlows[block.timestamp / SECONDS_PER_DAY][species];
+        
+        uint256 blockTotal = (minting ? inBlock.minted : inBlock.moved) + amount;
+        uint256 dayTotal = (minting ? inDay.minted : inDay.moved) + amount;
+        
+        // The token adds a mint to supply before asking the guard; limits apply to supply before it
+        uint256 supply = IAutophageToken(autophageToken).totalSupply(species);
+        if (minting) supply -= amount;
+        
+        if (supply >= breaker.minSupply) {
+            require(
+                breaker.blockLimitBps == 0 || blockTotal <= supply * breaker.blockLimitBps / BPS,
+                "Circuit breaker block limit exceeded"
+            );
+            require(
+                breaker.dayLimitBps == 0 || dayTotal <= supply * breaker.dayLimitBps / BPS,
+                "Circuit breaker day limit exceeded"
+            );
+        }
+        
+        if (minting) {
+            inBlock.minted = uint128(blockTotal);
+            inDay.minted = uint128(dayTotal);
+        } else {
+            inBlock.moved = uint128(blockTotal);
+            inDay.moved = uint128(dayTotal);
+        }
+    }
+}
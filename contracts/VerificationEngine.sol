@@ -1,9 +1,10 @@
 // SPDX-License-Identifier: Apache-2.0
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
 import "./interfaces/IAutophageToken.sol";
 import "./interfaces/IReservoir.sol";
 
@@ -18,12 +19,18 @@ import "./interfaces/IReservoir.sol";
  * - Batch proof processing
  * - Privacy-preserving activity validation
  */
-contract VerificationEngine is AccessControl, ReentrancyGuard, Pausable {
+contract VerificationEngine is
+    Initializable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
     // Constants
     uint256 private constant PRECISION = 1e18;
     uint256 private constant MAX_BATCH_SIZE = 100;
     uint256 private constant MAX_MULTIPLIER = 20 * PRECISION;
     uint256 private constant MIN_MULTIPLIER = 3 * PRECISION / 10;
+    uint256 public constant UNBONDING_PERIOD = 14 days; // Deregistered stakes stay slashable this long
     
     // Roles
     bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
@@ -89,8 +96,12 @@ contract VerificationEngine is AccessControl, ReentrancyGuard, Pausable {
     
     // Verification apps
     mapping(address => bool) public registeredApps;
-    mapping(address => uint256) public appStakes;
+    // Unused: app stakes are tracked by the Reservoir, which holds them. Kept for the proxy storage layout.
+    /// @custom:oz-renamed-from appStakes
+    mapping(address => uint256) private retiredAppStakes;
     mapping(address => uint256) public appViolations;
+    // When each deregistered app may withdraw its stake; zero when none is unbonding
+    mapping(address => uint256) public unbondingUntil;
     
     // Events
     event ProofVerified(
@@ -103,8 +114,22 @@ contract VerificationEngine is AccessControl, ReentrancyGuard, Pausable {
     event GeneticTraitEvolved(bytes32 indexed profileId, string traitName, uint256 cost);
     event AppRegistered(address indexed app, uint256 stake);
     event AppSlashed(address indexed app, uint256 amount, string reason);
+    event AppDeregistered(address indexed app, uint256 stake, uint256 unbondingUntil);
+    event AppStakeWithdrawn(address indexed app, uint256 amount);
     
-    constructor(address _token, address _reservoir) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @notice Set up roles, activity mappings, base rewards and genetic traits behind a new proxy
+     */
+    function initialize(address _token, address _reservoir) external initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        
         autophageToken = IAutophageToken(_token);
         reservoir = IReservoir(_reservoir);
         
@@ -169,9 +194,11 @@ contract VerificationEngine is AccessControl, ReentrancyGuard, Pausable {
         // Update tracking
         _updateActivityTracking(healthProof);
         
-        // Mint tokens
+        // Mint tokens and credit the activity toward the Reservoir's decay redistribution
         uint8 species = activityToSpecies[ActivityType(healthProof.activityType)];
-        autophageToken.mint(_getProfileAddress(healthProof.profileId), species, reward);
+        address recipient = _getProfileAddress(healthProof.profileId);
+        autophageToken.mint(recipient, species, reward);
+        reservoir.recordActivity(recipient, reward, healthProof.energyExpended);
         
         emit ProofVerified(
             healthProof.profileId,
@@ -252,41 +279,77 @@ contract VerificationEngine is AccessControl, ReentrancyGuard, Pausable {
     function registerApp(uint256 stakeAmount) external nonReentrant {
         require(stakeAmount >= 10000 * PRECISION, "Insufficient stake");
         require(!registeredApps[msg.sender], "Already registered");
+        require(unbondingUntil[msg.sender] == 0, "Withdraw unbonding stake first");
         
         // Transfer stake
         reservoir.receiveStake(msg.sender, stakeAmount);
         
         registeredApps[msg.sender] = true;
-        appStakes[msg.sender] = stakeAmount;
         
         _grantRole(APP_ROLE, msg.sender);
         
         emit AppRegistered(msg.sender, stakeAmount);
     }
     
+    /**
+     * @notice Stop attesting as a verification app and start unbonding what is left of the stake
+     * @dev The stake stays with the Reservoir, and slashApp can still reach it, for
+     *      UNBONDING_PERIOD, so an app cannot escape a pending slash by deregistering first
+     */
+    function deregisterApp() external nonReentrant {
+        require(registeredApps[msg.sender], "App not registered");
+        
+        registeredApps[msg.sender] = false;
+        _revokeRole(APP_ROLE, msg.sender);
+        
+        uint256 releaseTime = block.timestamp + UNBONDING_PERIOD;
+        unbondingUntil[msg.sender] = releaseTime;
+        
+        emit AppDeregistered(msg.sender, reservoir.appStakes(msg.sender), releaseTime);
+    }
+    
+    /**
+     * @notice Take back what is left of the stake once its unbonding period has passed
+     */
+    function withdrawStake() external nonReentrant {
+        uint256 releaseTime = unbondingUntil[msg.sender];
+        require(releaseTime != 0, "No stake unbonding");
+        require(block.timestamp >= releaseTime, "Stake still unbonding");
+        
+        delete unbondingUntil[msg.sender];
+        
+        uint256 stake = reservoir.appStakes(msg.sender);
+        if (stake > 0) {
+            reservoir.releaseStake(msg.sender, stake);
+        }
+        
+        emit AppStakeWithdrawn(msg.sender, stake);
+    }
+    
     /**
      * @notice Slash app stake for violations
-     * @dev Progressive slashing for false attestations
+     * @dev Progressive slashing for false attestations. Reaches deregistered apps until
+     *      their unbonding period ends.
      */
     function slashApp(address app, string calldata reason)
         external
         onlyRole(ORACLE_ROLE)
     {
-        require(registeredApps[app], "App not registered");
+        require(registeredApps[app] || block.timestamp < unbondingUntil[app], "App not registered");
         
         appViolations[app]++;
-        uint256 slashAmount = _calculateSlashAmount(app);
+        uint256 stake = reservoir.appStakes(app);
+        uint256 slashAmount = _calculateSlashAmount(app, stake);
         
-        if (slashAmount >= appStakes[app]) {
+        if (slashAmount >= stake) {
             // Fully slash and remove app
-            reservoir.slashStake(app, appStakes[app]);
+            reservoir.slashStake(app, stake);
             registeredApps[app] = false;
-            appStakes[app] = 0;
+            delete unbondingUntil[app];
             _revokeRole(APP_ROLE, app);
         } else {
             // Partial slash
             reservoir.slashStake(app, slashAmount);
-            appStakes[app] -= slashAmount;
         }
         
         emit AppSlashed(app, slashAmount, reason);
@@ -456,7 +519,9 @@ contract VerificationEngine is AccessControl, ReentrancyGuard, Pausable {
         _updateActivityTracking(proof);
         
         uint8 species = activityToSpecies[ActivityType(proof.activityType)];
-        autophageToken.mint(_getProfileAddress(proof.profileId), species, reward);
+        address recipient = _getProfileAddress(proof.profileId);
+        autophageToken.mint(recipient, species, reward);
+        reservoir.recordActivity(recipient, reward, proof.energyExpended);
         
         emit ProofVerified(proof.profileId, proof.activityType, reward, totalMultiplier);
         
@@ -468,14 +533,14 @@ contract VerificationEngine is AccessControl, ReentrancyGuard, Pausable {
         return address(uint160(uint256(profileId)));
     }
     
-    function _calculateSlashAmount(address app) internal view returns (uint256) {
+    function _calculateSlashAmount(address app, uint256 stake) internal view returns (uint256) {
         uint256 violations = appViolations[app];
-        uint256 baseSlash = appStakes[app] / 10; // 10% base
+        uint256 baseSlash = stake / 10; // 10% base
         
         // Progressive slashing: 10%, 25%, 50%, 100%
-        if (violations >= 4) return appStakes[app];
-        if (violations == 3) return appStakes[app] / 2;
-        if (violations == 2) return appStakes[app] / 4;
+        if (violations >= 4) return stake;
+        if (violations == 3) return stake / 2;
+        if (violations == 2) return stake / 4;
         return baseSlash;
     }
     
@@ -3,11 +3,27 @@ pragma solidity ^0.8.19;
 
 interface IAutophageToken {
     function balanceOf(address user, uint8 species) external view returns (uint256);
+    function liquidBalanceOf(address user, uint8 species) external view returns (uint256);
+    function vaultBalanceOf(address user, uint8 species) external view returns (uint256);
+    function balanceOfAt(address user, uint8 species, uint256 timestamp) external view returns (uint256);
+    function balanceOfAtSnapshot(address user, uint8 species, uint256 snapshotId) external view returns (uint256);
+    function speciesCount() external view returns (uint8);
+    function decayRates(uint8 species) external view returns (uint256);
+    function continuousDecay(uint8 species) external view returns (bool);
+    function totalSupply(uint8 species) external view returns (uint256);
+    function circulatingSupply(uint8 species) external view returns (uint256);
+    function transferVolume(uint8 species) external view returns (uint256);
+    function activeSenderDays(uint8 species) external view returns (uint256);
     function transfer(address to, uint8 species, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint8 species, uint256 amount) external returns (bool);
+    function allowance(address owner, address spender, uint8 species) external view returns (uint256);
+    function isApprovedForAll(address owner, address operator) external view returns (bool);
     function mint(address to, uint8 species, uint256 amount) external;
     function burn(address from, uint8 species, uint256 amount) external;
-    function getAllBalances(address user) external view returns (uint256[4] memory);
+    function getAllBalances(address user) external view returns (uint256[] memory);
     function collectDecay(address[] calldata users, uint8[] calldata species) external returns (uint256);
     function calculateDecayAmount(address user, uint8 species) external view returns (uint256);
     function applyDecay(address user, uint8 species) external;
+    function setCatalystDecayRate(uint256 newRate) external;
+    function addSpecies(uint256 decayRate, bool continuous) external returns (uint8);
 }
\ No newline at end of file
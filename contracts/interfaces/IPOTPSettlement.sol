@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+interface IPOTPSettlement {
+    // Cross-species conversion
+    function convertToPOTP(uint8 fromSpecies, uint256 amount) external returns (uint256);
+    function getConversionRate(uint8 species) external view returns (uint256);
+    
+    // Governance integration
+    function getPOTPBalance(address account) external view returns (uint256);
+}
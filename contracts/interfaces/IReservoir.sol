@@ -7,6 +7,12 @@ interface IReservoir {
     function submitHealthcareClaim(uint256 amount, uint8 urgencyScore, string calldata claimType, bytes32 verificationHash) external returns (uint256);
     function depositUSDC(uint256 amount) external;
     function calculateMetabolicPrice() external view returns (uint256);
+    function updateMetabolicPrice() external returns (uint256);
     function receiveStake(address from, uint256 amount) external;
     function slashStake(address app, uint256 amount) external;
+    function releaseStake(address app, uint256 amount) external;
+    function appStakes(address app) external view returns (uint256);
+    function receiveVaultPenalty(uint8 species, uint256 amount) external;
+    function recordActivity(address user, uint256 points, uint256 energyExpended) external;
+    function tokenChamber(uint8 species) external view returns (uint256 collected, uint256 distributed, uint256 current);
 }
\ No newline at end of file
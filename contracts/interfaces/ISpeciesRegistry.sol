@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+interface ISpeciesRegistry {
+    struct SpeciesInfo {
+        uint8 id;
+        string name;
+        string symbol;
+        uint8 decimals;
+        string description;
+        uint256 decayRate;
+        bool continuous;
+    }
+    
+    function speciesCount() external view returns (uint8);
+    function getSpecies(uint8 species) external view returns (SpeciesInfo memory);
+    function getAllSpecies() external view returns (SpeciesInfo[] memory);
+    function speciesBySymbol(string calldata symbol) external view returns (uint8);
+}
@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+interface ISpeciesTransferGuard {
+    function checkSpeciesTransfer(address operator, address from, address to, uint8 species, uint256 amount) external;
+}
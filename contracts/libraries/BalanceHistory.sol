@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "./DecayMath.sol";
+import "./WellnessVault.sol";
+
+/**
+ * @title BalanceHistory
+ * @notice Checkpointed balances and vault positions that AutophageToken's balanceOfAt decays
+ *         up to a past time
+ * @dev Each checkpoint keeps the decay rate and mode in force when it was written, so values
+ *      at a past time stay fixed when governance changes them later. Vault checkpoints copy
+ *      every open position with its lock terms, so each is valued at its own reduced rate
+ *      exactly as the live vault is. The functions are external, so the token links a
+ *      deployed copy of the library, which in turn links DecayMath; this keeps the history
+ *      out of the token's bytecode.
+ */
+library BalanceHistory {
+    // Balance with the decay terms in force when it was written (single slot)
+    struct Checkpoint {
+        uint128 amount;      // Balance settled at timestamp
+        uint48 timestamp;    // When the balance was written
+        uint72 decayRate;    // Daily decay rate from then on
+        bool continuous;     // Decay mode of the species at the time
+    }
+    
+    // Open vault positions as of timestamp, with the species' decay terms at the time
+    struct VaultCheckpoint {
+        uint48 timestamp;
+        uint72 decayRate;    // Species base rate, before each position's lock reduction
+        bool continuous;
+        VaultPosition[] positions;
+    }
+    
+    /**
+     * @notice Append a balance to a history, keeping one checkpoint per timestamp
+     * @dev A second write at the same timestamp replaces the first, so the final balance counts
+     */
+    function record(
+        Checkpoint[] storage history,
+        uint256 amount,
+        uint256 timestamp,
+        uint256 decayRate,
+        bool continuous
+    ) external {
+        Checkpoint memory checkpoint = Checkpoint(uint128(amount), uint48(timestamp), uint72(decayRate), continuous);
+        
+        uint256 length = history.length;
+        if (length > 0 && history[length - 1].timestamp == timestamp) {
+            history[length - 1] = checkpoint;
+        } else {
+            history.push(checkpoint);
+        }
+    }
+    
+    /**
+     * @notice Append a copy of a holder's open vault positions, keeping one checkpoint per timestamp
+     * @dev Positions settled after `timestamp` would be valued from a later lastUpdate, so the
+     *      token records them whenever any of them is opened, closed or settled
+     */
+    function recordVault(
+        VaultCheckpoint[] storage history,
+        VaultPosition[] storage positions,
+        uint256 timestamp,
+        uint256 decayRate,
+        bool continuous
+    ) external {
+        uint256 length = history.length;
+        if (length == 0 || history[length - 1].timestamp != timestamp) {
+            history.push();
+            length++;
+        }
+        
+        VaultCheckpoint storage checkpoint = history[length - 1];
+        checkpoint.timestamp = uint48(timestamp);
+        checkpoint.decayRate = uint72(decayRate);
+        checkpoint.continuous = continuous;
+        
+        delete checkpoint.positions;
+        for (uint256 i = 0; i < positions.length; i++) {
+            checkpoint.positions.push(positions[i]);
+        }
+    }
+    
+    /**
+     * @notice Balance at `timestamp`, decayed from the latest checkpoint at or before it
+     * @return Zero before the first checkpoint
+     */
+    function valueAt(Checkpoint[] storage history, uint256 timestamp) external view returns (uint256) {
+        // Binary search for the first checkpoint after timestamp
+        uint256 low = 0;
+        uint256 high = history.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (history[mid].timestamp > timestamp) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        
+        if (low == 0) return 0;
+        
+        Checkpoint memory checkpoint = history[low - 1];
+        return DecayMath.decay(checkpoint.continuous, checkpoint.amount, checkpoint.decayRate, timestamp - checkpoint.timestamp);
+    }
+    
+    /**
+     * @notice Value at `timestamp` of the vault positions open at the latest checkpoint at or before it
+     * @dev Each position decays from its own lastUpdate under its lock terms, as vaultBalanceOf does
+     * @return total Zero before the first checkpoint
+     */
+    function vaultValueAt(VaultCheckpoint[] storage history, uint256 timestamp) external view returns (uint256 total) {
+        // Binary search for the first checkpoint after timestamp
+        uint256 low = 0;
+        uint256 high = history.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (history[mid].timestamp > timestamp) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        
+        if (low == 0) return 0;
+        
+        VaultCheckpoint storage checkpoint = history[low - 1];
+        for (uint256 i = 0; i < checkpoint.positions.length; i++) {
+            VaultPosition memory position = checkpoint.positions[i];
+            total += DecayMath.vaultValue(
+                checkpoint.continuous,
+                position.amount,
+                checkpoint.decayRate,
+                position.lastUpdate,
+                position.startTime,
+                position.lockedUntil,
+                timestamp
+            );
+        }
+    }
+}
@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+// Healthcare claim lifecycle: Submitted -> UnderReview -> Approved -> (PartiallyPaid ->) Paid,
+// or UnderReview -> Rejected -> Appealed -> UnderReview once within the appeal window
+enum ClaimStatus { Submitted, UnderReview, Approved, Rejected, Paid, Appealed, PartiallyPaid }
+
+enum RejectionReason {
+    None,
+    InvalidDocumentation,
+    NotCovered,
+    Duplicate,
+    AmountExceedsCost,
+    Fraudulent,
+    Other
+}
+
+// Healthcare claim structure, shared by ReservoirContract and its payout queue
+struct HealthcareClaim {
+    address claimant;
+    uint256 amount;
+    uint8 urgencyScore;      // 1-10 scale
+    uint256 timestamp;
+    string claimType;        // prescription, procedure, preventive, emergency
+    bytes32 verificationHash;
+    bool processed;          // Paid
+    ClaimStatus status;
+    RejectionReason rejectionReason;
+    uint256 decidedAt;       // Time of the latest approval or rejection
+    bool appealed;
+    uint256 amountPaid;
+    uint256 installmentsPaid;
+    uint256 lastInstallmentAt;
+}
+
+/**
+ * @title ClaimQueue
+ * @notice Max-heap of approved healthcare claim ids, highest payout priority first
+ * @dev Priority = urgency × 0.7 + hours waiting × 0.2 + verification × 0.1, read from the
+ *      claims whenever the heap is reordered.
+ *
+ *      `insert` and `remove` are external, so ReservoirContract links a deployed copy of the
+ *      library; this keeps the heap out of its bytecode.
+ */
+library ClaimQueue {
+    function insert(
+        uint256[] storage heap,
+        mapping(uint256 => HealthcareClaim) storage claims,
+        uint256 claimId
+    ) external {
+        heap.push(claimId);
+        
+        // Bubble up based on priority
+        uint256 index = heap.length - 1;
+        while (index > 0) {
+            uint256 parentIndex = (index - 1) / 2;
+            if (priority(claims[heap[index]]) > priority(claims[heap[parentIndex]])) {
+                (heap[index], heap[parentIndex]) = (heap[parentIndex], heap[index]);
+                index = parentIndex;
+            } else {
+                break;
+            }
+        }
+    }
+    
+    function remove(
+        uint256[] storage heap,
+        mapping(uint256 => HealthcareClaim) storage claims,
+        uint256 claimId
+    ) external {
+        // Find and remove the claim
+        for (uint256 i = 0; i < heap.length; i++) {
+            if (heap[i] == claimId) {
+                heap[i] = heap[heap.length - 1];
+                heap.pop();
+                
+                // Re-heapify if needed
+                if (i < heap.length) {
+                    heapifyDown(heap, claims, i);
+                }
+                break;
+            }
+        }
+    }
+    
+    function heapifyDown(
+        uint256[] storage heap,
+        mapping(uint256 => HealthcareClaim) storage claims,
+        uint256 index
+    ) private {
+        uint256 length = heap.length;
+        while (true) {
+            uint256 leftChild = 2 * index + 1;
+            uint256 rightChild = 2 * index + 2;
+            uint256 largest = index;
+            
+            if (leftChild < length && priority(claims[heap[leftChild]]) > priority(claims[heap[largest]])) {
+                largest = leftChild;
+            }
+            
+            if (rightChild < length && priority(claims[heap[rightChild]]) > priority(claims[heap[largest]])) {
+                largest = rightChild;
+            }
+            
+            if (largest != index) {
+                (heap[index], heap[largest]) = (heap[largest], heap[index]);
+                index = largest;
+            } else {
+                break;
+            }
+        }
+    }
+    
+    function priority(HealthcareClaim storage claim) private view returns (uint256) {
+        // Priority formula: urgency * 0.7 + duration * 0.2 + verification * 0.1
+        uint256 urgencyComponent = uint256(claim.urgencyScore) * 70;
+        uint256 durationComponent = ((block.timestamp - claim.timestamp) / 3600) * 2; // Hours waiting
+        uint256 verificationComponent = claim.verificationHash != bytes32(0) ? 10 : 0;
+        
+        return urgencyComponent + durationComponent + verificationComponent;
+    }
+}
@@ -0,0 +1,202 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+/**
+ * @title DecayMath
+ * @notice Fixed-point natural log and exponential for fractional decay exponents
+ * @dev All values are scaled by 1e18. ln and exp reduce their argument by powers
+ *      of two and finish with a series that converges in under 40 terms, giving a
+ *      relative error well below 1e-15 across the ranges used for decay.
+ *
+ *      `decay`, `vaultValue` and `setWhaleTiers` are public, so contracts using them link
+ *      a deployed copy of the library; this keeps them out of AutophageToken's bytecode.
+ */
+library DecayMath {
+    int256 private constant ONE = 1e18;
+    int256 private constant LN2 = 693147180559945309; // ln(2) scaled by 1e18
+    uint256 private constant SECONDS_PER_DAY = 86400;
+    uint256 private constant MAX_WHALE_MULTIPLIER = 5e18; // 5x
+    
+    /**
+     * @notice Decay a balance over `elapsed` seconds at a daily rate
+     * @dev Whole days use the exact integer power; continuous mode also decays by the
+     *      fraction of a day left over, which stepwise mode ignores.
+     * @param continuous Decay per second instead of per whole day
+     * @param balance Amount to decay
+     * @param dailyDecayRate Daily decay rate scaled by 1e18
+     * @param elapsed Seconds since the balance was settled
+     */
+    function decay(bool continuous, uint256 balance, uint256 dailyDecayRate, uint256 elapsed)
+        public
+        pure
+        returns (uint256)
+    {
+        if (dailyDecayRate == 0) return balance;
+        
+        uint256 retention = uint256(ONE) - dailyDecayRate;
+        uint256 daysPassed = elapsed / SECONDS_PER_DAY;
+        uint256 decayed = daysPassed == 0 ? balance : (balance * pow(retention, daysPassed)) / uint256(ONE);
+        if (!continuous) return decayed;
+        
+        uint256 dayFraction = ((elapsed % SECONDS_PER_DAY) * uint256(ONE)) / SECONDS_PER_DAY;
+        return (decayed * powFraction(retention, dayFraction)) / uint256(ONE);
+    }
+    
+    /**
+     * @notice Value of a wellness vault position decayed from `lastUpdate` to `timestamp`
+     * @dev Until maturity the position decays at the base rate cut by its lock-duration
+     *      reduction, afterwards at the base rate. Stepwise decay counts whole days on each
+     *      side of maturity.
+     */
+    function vaultValue(
+        bool continuous,
+        uint256 amount,
+        uint256 dailyDecayRate,
+        uint256 lastUpdate,
+        uint256 startTime,
+        uint256 lockedUntil,
+        uint256 timestamp
+    ) public pure returns (uint256) {
+        uint256 reductionFactor = vaultReductionFactor((lockedUntil - startTime) / SECONDS_PER_DAY);
+        uint256 reducedDecayRate = (dailyDecayRate * (uint256(ONE) - reductionFactor)) / uint256(ONE);
+        
+        uint256 elapsed = timestamp - lastUpdate;
+        uint256 lockedElapsed = elapsed;
+        if (timestamp > lockedUntil) {
+            lockedElapsed = lockedUntil > lastUpdate ? lockedUntil - lastUpdate : 0;
+        }
+        
+        if (!continuous) {
+            // Stepwise decay counts whole days on each side of maturity
+            elapsed = (elapsed / SECONDS_PER_DAY) * SECONDS_PER_DAY;
+            lockedElapsed = (lockedElapsed / SECONDS_PER_DAY) * SECONDS_PER_DAY;
+        }
+        
+        // Matured positions fall back to the base rate until they are unlocked
+        uint256 lockedBalance = decay(continuous, amount, reducedDecayRate, lockedElapsed);
+        return decay(continuous, lockedBalance, dailyDecayRate, elapsed - lockedElapsed);
+    }
+    
+    /**
+     * @notice Decay rate reduction for a vault locked for `lockDays`, scaled by 1e18
+     */
+    function vaultReductionFactor(uint256 lockDays) internal pure returns (uint256) {
+        if (lockDays >= 365) return 900000000000000000; // 90% reduction
+        if (lockDays >= 180) return 450000000000000000; // 45% reduction
+        if (lockDays >= 90) return 270000000000000000;  // 27% reduction
+        return 90000000000000000; // 9% reduction for 30 days
+    }
+    
+    /**
+     * @notice Validate a whale-protection tier table and replace the stored one with it
+     * @dev Thresholds must be strictly increasing and multipliers non-decreasing, between 1x and 5x
+     */
+    function setWhaleTiers(
+        uint256[] storage storedThresholds,
+        uint256[] storage storedMultipliers,
+        uint256[] calldata thresholds,
+        uint256[] calldata multipliers
+    ) external {
+        require(multipliers.length == thresholds.length + 1, "Need one more multiplier than thresholds");
+        require(multipliers[0] >= uint256(ONE), "Multiplier below 1x");
+        require(multipliers[multipliers.length - 1] <= MAX_WHALE_MULTIPLIER, "Multiplier above 5x");
+        
+        for (uint256 i = 0; i < thresholds.length; i++) {
+            require(thresholds[i] > (i == 0 ? 0 : thresholds[i - 1]), "Thresholds must increase");
+            require(multipliers[i + 1] >= multipliers[i], "Multipliers must not decrease");
+        }
+        
+        replace(storedThresholds, thresholds);
+        replace(storedMultipliers, multipliers);
+    }
+    
+    function replace(uint256[] storage target, uint256[] calldata values) private {
+        while (target.length > 0) {
+            target.pop();
+        }
+        for (uint256 i = 0; i < values.length; i++) {
+            target.push(values[i]);
+        }
+    }
+    
+    /**
+     * @notice Raise a fixed-point number to a whole power by repeated squaring
+     */
+    function pow(uint256 base, uint256 exponent) internal pure returns (uint256 result) {
+        result = uint256(ONE);
+        while (exponent > 0) {
+            if (exponent & 1 == 1) {
+                result = (result * base) / uint256(ONE);
+            }
+            base = (base * base) / uint256(ONE);
+            exponent >>= 1;
+        }
+    }
+    
+    /**
+     * @notice Raise a retention factor to a fractional power
+     * @param base Retention factor in [0, 1e18]
+     * @param exponent Power in [0, 1e18], i.e. a fraction of a day
+     * @return base^exponent scaled by 1e18
+     */
+    function powFraction(uint256 base, uint256 exponent) internal pure returns (uint256) {
+        require(base <= uint256(ONE) && exponent <= uint256(ONE), "Out of range");
+        
+        if (exponent == 0 || base == uint256(ONE)) return uint256(ONE);
+        if (base == 0) return 0;
+        
+        return exp(ln(base) * int256(exponent) / ONE);
+    }
+    
+    /**
+     * @notice Natural logarithm of a positive fixed-point number
+     */
+    function ln(uint256 x) internal pure returns (int256) {
+        require(x > 0, "Log of zero");
+        
+        // Reduce to m in [1, 2) with x = m * 2^k
+        int256 k = 0;
+        while (x >= 2 * uint256(ONE)) {
+            x >>= 1;
+            k++;
+        }
+        while (x < uint256(ONE)) {
+            x <<= 1;
+            k--;
+        }
+        
+        // ln(m) = 2 * atanh(z) with z = (m - 1) / (m + 1) in [0, 1/3)
+        int256 z = (int256(x) - ONE) * ONE / (int256(x) + ONE);
+        int256 zSquared = z * z / ONE;
+        int256 term = z;
+        int256 sum = 0;
+        for (int256 n = 1; term != 0; n += 2) {
+            sum += term / n;
+            term = term * zSquared / ONE;
+        }
+        
+        return 2 * sum + k * LN2;
+    }
+    
+    /**
+     * @notice Exponential of a non-positive fixed-point number
+     */
+    function exp(int256 x) internal pure returns (uint256) {
+        require(x <= 0, "Positive exponent");
+        
+        // Reduce to exp(-r) * 2^-k with -x = k * ln(2) + r and r in [0, ln(2))
+        uint256 k = uint256(-x / LN2);
+        if (k > 60) return 0;
+        int256 r = -x - int256(k) * LN2;
+        
+        // Taylor series for exp(-r)
+        int256 term = ONE;
+        int256 sum = ONE;
+        for (int256 n = 1; term != 0; n++) {
+            term = -term * r / (n * ONE);
+            sum += term;
+        }
+        
+        return uint256(sum) >> k;
+    }
+}
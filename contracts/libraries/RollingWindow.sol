@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+/**
+ * @title RollingWindow
+ * @notice Sum of amounts added over the last 30 days, in daily buckets
+ * @dev Each bucket remembers the day it was written, so buckets left over from earlier
+ *      cycles are ignored (and overwritten on the next write) however long no amount
+ *      was added.
+ */
+library RollingWindow {
+    uint256 internal constant WINDOW_DAYS = 30;
+    uint256 private constant SECONDS_PER_DAY = 86400;
+    
+    struct Window {
+        uint256[30] amounts;
+        uint64[30] bucketDays; // Day since the Unix epoch each bucket was last written
+    }
+    
+    function add(Window storage window, uint256 amount, uint256 timestamp) internal {
+        if (amount == 0) return;
+        
+        uint256 day = timestamp / SECONDS_PER_DAY;
+        uint256 index = day % WINDOW_DAYS;
+        
+        if (window.bucketDays[index] == day) {
+            window.amounts[index] += amount;
+        } else {
+            window.bucketDays[index] = uint64(day);
+            window.amounts[index] = amount;
+        }
+    }
+    
+    /**
+     * @notice Sum of the amounts added on the 30 days up to and including `timestamp`'s day
+     */
+    function total(Window storage window, uint256 timestamp) internal view returns (uint256 sum) {
+        uint256 day = timestamp / SECONDS_PER_DAY;
+        
+        for (uint256 i = 0; i < WINDOW_DAYS; i++) {
+            if (window.bucketDays[i] + WINDOW_DAYS > day) {
+                sum += window.amounts[i];
+            }
+        }
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title TypedSignature
+ * @notice EIP-712 signature check for AutophageToken's permit, transferBySig and lockInVaultBySig
+ * @dev `verify` is external, so the token links a deployed copy of the library and ECDSA
+ *      recovery stays out of its bytecode. The token builds the struct hash, which consumes
+ *      the signer's nonce.
+ */
+library TypedSignature {
+    /**
+     * @notice Revert unless `signer` signed `structHash` under `domainSeparator` and `deadline` has not passed
+     */
+    function verify(
+        bytes32 domainSeparator,
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external view {
+        require(block.timestamp <= deadline, "Signature expired");
+        
+        bytes32 digest = ECDSA.toTypedDataHash(domainSeparator, structHash);
+        require(ECDSA.recover(digest, v, r, s) == signer, "Invalid signature");
+    }
+}
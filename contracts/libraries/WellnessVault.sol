@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "./DecayMath.sol";
+
+// Wellness vault position (packed into two storage slots)
+struct VaultPosition {
+    uint128 amount;      // Locked balance as of lastUpdate
+    uint64 lastUpdate;   // Timestamp of last decay settlement
+    uint64 startTime;    // When the position was opened
+    uint128 principal;   // Amount originally locked
+    uint64 lockedUntil;  // Maturity timestamp
+    uint64 id;           // Stable identifier, unique per user
+}
+
+/**
+ * @title WellnessVault
+ * @notice Valuation and bookkeeping of one holder's wellness vault positions in one species
+ * @dev AutophageToken keeps the supply totals and liquid balances; this library only reads
+ *      and rewrites the positions. Each position decays at the species rate cut by its
+ *      lock-duration reduction until maturity, then at the full rate.
+ *
+ *      The functions are external, so the token links a deployed copy of the library, which
+ *      in turn links DecayMath; this keeps the vault code out of the token's bytecode.
+ */
+library WellnessVault {
+    uint256 private constant PRECISION = 1e18;
+    uint256 private constant SECONDS_PER_DAY = 86400;
+    uint256 private constant MAX_VAULT_POSITIONS = 10;
+    uint256 private constant EARLY_WITHDRAWAL_PENALTY_FACTOR = 500000000000000000; // 0.5
+    
+    // Emitted with the token's address, which declares the same event
+    event VaultUnlocked(address indexed user, uint8 indexed species, uint256 indexed positionId, uint256 amount);
+    
+    /**
+     * @notice Decayed value of all positions
+     */
+    function totalValue(VaultPosition[] storage positions, bool continuous, uint256 dailyDecayRate)
+        external
+        view
+        returns (uint256 total)
+    {
+        for (uint256 i = 0; i < positions.length; i++) {
+            total += value(positions[i], continuous, dailyDecayRate);
+        }
+    }
+    
+    /**
+     * @notice Open positions with their current decayed values
+     */
+    function list(VaultPosition[] storage positions, bool continuous, uint256 dailyDecayRate)
+        external
+        view
+        returns (VaultPosition[] memory openPositions, uint256[] memory currentValues)
+    {
+        openPositions = positions;
+        currentValues = new uint256[](openPositions.length);
+        for (uint256 i = 0; i < openPositions.length; i++) {
+            currentValues[i] = value(openPositions[i], continuous, dailyDecayRate);
+        }
+    }
+    
+    /**
+     * @notice Decay accrued by all positions since they were last settled
+     */
+    function pendingDecay(VaultPosition[] storage positions, bool continuous, uint256 dailyDecayRate)
+        external
+        view
+        returns (uint256 decayAmount)
+    {
+        for (uint256 i = 0; i < positions.length; i++) {
+            decayAmount += positions[i].amount - value(positions[i], continuous, dailyDecayRate);
+        }
+    }
+    
+    /**
+     * @notice Settle the pending decay of all positions
+     * @return decayAmount Total value the positions lost
+     */
+    function settleAll(VaultPosition[] storage positions, bool continuous, uint256 dailyDecayRate)
+        external
+        returns (uint256 decayAmount)
+    {
+        for (uint256 i = 0; i < positions.length; i++) {
+            decayAmount += settle(positions[i], continuous, dailyDecayRate);
+        }
+    }
+    
+    /**
+     * @notice Open a position locking `amount` for `lockDays` from now
+     * @return lockDuration Lock period in seconds
+     */
+    function open(VaultPosition[] storage positions, uint256 amount, uint256 lockDays, uint256 positionId)
+        external
+        returns (uint256 lockDuration)
+    {
+        require(lockDays >= 30 && lockDays <= 365, "Lock period must be 30-365 days");
+        require(amount > 0, "Amount must be positive");
+        require(positions.length < MAX_VAULT_POSITIONS, "Too many vault positions");
+        
+        lockDuration = lockDays * SECONDS_PER_DAY;
+        positions.push(VaultPosition({
+            amount: uint128(amount),
+            lastUpdate: uint64(block.timestamp),
+            startTime: uint64(block.timestamp),
+            principal: uint128(amount),
+            lockedUntil: uint64(block.timestamp + lockDuration),
+            id: uint64(positionId)
+        }));
+    }
+    
+    /**
+     * @notice Close every matured position, emitting VaultUnlocked for each
+     * @dev Positions still inside their lock period are left untouched
+     * @return released Total decayed value of the closed positions
+     * @return decayAmount Decay settled on them before closing
+     */
+    function releaseMatured(
+        VaultPosition[] storage positions,
+        address user,
+        uint8 species,
+        bool continuous,
+        uint256 dailyDecayRate
+    ) external returns (uint256 released, uint256 decayAmount) {
+        bool unlocked = false;
+        uint256 i = 0;
+        
+        while (i < positions.length) {
+            if (positions[i].lockedUntil > block.timestamp) {
+                i++;
+                continue;
+            }
+            
+            decayAmount += settle(positions[i], continuous, dailyDecayRate);
+            uint256 amount = positions[i].amount;
+            released += amount;
+            unlocked = true;
+            
+            emit VaultUnlocked(user, species, positions[i].id, amount);
+            remove(positions, i);
+        }
+        
+        require(unlocked, "No matured vault positions");
+    }
+    
+    /**
+     * @notice Close a position before maturity
+     * @dev Penalty P = V_locked × (t_remaining / t_total) × 0.5
+     * @return lockedValue Decayed value of the position
+     * @return penalty Part of lockedValue forfeited
+     * @return decayAmount Decay settled on the position before closing
+     * @return timeRemaining Seconds the position had left until maturity
+     */
+    function withdrawEarly(
+        VaultPosition[] storage positions,
+        uint256 positionId,
+        bool continuous,
+        uint256 dailyDecayRate
+    ) external returns (uint256 lockedValue, uint256 penalty, uint256 decayAmount, uint256 timeRemaining) {
+        uint256 index = find(positions, positionId);
+        VaultPosition storage position = positions[index];
+        require(position.lockedUntil > block.timestamp, "Vault position matured");
+        
+        decayAmount = settle(position, continuous, dailyDecayRate);
+        lockedValue = position.amount;
+        timeRemaining = position.lockedUntil - block.timestamp;
+        penalty = earlyWithdrawalPenalty(position, lockedValue);
+        
+        remove(positions, index);
+    }
+    
+    /**
+     * @notice Penalty for withdrawing a position now
+     * @dev Returns zero for matured positions
+     */
+    function previewPenalty(
+        VaultPosition[] storage positions,
+        uint256 positionId,
+        bool continuous,
+        uint256 dailyDecayRate
+    ) external view returns (uint256) {
+        VaultPosition memory position = positions[find(positions, positionId)];
+        if (position.lockedUntil <= block.timestamp) return 0;
+        
+        return earlyWithdrawalPenalty(position, value(position, continuous, dailyDecayRate));
+    }
+    
+    /**
+     * @notice Append positions exported from a previous deployment, each settled as of its lastUpdate
+     * @dev Positions keep their ids so holders' references stay valid. They must satisfy the
+     *      limits lockInVault enforces, and be settled no earlier than they opened and no later
+     *      than `asOf`.
+     * @param nextId The holder's next free position id before the import
+     * @return vaulted Total settled value of the imported positions
+     * @return nextFreeId First id above every imported one, and at least `nextId`
+     */
+    function importPositions(
+        VaultPosition[] storage positions,
+        VaultPosition[] calldata imported,
+        uint64 asOf,
+        uint64 nextId
+    ) external returns (uint256 vaulted, uint64 nextFreeId) {
+        require(positions.length + imported.length <= MAX_VAULT_POSITIONS, "Too many vault positions");
+        
+        nextFreeId = nextId;
+        for (uint256 i = 0; i < imported.length; i++) {
+            VaultPosition calldata position = imported[i];
+            uint256 lockDuration = position.lockedUntil > position.startTime ? position.lockedUntil - position.startTime : 0;
+            require(lockDuration >= 30 * SECONDS_PER_DAY && lockDuration <= 365 * SECONDS_PER_DAY, "Lock period must be 30-365 days");
+            require(position.lastUpdate >= position.startTime && position.lastUpdate <= asOf, "Invalid last update");
+            require(position.amount > 0, "Amount must be positive");
+            
+            positions.push(position);
+            vaulted += position.amount;
+            if (position.id >= nextFreeId) nextFreeId = position.id + 1;
+        }
+    }
+    
+    function value(VaultPosition memory position, bool continuous, uint256 dailyDecayRate)
+        private
+        view
+        returns (uint256)
+    {
+        return DecayMath.vaultValue(
+            continuous,
+            position.amount,
+            dailyDecayRate,
+            position.lastUpdate,
+            position.startTime,
+            position.lockedUntil,
+            block.timestamp
+        );
+    }
+    
+    function settle(VaultPosition storage position, bool continuous, uint256 dailyDecayRate)
+        private
+        returns (uint256 decayAmount)
+    {
+        uint256 currentValue = value(position, continuous, dailyDecayRate);
+        decayAmount = position.amount - currentValue;
+        
+        position.amount = uint128(currentValue);
+        position.lastUpdate = uint64(block.timestamp);
+    }
+    
+    function find(VaultPosition[] storage positions, uint256 positionId) private view returns (uint256) {
+        for (uint256 i = 0; i < positions.length; i++) {
+            if (positions[i].id == positionId) return i;
+        }
+        revert("Vault position not found");
+    }
+    
+    function earlyWithdrawalPenalty(VaultPosition memory position, uint256 lockedValue)
+        private
+        view
+        returns (uint256)
+    {
+        uint256 totalDuration = position.lockedUntil - position.startTime;
+        uint256 timeRemaining = position.lockedUntil - block.timestamp;
+        
+        return (lockedValue * timeRemaining * EARLY_WITHDRAWAL_PENALTY_FACTOR) / (totalDuration * PRECISION);
+    }
+    
+    function remove(VaultPosition[] storage positions, uint256 index) private {
+        positions[index] = positions[positions.length - 1];
+        positions.pop();
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "../libraries/DecayMath.sol";
+
+contract DecayMathHarness {
+    function powFraction(uint256 base, uint256 exponent) external pure returns (uint256) {
+        return DecayMath.powFraction(base, exponent);
+    }
+    
+    function ln(uint256 x) external pure returns (int256) {
+        return DecayMath.ln(x);
+    }
+    
+    function exp(int256 x) external pure returns (uint256) {
+        return DecayMath.exp(x);
+    }
+}
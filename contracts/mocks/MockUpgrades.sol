@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.19;
+
+import "../AutophageToken.sol";
+import "../ReservoirContract.sol";
+
+// Compatible upgrades: new state is appended after the existing layout, and nothing
+// needs initializing beyond what the proxy already ran
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockAutophageTokenV2 is AutophageToken {
+    uint256 public upgradeCounter;
+    
+    function incrementUpgradeCounter() external {
+        upgradeCounter++;
+    }
+}
+
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockReservoirContractV2 is ReservoirContract {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+// Incompatible upgrade: a new base contract shifts every existing storage slot
+contract MockStorageShift {
+    uint256 internal inserted;
+}
+
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockReservoirContractBadLayout is MockStorageShift, ReservoirContract {}
@@ -208,6 +208,7 @@ class AutophageApp {
             }
             
             await this.contractManager.loadContracts();
+            this.renderSpecies();
             
             // Check and grant minter role if needed
             const hasMinterRole = await this.contractManager.hasMinterRole(this.currentAccount);
@@ -306,6 +307,7 @@ class AutophageApp {
                 CONFIG.demoMode.enabled = false;
                 await this.contractManager.init();
                 await this.contractManager.loadContracts();
+                this.renderSpecies();
             } else {
                 // Use demo mode for test wallets
                 CONFIG.demoMode.enabled = true;
@@ -412,10 +414,50 @@ AutophageToken address:`;
             MockUSDC: prompt('MockUSDC address:'),
             ReservoirContract: prompt('ReservoirContract address:'),
             VerificationEngine: prompt('VerificationEngine address:'),
-            GovernanceContract: prompt('GovernanceContract address:')
+            GovernanceContract: prompt('GovernanceContract address:'),
+            SupplyGuard: prompt('SupplyGuard address (optional):') || '',
+            SpeciesRegistry: prompt('SpeciesRegistry address (optional):') || ''
         };
     }
 
+    // Rebuild species selectors and token cards from CONFIG.species, which the
+    // contract manager fills from the on-chain registry
+    renderSpecies() {
+        const ids = speciesIds();
+        
+        ['mintSpecies', 'transferSpecies', 'vaultSpecies'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            
+            const selected = select.value;
+            select.innerHTML = ids.map(id => {
+                const species = CONFIG.species[id];
+                const decay = selectId === 'mintSpecies' ? ` - ${+(species.decay * 100).toFixed(2)}% decay` : '';
+                return `<option value="${id}">${species.name} (${species.symbol})${decay}</option>`;
+            }).join('');
+            if (ids.includes(Number(selected))) {
+                select.value = selected;
+            }
+        });
+        
+        // Species added through governance get a copy of the last card
+        const cards = document.querySelectorAll('.token-card');
+        if (cards.length === 0) return;
+        
+        for (let id = cards.length; id < ids.length; id++) {
+            const species = CONFIG.species[ids[id]];
+            const card = cards[cards.length - 1].cloneNode(true);
+            card.className = 'token-card';
+            card.style.borderColor = species.color;
+            card.querySelector('h3').textContent = `${species.name} (${species.symbol})`;
+            card.querySelector('.balance').textContent = '0.00';
+            card.querySelector('.decay-rate').textContent = `${+(species.decay * 100).toFixed(2)}% daily decay`;
+            card.querySelector('.use-case').textContent = species.description || '';
+            card.querySelector('.token-metrics').style.display = 'none';
+            cards[0].parentNode.appendChild(card);
+        }
+    }
+
     startBalanceUpdates() {
         this.updateBalances();
         this.updateSystemMetrics();
@@ -469,14 +511,21 @@ AutophageToken address:`;
             // Keep current value on error
         }
         
-        const decayRates = [0.05, 0.0075, 0.001, 0.05]; // Daily decay rates
-        const tokenNames = ['RHY', 'HLN', 'FDN', 'CTL'];
+        const decayRates = speciesIds().map(id => CONFIG.species[id].decay); // Daily decay rates
+        const tokenNames = speciesIds().map(id => CONFIG.species[id].symbol);
         
-        for (let i = 0; i < 4; i++) {
+        for (const i of speciesIds()) {
             try {
                 const balance = await this.contractManager.getBalance(this.currentAccount, i);
                 const balanceFloat = parseFloat(balance);
                 
+                // Effective rate includes whale-protection multipliers
+                const decayTier = await this.contractManager.getDecayTier(this.currentAccount, i);
+                decayRates[i] = decayTier.rate;
+                if (!CONFIG.demoMode.enabled) {
+                    this.updateDecayTierDisplay(i, decayTier, tokenNames[i]);
+                }
+                
                 // Update balance display
                 document.querySelectorAll('.token-card .balance')[i].textContent = 
                     balanceFloat.toFixed(2);
@@ -518,6 +567,21 @@ AutophageToken address:`;
         }
     }
     
+    updateDecayTierDisplay(species, decayTier, symbol) {
+        const rateElement = document.querySelectorAll('.token-card .decay-rate')[species];
+        if (!rateElement) return;
+        
+        const ratePercent = +(decayTier.rate * 100).toFixed(2);
+        rateElement.textContent = decayTier.tier > 0
+            ? `${ratePercent}% daily decay (whale tier ${decayTier.tier})`
+            : `${ratePercent}% daily decay`;
+        
+        // Warn before the balance reaches the next tier
+        rateElement.title = decayTier.nextThreshold !== null
+            ? `Above ${decayTier.nextThreshold.toLocaleString()} ${symbol} decay rises to ${+(decayTier.nextRate * 100).toFixed(2)}% daily`
+            : '';
+    }
+    
     calculateTokenLifetime(balance, dailyDecayRate) {
         // Calculate when balance will reach 0.01 (effectively zero)
         const minBalance = 0.01;
@@ -632,6 +696,9 @@ AutophageToken address:`;
             
             const tokenNames = ['rhythm', 'healing', 'foundation', 'catalyst'];
             supplies.forEach((supply, i) => {
+                // Species added through governance count toward the total only
+                if (!tokenNames[i]) return;
+                
                 const amount = parseFloat(supply);
                 const percent = total > 0 ? (amount / total * 100).toFixed(1) : '0';
                 
@@ -642,6 +709,10 @@ AutophageToken address:`;
             // Update catalyst ratio for price formula
             const catalystRatio = total > 0 ? (parseFloat(supplies[3]) / total * 100).toFixed(1) : '0';
             document.getElementById('catalystRatio').textContent = catalystRatio + '%';
+            
+            const breakdown = await this.contractManager.getSupplyBreakdown();
+            document.getElementById('lockedSupply').textContent = this.formatNumber(breakdown.locked);
+            document.getElementById('circulatingSupply').textContent = this.formatNumber(breakdown.circulating);
         } catch (error) {
             // Use demo values
             this.updateDemoSupply();
@@ -698,6 +769,9 @@ AutophageToken address:`;
         
         const catalystRatio = (supplies.catalyst / total * 100).toFixed(1);
         document.getElementById('catalystRatio').textContent = catalystRatio + '%';
+        
+        document.getElementById('lockedSupply').textContent = this.formatNumber(1200000);
+        document.getElementById('circulatingSupply').textContent = this.formatNumber(total - 1200000);
     }
     
     formatNumber(num) {
@@ -734,6 +808,16 @@ AutophageToken address:`;
         const amount = document.getElementById('mintAmount').value;
         
         try {
+            // Fail early with a readable message instead of a reverted transaction
+            const allowance = await this.contractManager.getMintAllowance(this.currentAccount, species);
+            if (allowance && parseFloat(amount) > parseFloat(allowance.remaining)) {
+                this.showToast(
+                    `Mint limit reached: ${parseFloat(allowance.remaining).toFixed(2)} ${CONFIG.species[species].symbol} left this epoch (resets ${allowance.resetsAt.toLocaleString()})`,
+                    'error'
+                );
+                return;
+            }
+            
             this.showToast('Minting tokens...', 'info');
             
             const receipt = await this.contractManager.mintTokens(recipient, species, amount);
@@ -754,7 +838,7 @@ AutophageToken address:`;
             // Sync wallet balances for test wallets
             if (window.walletManager.getCurrentWallet()?.type === 'test') {
                 const balances = {};
-                for (let i = 0; i < 4; i++) {
+                for (const i of speciesIds()) {
                     const balance = await this.contractManager.getBalance(this.currentAccount, i);
                     balances[i] = balance;
                 }
@@ -800,7 +884,7 @@ AutophageToken address:`;
             // Sync wallet balances for test wallets
             if (window.walletManager.getCurrentWallet()?.type === 'test') {
                 const balances = {};
-                for (let i = 0; i < 4; i++) {
+                for (const i of speciesIds()) {
                     const balance = await this.contractManager.getBalance(this.currentAccount, i);
                     balances[i] = balance;
                 }
@@ -838,23 +922,33 @@ AutophageToken address:`;
             
             const objectiveText = document.getElementById('vaultObjective').selectedOptions[0].text;
             
-            // Save vault to localStorage
-            const vault = {
-                id: Date.now().toString(),
-                objective: objectiveText,
-                objectiveKey: objective,
-                species: species,
-                amount: parseFloat(amount),
-                duration: duration,
-                startDate: new Date().toISOString(),
-                endDate: new Date(Date.now() + duration * 24 * 60 * 60 * 1000).toISOString(),
-                txHash: receipt.transactionHash,
-                active: true
-            };
-            
-            const vaults = JSON.parse(localStorage.getItem('wellnessVaults') || '[]');
-            vaults.push(vault);
-            localStorage.setItem('wellnessVaults', JSON.stringify(vaults));
+            if (CONFIG.demoMode.enabled) {
+                // Save vault to localStorage
+                const vault = {
+                    id: Date.now().toString(),
+                    objective: objectiveText,
+                    objectiveKey: objective,
+                    species: species,
+                    amount: parseFloat(amount),
+                    duration: duration,
+                    startDate: new Date().toISOString(),
+                    endDate: new Date(Date.now() + duration * 24 * 60 * 60 * 1000).toISOString(),
+                    txHash: receipt.transactionHash,
+                    active: true
+                };
+                
+                const vaults = JSON.parse(localStorage.getItem('wellnessVaults') || '[]');
+                vaults.push(vault);
+                localStorage.setItem('wellnessVaults', JSON.stringify(vaults));
+            } else {
+                // Positions live on chain; only the objective label is kept locally
+                const lockEvent = (receipt.events || []).find(event => event.event === 'VaultLocked');
+                if (lockEvent) {
+                    const objectives = JSON.parse(localStorage.getItem('vaultObjectives') || '{}');
+                    objectives[`${this.currentAccount}:${lockEvent.args.positionId.toString()}`] = objectiveText;
+                    localStorage.setItem('vaultObjectives', JSON.stringify(objectives));
+                }
+            }
             
             this.addTransaction('Vault Lock', {
                 objective: objectiveText,
@@ -1808,12 +1902,30 @@ AutophageToken address:`;
         }
     }
     
-    updateVaultsList() {
+    async loadVaults() {
+        if (CONFIG.demoMode.enabled || !this.currentAccount) {
+            return JSON.parse(localStorage.getItem('wellnessVaults') || '[]')
+                .filter(vault => vault.active);
+        }
+        
+        const objectives = JSON.parse(localStorage.getItem('vaultObjectives') || '{}');
+        const vaults = [];
+        for (const species of speciesIds()) {
+            const positions = await this.contractManager.getVaultPositions(this.currentAccount, species);
+            positions.forEach(position => vaults.push({
+                ...position,
+                objective: objectives[`${this.currentAccount}:${position.id}`] || 'Wellness Vault',
+                onChain: true
+            }));
+        }
+        return vaults;
+    }
+    
+    async updateVaultsList() {
         const vaultsList = document.getElementById('vaultsList');
         if (!vaultsList) return;
         
-        const vaults = JSON.parse(localStorage.getItem('wellnessVaults') || '[]')
-            .filter(vault => vault.active);
+        const vaults = await this.loadVaults();
         
         if (vaults.length === 0) {
             vaultsList.innerHTML = '<p class="empty-state">No active vaults</p>';
@@ -1872,15 +1984,15 @@ AutophageToken address:`;
                     
                     <div class="vault-actions">
                         ${daysRemaining > 0 ? `
-                            <button class="btn btn-secondary" onclick="app.withdrawFromVault('${vault.id}')">
+                            <button class="btn btn-secondary" onclick="app.withdrawFromVault('${vault.id}', ${vault.species})">
                                 Early Withdraw (${withdrawalAmount.toFixed(2)} ${CONFIG.species[vault.species].symbol})
                             </button>
                             <p class="withdrawal-warning">
                                 Early withdrawal penalty: ${penalty.toFixed(2)} tokens (${((penalty/vault.amount)*100).toFixed(1)}%)
                             </p>
                         ` : `
-                            <button class="btn btn-primary" onclick="app.claimVault('${vault.id}')">
-                                Claim Full Amount (${vault.amount.toFixed(2)} ${CONFIG.species[vault.species].symbol})
+                            <button class="btn btn-primary" onclick="app.claimVault('${vault.id}', ${vault.species})">
+                                Claim Full Amount (${(vault.currentAmount ?? vault.amount).toFixed(2)} ${CONFIG.species[vault.species].symbol})
                             </button>
                         `}
                     </div>
@@ -1905,14 +2017,49 @@ AutophageToken address:`;
         const remaining = Math.max(0, endDate - now);
         
         // P_withdrawal = V_locked × (t_remaining/t_total) × p_factor
-        // where p_factor = 0.5
+        // where p_factor = 0.5 (enforced on-chain by withdrawFromVaultEarly)
         const timeRatio = remaining / totalDuration;
         const pFactor = 0.5;
         
-        return vault.amount * timeRatio * pFactor;
+        return (vault.currentAmount ?? vault.amount) * timeRatio * pFactor;
     }
     
-    async withdrawFromVault(vaultId) {
+    async withdrawFromVault(vaultId, species) {
+        if (!CONFIG.demoMode.enabled) {
+            const vault = (await this.loadVaults()).find(v => v.id === vaultId && v.species === species);
+            if (!vault) {
+                this.showToast('Vault not found', 'error');
+                return;
+            }
+            
+            const penalty = this.calculateWithdrawalPenalty(vault);
+            const symbol = CONFIG.species[species].symbol;
+            if (!confirm(`Early withdrawal will incur a penalty of about ${penalty.toFixed(2)} ${symbol}, paid to the Reservoir.\n\nContinue with early withdrawal?`)) return;
+            
+            try {
+                const receipt = await this.contractManager.withdrawFromVaultEarly(species, vaultId);
+                const event = (receipt.events || []).find(e => e.event === 'VaultWithdrawnEarly');
+                const withdrawn = event ? parseFloat(ethers.utils.formatEther(event.args.withdrawn)) : 0;
+                const charged = event ? parseFloat(ethers.utils.formatEther(event.args.penalty)) : penalty;
+                
+                this.addTransaction('Early Vault Withdrawal', {
+                    objective: vault.objective,
+                    species: symbol,
+                    withdrawn: withdrawn.toFixed(2),
+                    penalty: charged.toFixed(2),
+                    txHash: receipt.transactionHash
+                });
+                
+                this.showToast(`Successfully withdrew ${withdrawn.toFixed(2)} ${symbol} (penalty: ${charged.toFixed(2)} tokens)`, 'success');
+                
+                this.updateBalances();
+                this.updateVaultsList();
+            } catch (error) {
+                this.showToast('Withdrawal failed: ' + error.message, 'error');
+            }
+            return;
+        }
+        
         const vaults = JSON.parse(localStorage.getItem('wellnessVaults') || '[]');
         const vault = vaults.find(v => v.id === vaultId);
         
@@ -1960,7 +2107,27 @@ AutophageToken address:`;
         }
     }
     
-    async claimVault(vaultId) {
+    async claimVault(vaultId, species) {
+        if (!CONFIG.demoMode.enabled) {
+            try {
+                // Releases every matured position of this species
+                const receipt = await this.contractManager.unlockFromVault(species);
+                
+                this.addTransaction('Vault Claim', {
+                    species: CONFIG.species[species].symbol,
+                    txHash: receipt.transactionHash
+                });
+                
+                this.showToast(`Successfully claimed matured ${CONFIG.species[species].name} vaults!`, 'success');
+                
+                this.updateBalances();
+                this.updateVaultsList();
+            } catch (error) {
+                this.showToast('Claim failed: ' + error.message, 'error');
+            }
+            return;
+        }
+        
         const vaults = JSON.parse(localStorage.getItem('wellnessVaults') || '[]');
         const vault = vaults.find(v => v.id === vaultId);
         
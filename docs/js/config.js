@@ -26,17 +26,40 @@ const CONFIG = {
             "function mint(address to, uint8 species, uint256 amount) external",
             "function transfer(address to, uint8 species, uint256 amount) external returns (bool)",
             "function balanceOf(address account, uint8 species) external view returns (uint256)",
-            "function lockInVault(uint8 species, uint256 amount, uint256 lockDays) external",
-            "function unlockFromVault(uint8 species) external",
+            "function liquidBalanceOf(address account, uint8 species) external view returns (uint256)",
+            "function vaultBalanceOf(address account, uint8 species) external view returns (uint256)",
+            "function lockInVault(uint8 species, uint256 amount, uint256 lockDays) external returns (uint256)",
+            "function unlockFromVault(uint8 species) external returns (uint256)",
+            "function withdrawFromVaultEarly(uint8 species, uint256 positionId) external returns (uint256 withdrawn, uint256 penalty)",
+            "function calculateEarlyWithdrawalPenalty(address user, uint8 species, uint256 positionId) external view returns (uint256)",
+            "function getVaultPositions(address user, uint8 species) external view returns (tuple(uint128 amount, uint64 lastUpdate, uint64 startTime, uint128 principal, uint64 lockedUntil, uint64 id)[] positions, uint256[] currentValues)",
             "function MINTER_ROLE() external view returns (bytes32)",
             "function RESERVOIR_ROLE() external view returns (bytes32)",
             "function grantRole(bytes32 role, address account) external",
             "function hasRole(bytes32 role, address account) external view returns (bool)",
             "function pause() external",
             "function unpause() external",
+            "function approve(address spender, uint8 species, uint256 amount) external returns (bool)",
+            "function allowance(address owner, address spender, uint8 species) external view returns (uint256)",
+            "function transferFrom(address from, address to, uint8 species, uint256 amount) external returns (bool)",
             "function setApprovalForAll(address operator, bool approved) external",
+            "function isApprovedForAll(address owner, address operator) external view returns (bool)",
+            "function decayRates(uint8 species) external view returns (uint256)",
+            "function totalSupply(uint8 species) external view returns (uint256)",
+            "function decayedTotalSupply(uint8 species) external view returns (uint256)",
+            "function circulatingSupply(uint8 species) external view returns (uint256)",
+            "function getSupplyBreakdown(uint8 species) external view returns (uint256 settled, uint256 decayed, uint256 locked, uint256 reservoirHeld, uint256 circulating)",
+            "function getWhaleTiers(uint8 species) external view returns (uint256[] thresholds, uint256[] multipliers)",
+            "function getWhaleTier(uint8 species, uint256 balance) external view returns (uint256 tier, uint256 effectiveRate)",
+            "function getEffectiveDecayRate(address user, uint8 species) external view returns (uint256 tier, uint256 effectiveRate)",
+            "function nonces(address owner) external view returns (uint256)",
+            "function permit(address owner, address spender, uint8 species, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+            "function transferBySig(address from, address to, uint8 species, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns (bool)",
+            "function lockInVaultBySig(address owner, uint8 species, uint256 amount, uint256 lockDays, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external returns (uint256)",
             "event Transfer(address indexed from, address indexed to, uint8 indexed species, uint256 amount)",
-            "event VaultLocked(address indexed user, uint8 indexed species, uint256 amount, uint256 lockDays)"
+            "event VaultLocked(address indexed user, uint8 indexed species, uint256 indexed positionId, uint256 amount, uint256 lockDuration)",
+            "event VaultUnlocked(address indexed user, uint8 indexed species, uint256 indexed positionId, uint256 amount)",
+            "event VaultWithdrawnEarly(address indexed user, uint8 indexed species, uint256 indexed positionId, uint256 lockedValue, uint256 penalty, uint256 withdrawn, uint256 timeRemaining)"
         ],
         
         MockERC20: [
@@ -67,10 +90,53 @@ const CONFIG = {
             "function vote(bytes32 proposalId, bool support) external",
             "function executeProposal(bytes32 proposalId) external",
             "function getProposal(bytes32 proposalId) external view returns (tuple(bytes32 id, address proposer, uint8 proposalType, uint256 forVotes, uint256 againstVotes, uint256 startTime, uint256 endTime, uint8 status))"
+        ],
+        
+        SupplyGuard: [
+            "function remainingMinterAllowance(address minter, uint8 species) external view returns (uint256)",
+            "function remainingEpochBudget(uint8 species) external view returns (uint256)",
+            "function nextEpochStart() external view returns (uint256)"
+        ],
+        
+        SpeciesRegistry: [
+            "function speciesCount() external view returns (uint8)",
+            "function getSpecies(uint8 species) external view returns (tuple(uint8 id, string name, string symbol, uint8 decimals, string description, uint256 decayRate, bool continuous))",
+            "function getAllSpecies() external view returns (tuple(uint8 id, string name, string symbol, uint8 decimals, string description, uint256 decayRate, bool continuous)[])"
         ]
     },
     
-    // Token species configuration
+    // Gasless relayer (scripts/relayer.js) and the EIP-712 types it accepts
+    relayer: {
+        url: 'http://localhost:8546',
+        types: {
+            Permit: [
+                { name: 'owner', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'species', type: 'uint8' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ],
+            Transfer: [
+                { name: 'from', type: 'address' },
+                { name: 'to', type: 'address' },
+                { name: 'species', type: 'uint8' },
+                { name: 'amount', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ],
+            LockInVault: [
+                { name: 'owner', type: 'address' },
+                { name: 'species', type: 'uint8' },
+                { name: 'amount', type: 'uint256' },
+                { name: 'lockDays', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        }
+    },
+    
+    // Token species configuration; genesis defaults, replaced from SpeciesRegistry when connected
     species: {
         0: { name: 'Rhythm', symbol: 'RHY', color: '#ef4444', decay: 0.05 },
         1: { name: 'Healing', symbol: 'HLN', color: '#10b981', decay: 0.0075 },
@@ -78,6 +144,9 @@ const CONFIG = {
         3: { name: 'Catalyst', symbol: 'CTL', color: '#f59e0b', decay: 0.05 } // Average decay
     },
     
+    // Colors for species added through governance
+    speciesPalette: ['#8b5cf6', '#ec4899', '#14b8a6', '#84cc16', '#6366f1', '#f97316'],
+    
     // Activity types
     activities: {
         0: { name: 'Exercise', icon: '🏃', baseReward: 50 },
@@ -105,7 +174,9 @@ let CONTRACT_ADDRESSES = {
     MockUSDC: '',
     ReservoirContract: '',
     VerificationEngine: '',
-    GovernanceContract: ''
+    GovernanceContract: '',
+    SupplyGuard: '', // Optional; mint limits are checked before sending when set
+    SpeciesRegistry: '' // Optional; species are read from chain when set
 };
 
 // Load contract addresses from localStorage if available
@@ -122,8 +193,14 @@ function saveContractAddresses(addresses) {
     localStorage.setItem('autophage_contracts', JSON.stringify(addresses));
 }
 
+// Ids of all known species, in order
+function speciesIds() {
+    return Object.keys(CONFIG.species).map(Number).sort((a, b) => a - b);
+}
+
 // Export for use in other modules
 window.CONFIG = CONFIG;
 window.CONTRACT_ADDRESSES = CONTRACT_ADDRESSES;
 window.loadContractAddresses = loadContractAddresses;
-window.saveContractAddresses = saveContractAddresses;
\ No newline at end of file
+window.saveContractAddresses = saveContractAddresses;
+window.speciesIds = speciesIds;
\ No newline at end of file
@@ -173,12 +173,52 @@ class ContractManager {
                 CONFIG.abis.GovernanceContract,
                 this.signer
             );
+
+            if (CONTRACT_ADDRESSES.SupplyGuard) {
+                this.contracts.supplyGuard = new ethers.Contract(
+                    CONTRACT_ADDRESSES.SupplyGuard,
+                    CONFIG.abis.SupplyGuard,
+                    this.signer
+                );
+            }
+
+            if (CONTRACT_ADDRESSES.SpeciesRegistry) {
+                this.contracts.speciesRegistry = new ethers.Contract(
+                    CONTRACT_ADDRESSES.SpeciesRegistry,
+                    CONFIG.abis.SpeciesRegistry,
+                    this.signer
+                );
+                await this.loadSpecies();
+            }
         } catch (error) {
             console.error('Failed to load contracts:', error);
             throw error;
         }
     }
 
+    // Replace the built-in species list with the registry's, keeping known colors
+    async loadSpecies() {
+        try {
+            const all = await this.contracts.speciesRegistry.getAllSpecies();
+            const species = {};
+            all.forEach((info, i) => {
+                const id = Number(info.id);
+                species[id] = {
+                    name: info.name,
+                    symbol: info.symbol,
+                    description: info.description,
+                    color: CONFIG.species[id]?.color || CONFIG.speciesPalette[i % CONFIG.speciesPalette.length],
+                    decay: parseFloat(ethers.utils.formatEther(info.decayRate)),
+                    continuous: info.continuous
+                };
+            });
+            CONFIG.species = species;
+        } catch (error) {
+            // Keep the built-in genesis species
+            console.error('Failed to load species registry:', error);
+        }
+    }
+
     // Create mock contracts for demo mode
     createMockContracts() {
         this.mockBalances = { ...CONFIG.demoMode.mockBalances };
@@ -278,6 +318,39 @@ class ContractManager {
         }
     }
     
+    // Get the whale tier and effective daily decay rate for a balance, plus the next tier up
+    async getDecayTier(address, species) {
+        if (CONFIG.demoMode.enabled) {
+            return { tier: 0, rate: CONFIG.species[species].decay, nextThreshold: null, nextRate: null };
+        }
+        try {
+            const token = this.contracts.autophageToken;
+            const [tier, rate] = await token.getEffectiveDecayRate(address, species);
+            const [thresholds, multipliers] = await token.getWhaleTiers(species);
+            const tierIndex = tier.toNumber();
+
+            let nextThreshold = null;
+            let nextRate = null;
+            if (tierIndex < thresholds.length) {
+                const baseRate = await token.decayRates(species);
+                nextThreshold = parseFloat(ethers.utils.formatEther(thresholds[tierIndex]));
+                nextRate = parseFloat(ethers.utils.formatEther(
+                    baseRate.mul(multipliers[tierIndex + 1]).div(ethers.constants.WeiPerEther)
+                ));
+            }
+
+            return {
+                tier: tierIndex,
+                rate: parseFloat(ethers.utils.formatEther(rate)),
+                nextThreshold,
+                nextRate
+            };
+        } catch (error) {
+            console.error('Failed to get decay tier:', error);
+            return { tier: 0, rate: CONFIG.species[species].decay, nextThreshold: null, nextRate: null };
+        }
+    }
+    
     // Get USDC balance
     async getUSDCBalance(address) {
         if (CONFIG.demoMode.enabled) {
@@ -308,6 +381,26 @@ class ContractManager {
         }
     }
 
+    // Get how much a minter can still mint this epoch, or null when no SupplyGuard is configured
+    async getMintAllowance(minter, species) {
+        if (CONFIG.demoMode.enabled || !this.contracts.supplyGuard) {
+            return null;
+        }
+        try {
+            const [allowance, resetsAt] = await Promise.all([
+                this.contracts.supplyGuard.remainingMinterAllowance(minter, species),
+                this.contracts.supplyGuard.nextEpochStart()
+            ]);
+            return {
+                remaining: ethers.utils.formatEther(allowance),
+                resetsAt: new Date(resetsAt.toNumber() * 1000)
+            };
+        } catch (error) {
+            console.error('Failed to get mint allowance:', error);
+            return null;
+        }
+    }
+
     // Transfer tokens
     async transferTokens(recipient, species, amount) {
         try {
@@ -338,6 +431,102 @@ class ContractManager {
         }
     }
 
+    // Release matured vault positions
+    async unlockFromVault(species) {
+        try {
+            const tx = await this.contracts.autophageToken.unlockFromVault(species);
+            return await tx.wait();
+        } catch (error) {
+            console.error('Unlock failed:', error);
+            throw error;
+        }
+    }
+
+    // Exit a vault position before maturity, paying the penalty to the Reservoir
+    async withdrawFromVaultEarly(species, positionId) {
+        try {
+            const tx = await this.contracts.autophageToken.withdrawFromVaultEarly(species, positionId);
+            return await tx.wait();
+        } catch (error) {
+            console.error('Early withdrawal failed:', error);
+            throw error;
+        }
+    }
+
+    // Get open vault positions for a species
+    async getVaultPositions(address, species) {
+        try {
+            const [positions, currentValues] = await this.contracts.autophageToken.getVaultPositions(address, species);
+            return positions.map((position, i) => ({
+                id: position.id.toString(),
+                species,
+                amount: parseFloat(ethers.utils.formatEther(position.principal)),
+                currentAmount: parseFloat(ethers.utils.formatEther(currentValues[i])),
+                duration: position.lockedUntil.sub(position.startTime).toNumber() / 86400,
+                startDate: new Date(position.startTime.toNumber() * 1000).toISOString(),
+                endDate: new Date(position.lockedUntil.toNumber() * 1000).toISOString()
+            }));
+        } catch (error) {
+            console.error('Failed to get vault positions:', error);
+            return [];
+        }
+    }
+
+    // Sign an EIP-712 request and submit it through the relayer, which pays the gas
+    async relaySignedRequest(type, fields) {
+        try {
+            const signerField = type === 'Transfer' ? 'from' : 'owner';
+            const owner = await this.signer.getAddress();
+            const domainResponse = await fetch(`${CONFIG.relayer.url}/domain`);
+            const domain = await domainResponse.json();
+            const message = {
+                ...fields,
+                [signerField]: owner,
+                nonce: (await this.contracts.autophageToken.nonces(owner)).toString(),
+                deadline: Math.floor(Date.now() / 1000) + 3600
+            };
+
+            const signature = await this.signer._signTypedData(
+                domain,
+                { [type]: CONFIG.relayer.types[type] },
+                message
+            );
+
+            const response = await fetch(`${CONFIG.relayer.url}/relay`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ type, message, signature })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error);
+            }
+
+            return await this.provider.waitForTransaction(result.hash);
+        } catch (error) {
+            console.error('Relayed request failed:', error);
+            throw error;
+        }
+    }
+
+    // Gasless transfer via the relayer
+    async transferTokensGasless(recipient, species, amount) {
+        return this.relaySignedRequest('Transfer', {
+            to: recipient,
+            species,
+            amount: ethers.utils.parseEther(amount.toString()).toString()
+        });
+    }
+
+    // Gasless vault lock via the relayer
+    async lockInVaultGasless(species, amount, lockDays) {
+        return this.relaySignedRequest('LockInVault', {
+            species,
+            amount: ethers.utils.parseEther(amount.toString()).toString(),
+            lockDays
+        });
+    }
+
 
     // Check if user has minter role
     async hasMinterRole(address) {
@@ -383,8 +572,9 @@ class ContractManager {
         }
         try {
             const supplies = [];
-            for (let i = 0; i < 4; i++) {
-                const supply = await this.contracts.autophageToken.totalSupply(i);
+            for (const i of speciesIds()) {
+                // Includes pending decay; totalSupply alone only reflects settled balances
+                const supply = await this.contracts.autophageToken.decayedTotalSupply(i);
                 supplies.push(ethers.utils.formatUnits(supply, 18));
             }
             return supplies;
@@ -394,6 +584,26 @@ class ContractManager {
         }
     }
     
+    // Get locked, Reservoir-held and circulating supply summed across species
+    async getSupplyBreakdown() {
+        if (CONFIG.demoMode.enabled) {
+            return { locked: 1200000, reservoirHeld: 0, circulating: 10900000 };
+        }
+        try {
+            const totals = { locked: 0, reservoirHeld: 0, circulating: 0 };
+            for (const i of speciesIds()) {
+                const breakdown = await this.contracts.autophageToken.getSupplyBreakdown(i);
+                totals.locked += parseFloat(ethers.utils.formatEther(breakdown.locked));
+                totals.reservoirHeld += parseFloat(ethers.utils.formatEther(breakdown.reservoirHeld));
+                totals.circulating += parseFloat(ethers.utils.formatEther(breakdown.circulating));
+            }
+            return totals;
+        } catch (error) {
+            console.error('Failed to get supply breakdown:', error);
+            return { locked: 0, reservoirHeld: 0, circulating: 0 };
+        }
+    }
+    
     // Get reservoir stats
     async getReservoirStats() {
         if (CONFIG.demoMode.enabled) {
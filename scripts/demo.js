@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployAutophageToken, deployProxy } = require("./upgradeable");
 
 async function main() {
   console.log("\n🧬 Autophage Protocol Demo");
@@ -16,27 +17,21 @@ async function main() {
   // Deploy contracts
   console.log("\n📦 Deploying contracts...");
   
-  const AutophageToken = await hre.ethers.getContractFactory("AutophageToken");
-  const autophageToken = await AutophageToken.deploy();
-  await autophageToken.waitForDeployment();
+  const autophageToken = await deployAutophageToken();
   
   const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
   const mockUSDC = await MockERC20.deploy();
   await mockUSDC.waitForDeployment();
   
-  const ReservoirContract = await hre.ethers.getContractFactory("ReservoirContract");
-  const reservoir = await ReservoirContract.deploy(
+  const reservoir = await deployProxy("ReservoirContract", [
     await autophageToken.getAddress(),
     await mockUSDC.getAddress()
-  );
-  await reservoir.waitForDeployment();
+  ]);
   
-  const VerificationEngine = await hre.ethers.getContractFactory("VerificationEngine");
-  const verificationEngine = await VerificationEngine.deploy(
+  const verificationEngine = await deployProxy("VerificationEngine", [
     await autophageToken.getAddress(),
     await reservoir.getAddress()
-  );
-  await verificationEngine.waitForDeployment();
+  ]);
   
   console.log("✅ All contracts deployed!");
   
@@ -147,7 +142,12 @@ async function main() {
       }
     }
     
-    // Note: Vault info is stored privately in the contract
+    for (let i = 0; i < 4; i++) {
+      const [positions, currentValues] = await autophageToken.getVaultPositions(account.address, i);
+      positions.forEach((position, j) => {
+        console.log(`  🔒 Vault #${position.id} (${species[i]}): ${hre.ethers.formatEther(currentValues[j])} tokens`);
+      });
+    }
   }
   
   console.log("\n✨ Demo complete! The Autophage Protocol demonstrates:");
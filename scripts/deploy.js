@@ -1,6 +1,60 @@
 const hre = require("hardhat");
+const fs = require("fs");
+const { deployLibraries, deployProxy, recordImplementations, upgradeContract } = require("./upgradeable");
+
+// Per-species emission limits enforced by SupplyGuard, reset daily
+const EPOCH_DURATION = 86400;
+const DAILY_EMISSION_BUDGET = hre.ethers.parseEther("1000000");
+const VERIFIER_DAILY_CAP = hre.ethers.parseEther("1000000");
+const DISTRIBUTOR_DAILY_CAP = hre.ethers.parseEther("1000000");
+const RESERVOIR_DAILY_CAP = hre.ethers.parseEther("1000000");
+const LOCAL_TEST_MINTER_CAP = hre.ethers.parseEther("100000");
+
+// Share of each species' collected decay paid back to active users every redistribution epoch
+const REDISTRIBUTION_SPLIT_BPS = 5000;
+
+// Circuit breakers reject mints or transfers past 10% of supply in a block, or 25% in a day
+const BREAKER_BLOCK_LIMIT_BPS = 1000;
+const BREAKER_DAY_LIMIT_BPS = 2500;
+const BREAKER_MIN_SUPPLY = hre.ethers.parseEther("100000");
+
+/**
+ * Upgrade proxies from an existing deployment instead of deploying:
+ *   UPGRADE=AutophageToken,ReservoirContract npx hardhat run scripts/deploy.js --network localhost
+ *
+ * Each new implementation's storage layout is validated against the one in
+ * use before upgrading, and the implementation history is kept in
+ * deployments/<network>.json.
+ */
+async function upgrade(names) {
+  const deploymentPath = `./deployments/${hre.network.name}.json`;
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No deployment found at ${deploymentPath}`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+
+  console.log(`Upgrading ${names.join(", ")} on ${hre.network.name}...\n`);
+
+  for (const name of names) {
+    console.log(`Validating ${name} storage layout...`);
+    const record = await upgradeContract(deployment, name);
+    if (record) {
+      console.log(`${name} upgraded to implementation ${record.address}`);
+    } else {
+      console.log(`${name} is already up to date`);
+    }
+    // Save after each upgrade so a failure later on keeps the history accurate
+    fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+  }
+
+  console.log(`\nImplementation history saved to ${deploymentPath}`);
+}
 
 async function main() {
+  if (process.env.UPGRADE) {
+    return upgrade(process.env.UPGRADE.split(",").map((name) => name.trim()).filter(Boolean));
+  }
+
   console.log("Starting Autophage Protocol deployment...\n");
 
   // Get deployer account
@@ -9,12 +63,14 @@ async function main() {
   console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
   console.log();
 
-  // Deploy AutophageToken
+  // Deploy AutophageToken behind a transparent proxy, linked to its libraries
   console.log("1. Deploying AutophageToken...");
-  const AutophageToken = await hre.ethers.getContractFactory("AutophageToken");
-  const autophageToken = await AutophageToken.deploy();
-  await autophageToken.waitForDeployment();
-  console.log("AutophageToken deployed to:", await autophageToken.getAddress());
+  const tokenLibraries = await deployLibraries("AutophageToken");
+  for (const [name, address] of Object.entries(tokenLibraries)) {
+    console.log(`${name} library deployed to:`, address);
+  }
+  const autophageToken = await deployProxy("AutophageToken", [], { libraries: tokenLibraries });
+  console.log("AutophageToken proxy deployed to:", await autophageToken.getAddress());
 
   // Deploy mock USDC for testing
   console.log("\n2. Deploying mock USDC...");
@@ -25,48 +81,157 @@ async function main() {
 
   // Deploy ReservoirContract
   console.log("\n3. Deploying ReservoirContract...");
-  const ReservoirContract = await hre.ethers.getContractFactory("ReservoirContract");
-  const reservoir = await ReservoirContract.deploy(
+  const reservoirLibraries = await deployLibraries("ReservoirContract");
+  const reservoir = await deployProxy("ReservoirContract", [
     await autophageToken.getAddress(),
     await mockUSDC.getAddress()
-  );
-  await reservoir.waitForDeployment();
-  console.log("ReservoirContract deployed to:", await reservoir.getAddress());
+  ], { libraries: reservoirLibraries });
+  console.log("ReservoirContract proxy deployed to:", await reservoir.getAddress());
 
   // Deploy VerificationEngine
   console.log("\n4. Deploying VerificationEngine...");
-  const VerificationEngine = await hre.ethers.getContractFactory("VerificationEngine");
-  const verificationEngine = await VerificationEngine.deploy(
+  const verificationEngine = await deployProxy("VerificationEngine", [
     await autophageToken.getAddress(),
     await reservoir.getAddress()
-  );
-  await verificationEngine.waitForDeployment();
-  console.log("VerificationEngine deployed to:", await verificationEngine.getAddress());
+  ]);
+  console.log("VerificationEngine proxy deployed to:", await verificationEngine.getAddress());
 
   // Deploy GovernanceContract
   console.log("\n5. Deploying GovernanceContract...");
-  const GovernanceContract = await hre.ethers.getContractFactory("GovernanceContract");
-  const governance = await GovernanceContract.deploy(
+  const governance = await deployProxy("GovernanceContract", [
     await autophageToken.getAddress(),
     await autophageToken.getAddress() // Using same token as catalyst for testing
+  ]);
+  console.log("GovernanceContract proxy deployed to:", await governance.getAddress());
+
+  // Deploy SpeciesRegistry
+  console.log("\n6. Deploying SpeciesRegistry...");
+  const SpeciesRegistry = await hre.ethers.getContractFactory("SpeciesRegistry");
+  const speciesRegistry = await SpeciesRegistry.deploy(await autophageToken.getAddress());
+  await speciesRegistry.waitForDeployment();
+  console.log("SpeciesRegistry deployed to:", await speciesRegistry.getAddress());
+
+  // Deploy AutophageERC1155 adapter
+  console.log("\n7. Deploying AutophageERC1155...");
+  const AutophageERC1155 = await hre.ethers.getContractFactory("AutophageERC1155");
+  const erc1155Adapter = await AutophageERC1155.deploy(
+    await autophageToken.getAddress(),
+    await speciesRegistry.getAddress()
   );
-  await governance.waitForDeployment();
-  console.log("GovernanceContract deployed to:", await governance.getAddress());
+  await erc1155Adapter.waitForDeployment();
+  console.log("AutophageERC1155 deployed to:", await erc1155Adapter.getAddress());
+
+  // Deploy CatalystDecayController
+  console.log("\n8. Deploying CatalystDecayController...");
+  const CatalystDecayController = await hre.ethers.getContractFactory("CatalystDecayController");
+  const catalystDecayController = await CatalystDecayController.deploy(
+    await autophageToken.getAddress(),
+    await reservoir.getAddress()
+  );
+  await catalystDecayController.waitForDeployment();
+  console.log("CatalystDecayController deployed to:", await catalystDecayController.getAddress());
+
+  // Deploy SupplyGuard
+  console.log("\n9. Deploying SupplyGuard...");
+  const SupplyGuard = await hre.ethers.getContractFactory("SupplyGuard");
+  const supplyGuard = await SupplyGuard.deploy(await autophageToken.getAddress(), EPOCH_DURATION);
+  await supplyGuard.waitForDeployment();
+  console.log("SupplyGuard deployed to:", await supplyGuard.getAddress());
+
+  // Deploy POTPSettlement
+  console.log("\n10. Deploying POTPSettlement...");
+  const POTPSettlement = await hre.ethers.getContractFactory("POTPSettlement");
+  const potpSettlement = await POTPSettlement.deploy(await autophageToken.getAddress());
+  await potpSettlement.waitForDeployment();
+  console.log("POTPSettlement deployed to:", await potpSettlement.getAddress());
+
+  // Deploy RewardDistributor, linked to the same DecayMath for epoch-time decay
+  console.log("\n11. Deploying RewardDistributor...");
+  const RewardDistributor = await hre.ethers.getContractFactory("RewardDistributor", {
+    libraries: { DecayMath: tokenLibraries.DecayMath }
+  });
+  const rewardDistributor = await RewardDistributor.deploy(await autophageToken.getAddress());
+  await rewardDistributor.waitForDeployment();
+  console.log("RewardDistributor deployed to:", await rewardDistributor.getAddress());
 
   // Setup roles
-  console.log("\n6. Setting up roles...");
+  console.log("\n12. Setting up roles...");
   
   const MINTER_ROLE = await autophageToken.MINTER_ROLE();
   const RESERVOIR_ROLE = await autophageToken.RESERVOIR_ROLE();
+  const BURNER_ROLE = await autophageToken.BURNER_ROLE();
+  const TRANSFER_AGENT_ROLE = await autophageToken.TRANSFER_AGENT_ROLE();
+  const DECAY_CONTROLLER_ROLE = await autophageToken.DECAY_CONTROLLER_ROLE();
+  const REGISTRAR_ROLE = await autophageToken.REGISTRAR_ROLE();
 
   await autophageToken.grantRole(MINTER_ROLE, await verificationEngine.getAddress());
   console.log("- Granted MINTER_ROLE to VerificationEngine");
 
+  await autophageToken.grantRole(MINTER_ROLE, await rewardDistributor.getAddress());
+  console.log("- Granted MINTER_ROLE to RewardDistributor");
+
+  await autophageToken.grantRole(MINTER_ROLE, await reservoir.getAddress());
+  console.log("- Granted MINTER_ROLE to ReservoirContract (decay redistribution)");
+
+  await autophageToken.grantRole(BURNER_ROLE, await verificationEngine.getAddress());
+  console.log("- Granted BURNER_ROLE to VerificationEngine");
+
+  await autophageToken.grantRole(BURNER_ROLE, await potpSettlement.getAddress());
+  console.log("- Granted BURNER_ROLE to POTPSettlement");
+
   await autophageToken.grantRole(RESERVOIR_ROLE, await reservoir.getAddress());
   console.log("- Granted RESERVOIR_ROLE to ReservoirContract");
 
+  await autophageToken.setReservoir(await reservoir.getAddress());
+  console.log("- Set ReservoirContract as vault penalty recipient");
+
+  await autophageToken.grantRole(TRANSFER_AGENT_ROLE, await erc1155Adapter.getAddress());
+  await autophageToken.setTransferListener(await erc1155Adapter.getAddress());
+  console.log("- Granted TRANSFER_AGENT_ROLE to AutophageERC1155 and set it as transfer listener");
+
+  await autophageToken.grantRole(DECAY_CONTROLLER_ROLE, await catalystDecayController.getAddress());
+  console.log("- Granted DECAY_CONTROLLER_ROLE to CatalystDecayController");
+
+  await autophageToken.grantRole(REGISTRAR_ROLE, await speciesRegistry.getAddress());
+  console.log("- Granted REGISTRAR_ROLE to SpeciesRegistry");
+
+  await reservoir.grantRole(await reservoir.ORACLE_ROLE(), deployer.address);
+  console.log("- Granted Reservoir ORACLE_ROLE to deployer (decay keeper)");
+
+  await reservoir.grantRole(await reservoir.ACTIVITY_ROLE(), await verificationEngine.getAddress());
+  console.log("- Granted Reservoir ACTIVITY_ROLE to VerificationEngine");
+
+  await reservoir.grantRole(await reservoir.PROVIDER_MANAGER_ROLE(), deployer.address);
+  await reservoir.grantRole(await reservoir.SETTLEMENT_ROLE(), deployer.address);
+  console.log("- Granted Reservoir PROVIDER_MANAGER_ROLE and SETTLEMENT_ROLE to deployer");
+
+  await reservoir.setVerificationEngine(await verificationEngine.getAddress());
+  console.log("- Set VerificationEngine as the Reservoir's app stake manager");
+
+  // Configure mint limits before the guard goes live
+  const speciesCount = Number(await autophageToken.speciesCount());
+  for (let species = 0; species < speciesCount; species++) {
+    await supplyGuard.setEpochBudget(species, DAILY_EMISSION_BUDGET);
+    await supplyGuard.setMinterCap(await verificationEngine.getAddress(), species, VERIFIER_DAILY_CAP);
+    await supplyGuard.setMinterCap(await rewardDistributor.getAddress(), species, DISTRIBUTOR_DAILY_CAP);
+    await supplyGuard.setMinterCap(await reservoir.getAddress(), species, RESERVOIR_DAILY_CAP);
+    await reservoir.setRedistributionSplit(species, REDISTRIBUTION_SPLIT_BPS);
+    await supplyGuard.setCircuitBreaker(species, BREAKER_BLOCK_LIMIT_BPS, BREAKER_DAY_LIMIT_BPS, BREAKER_MIN_SUPPLY);
+  }
+  console.log("- Set daily emission budgets, minter caps, circuit breakers and redistribution splits");
+
+  if (hre.network.name === "hardhat" || hre.network.name === "localhost") {
+    for (let species = 0; species < speciesCount; species++) {
+      await supplyGuard.setMinterCap(deployer.address, species, LOCAL_TEST_MINTER_CAP);
+    }
+    console.log("- Set deployer mint caps for local testing");
+  }
+
+  await autophageToken.setTransferGuard(await supplyGuard.getAddress());
+  console.log("- Set SupplyGuard as token transfer guard");
+
   // Mint some initial USDC to reservoir for testing
-  console.log("\n7. Minting initial USDC to Reservoir...");
+  console.log("\n13. Minting initial USDC to Reservoir...");
   await mockUSDC.mint(await reservoir.getAddress(), hre.ethers.parseEther("1000000")); // 1M USDC
   console.log("- Minted 1,000,000 USDC to Reservoir");
 
@@ -78,14 +243,22 @@ async function main() {
       MockUSDC: await mockUSDC.getAddress(),
       ReservoirContract: await reservoir.getAddress(),
       VerificationEngine: await verificationEngine.getAddress(),
-      GovernanceContract: await governance.getAddress()
+      GovernanceContract: await governance.getAddress(),
+      SpeciesRegistry: await speciesRegistry.getAddress(),
+      AutophageERC1155: await erc1155Adapter.getAddress(),
+      CatalystDecayController: await catalystDecayController.getAddress(),
+      SupplyGuard: await supplyGuard.getAddress(),
+      POTPSettlement: await potpSettlement.getAddress(),
+      RewardDistributor: await rewardDistributor.getAddress(),
+      ...tokenLibraries,
+      ...reservoirLibraries
     },
     deployer: deployer.address,
     timestamp: new Date().toISOString()
   };
+  await recordImplementations(deployment);
 
   // Write deployment info to file
-  const fs = require("fs");
   const deploymentPath = `./deployments/${hre.network.name}.json`;
   
   if (!fs.existsSync("./deployments")) {
@@ -103,6 +276,13 @@ async function main() {
   console.log("ReservoirContract:", deployment.contracts.ReservoirContract);
   console.log("VerificationEngine:", deployment.contracts.VerificationEngine);
   console.log("GovernanceContract:", deployment.contracts.GovernanceContract);
+  console.log("SpeciesRegistry:", deployment.contracts.SpeciesRegistry);
+  console.log("AutophageERC1155:", deployment.contracts.AutophageERC1155);
+  console.log("CatalystDecayController:", deployment.contracts.CatalystDecayController);
+  console.log("SupplyGuard:", deployment.contracts.SupplyGuard);
+  console.log("POTPSettlement:", deployment.contracts.POTPSettlement);
+  console.log("RewardDistributor:", deployment.contracts.RewardDistributor);
+  console.log("ProxyAdmin:", deployment.contracts.ProxyAdmin);
   console.log("========================================\n");
 
   console.log("✅ Deployment complete!");
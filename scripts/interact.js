@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployLibraries, deployProxy, recordImplementations } = require("./upgradeable");
 
 // Color codes for better terminal output
 const colors = {
@@ -23,10 +24,9 @@ async function deployContracts() {
   
   log("\n📦 Deploying contracts...", "yellow");
   
-  // Deploy AutophageToken
-  const AutophageToken = await hre.ethers.getContractFactory("AutophageToken");
-  const autophageToken = await AutophageToken.deploy();
-  await autophageToken.waitForDeployment();
+  // Deploy AutophageToken behind a proxy
+  const tokenLibraries = await deployLibraries("AutophageToken");
+  const autophageToken = await deployProxy("AutophageToken", [], { libraries: tokenLibraries });
   
   // Deploy mock USDC
   const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
@@ -34,46 +34,92 @@ async function deployContracts() {
   await mockUSDC.waitForDeployment();
   
   // Deploy ReservoirContract
-  const ReservoirContract = await hre.ethers.getContractFactory("ReservoirContract");
-  const reservoir = await ReservoirContract.deploy(
+  const reservoirLibraries = await deployLibraries("ReservoirContract");
+  const reservoir = await deployProxy("ReservoirContract", [
     await autophageToken.getAddress(),
     await mockUSDC.getAddress()
-  );
-  await reservoir.waitForDeployment();
+  ], { libraries: reservoirLibraries });
   
   // Deploy VerificationEngine
-  const VerificationEngine = await hre.ethers.getContractFactory("VerificationEngine");
-  const verificationEngine = await VerificationEngine.deploy(
+  const verificationEngine = await deployProxy("VerificationEngine", [
     await autophageToken.getAddress(),
     await reservoir.getAddress()
-  );
-  await verificationEngine.waitForDeployment();
+  ]);
   
   // Deploy catalyst token for governance
   const catalystToken = await MockERC20.deploy();
   await catalystToken.waitForDeployment();
   
   // Deploy GovernanceContract
-  const GovernanceContract = await hre.ethers.getContractFactory("GovernanceContract");
-  const governance = await GovernanceContract.deploy(
+  const governance = await deployProxy("GovernanceContract", [
     await autophageToken.getAddress(),
     await catalystToken.getAddress()
+  ]);
+  
+  // Deploy species registry
+  const SpeciesRegistry = await hre.ethers.getContractFactory("SpeciesRegistry");
+  const speciesRegistry = await SpeciesRegistry.deploy(await autophageToken.getAddress());
+  await speciesRegistry.waitForDeployment();
+  
+  // Deploy ERC-1155 adapter
+  const AutophageERC1155 = await hre.ethers.getContractFactory("AutophageERC1155");
+  const erc1155Adapter = await AutophageERC1155.deploy(
+    await autophageToken.getAddress(),
+    await speciesRegistry.getAddress()
   );
-  await governance.waitForDeployment();
+  await erc1155Adapter.waitForDeployment();
+  
+  // Deploy Catalyst decay controller
+  const CatalystDecayController = await hre.ethers.getContractFactory("CatalystDecayController");
+  const catalystDecayController = await CatalystDecayController.deploy(
+    await autophageToken.getAddress(),
+    await reservoir.getAddress()
+  );
+  await catalystDecayController.waitForDeployment();
+  
+  // Deploy SupplyGuard with daily epochs
+  const SupplyGuard = await hre.ethers.getContractFactory("SupplyGuard");
+  const supplyGuard = await SupplyGuard.deploy(await autophageToken.getAddress(), 86400);
+  await supplyGuard.waitForDeployment();
+  
+  // Deploy POTP settlement layer
+  const POTPSettlement = await hre.ethers.getContractFactory("POTPSettlement");
+  const potpSettlement = await POTPSettlement.deploy(await autophageToken.getAddress());
+  await potpSettlement.waitForDeployment();
   
   // Setup roles
   const MINTER_ROLE = await autophageToken.MINTER_ROLE();
   const RESERVOIR_ROLE = await autophageToken.RESERVOIR_ROLE();
+  const BURNER_ROLE = await autophageToken.BURNER_ROLE();
+  const TRANSFER_AGENT_ROLE = await autophageToken.TRANSFER_AGENT_ROLE();
+  const DECAY_CONTROLLER_ROLE = await autophageToken.DECAY_CONTROLLER_ROLE();
   
   await autophageToken.grantRole(MINTER_ROLE, await verificationEngine.getAddress());
+  await autophageToken.grantRole(BURNER_ROLE, await verificationEngine.getAddress());
+  await autophageToken.grantRole(BURNER_ROLE, await potpSettlement.getAddress());
   await autophageToken.grantRole(RESERVOIR_ROLE, await reservoir.getAddress());
+  await autophageToken.setReservoir(await reservoir.getAddress());
+  await autophageToken.grantRole(TRANSFER_AGENT_ROLE, await erc1155Adapter.getAddress());
+  await autophageToken.setTransferListener(await erc1155Adapter.getAddress());
+  await autophageToken.grantRole(DECAY_CONTROLLER_ROLE, await catalystDecayController.getAddress());
+  await autophageToken.grantRole(await autophageToken.REGISTRAR_ROLE(), await speciesRegistry.getAddress());
+  await reservoir.grantRole(await reservoir.ORACLE_ROLE(), deployer.address);
+  
+  // Configure mint limits
+  const speciesCount = Number(await autophageToken.speciesCount());
+  for (let species = 0; species < speciesCount; species++) {
+    await supplyGuard.setEpochBudget(species, hre.ethers.parseEther("1000000"));
+    await supplyGuard.setMinterCap(await verificationEngine.getAddress(), species, hre.ethers.parseEther("1000000"));
+    await supplyGuard.setMinterCap(deployer.address, species, hre.ethers.parseEther("100000"));
+  }
+  await autophageToken.setTransferGuard(await supplyGuard.getAddress());
   
   // Mint initial USDC
   await mockUSDC.mint(await reservoir.getAddress(), hre.ethers.parseEther("1000000"));
   
   log("✅ All contracts deployed!", "green");
   
-  return {
+  return recordImplementations({
     network: hre.network.name,
     contracts: {
       AutophageToken: await autophageToken.getAddress(),
@@ -81,11 +127,18 @@ async function deployContracts() {
       CatalystToken: await catalystToken.getAddress(),
       ReservoirContract: await reservoir.getAddress(),
       VerificationEngine: await verificationEngine.getAddress(),
-      GovernanceContract: await governance.getAddress()
+      GovernanceContract: await governance.getAddress(),
+      SpeciesRegistry: await speciesRegistry.getAddress(),
+      AutophageERC1155: await erc1155Adapter.getAddress(),
+      CatalystDecayController: await catalystDecayController.getAddress(),
+      SupplyGuard: await supplyGuard.getAddress(),
+      POTPSettlement: await potpSettlement.getAddress(),
+      ...tokenLibraries,
+      ...reservoirLibraries
     },
     deployer: deployer.address,
     timestamp: new Date().toISOString()
-  };
+  });
 }
 
 async function loadDeployment() {
@@ -147,9 +200,92 @@ async function getContracts(deployment) {
     deployment.contracts.GovernanceContract
   );
   
+  // Add Catalyst decay controller if it exists
+  if (deployment.contracts.CatalystDecayController) {
+    contracts.catalystDecayController = await hre.ethers.getContractAt(
+      "CatalystDecayController",
+      deployment.contracts.CatalystDecayController
+    );
+  }
+  
+  // Add ERC-1155 adapter if it exists
+  if (deployment.contracts.AutophageERC1155) {
+    contracts.erc1155Adapter = await hre.ethers.getContractAt(
+      "AutophageERC1155",
+      deployment.contracts.AutophageERC1155
+    );
+  }
+  
+  // Add species registry if it exists
+  if (deployment.contracts.SpeciesRegistry) {
+    contracts.speciesRegistry = await hre.ethers.getContractAt(
+      "SpeciesRegistry",
+      deployment.contracts.SpeciesRegistry
+    );
+  }
+  
+  // Add POTP settlement layer if it exists
+  if (deployment.contracts.POTPSettlement) {
+    contracts.potpSettlement = await hre.ethers.getContractAt(
+      "POTPSettlement",
+      deployment.contracts.POTPSettlement
+    );
+  }
+  
+  // Add SupplyGuard if it exists
+  if (deployment.contracts.SupplyGuard) {
+    contracts.supplyGuard = await hre.ethers.getContractAt(
+      "SupplyGuard",
+      deployment.contracts.SupplyGuard
+    );
+  }
+  
+  contracts.species = await loadSpecies(contracts);
+  
   return contracts;
 }
 
+// Species metadata comes from the on-chain registry; older deployments without one
+// only get numbered labels
+async function loadSpecies(contracts) {
+  try {
+    if (contracts.speciesRegistry) {
+      const all = await contracts.speciesRegistry.getAllSpecies();
+      return all.map((info) => ({
+        id: Number(info.id),
+        name: info.name,
+        symbol: info.symbol,
+        description: info.description,
+        decayRate: info.decayRate,
+        continuous: info.continuous
+      }));
+    }
+  } catch (error) {
+    log("⚠️  Could not read the species registry: " + error.message, "yellow");
+  }
+  
+  return Array.from({ length: 4 }, (_, id) => ({ id, name: `Species ${id}`, symbol: `#${id}` }));
+}
+
+function speciesLabel(contracts, id) {
+  const info = contracts.species[id];
+  return info ? `${info.name} (${info.symbol})` : `Species ${id}`;
+}
+
+async function promptSpecies(contracts, prompt = "Token species") {
+  const last = contracts.species.length - 1;
+  return parseInt(await getUserInput(`${prompt} (0-${last}): `));
+}
+
+function listSpecies(contracts) {
+  contracts.species.forEach((info) => {
+    const decay = info.decayRate !== undefined
+      ? ` - ${(Number(hre.ethers.formatEther(info.decayRate)) * 100).toFixed(2)}% daily decay${info.continuous ? " (continuous)" : ""}`
+      : "";
+    console.log(`${info.id} - ${info.name} (${info.symbol})${decay}`);
+  });
+}
+
 async function displayMenu() {
   console.log("\n" + "=".repeat(50));
   log("🧬 Autophage Protocol - Interactive Console", "bright");
@@ -169,6 +305,9 @@ async function tokenOperations(contracts, signer) {
   console.log("2. Transfer tokens");
   console.log("3. Check decay");
   console.log("4. Lock in wellness vault");
+  console.log("5. Unlock matured vaults");
+  console.log("6. Withdraw from vault early");
+  console.log("7. Convert to POTP");
   console.log("0. Back\n");
   
   const choice = await getUserInput("Select operation: ");
@@ -186,6 +325,15 @@ async function tokenOperations(contracts, signer) {
     case "4":
       await lockInVault(contracts, signer);
       break;
+    case "5":
+      await unlockFromVault(contracts, signer);
+      break;
+    case "6":
+      await withdrawFromVaultEarly(contracts, signer);
+      break;
+    case "7":
+      await convertToPOTP(contracts, signer);
+      break;
   }
 }
 
@@ -207,12 +355,9 @@ async function mintTokens(contracts, signer) {
   const recipient = address === "me" ? signer.address : address;
   
   console.log("\nToken species:");
-  console.log("0 - Rhythm (RHY) - 5% daily decay");
-  console.log("1 - Healing (HLN) - 0.75% daily decay");
-  console.log("2 - Foundation (FDN) - 0.1% daily decay");
-  console.log("3 - Catalyst (CTL) - 2-10% dynamic decay");
+  listSpecies(contracts);
   
-  const species = await getUserInput("Select species (0-3): ");
+  const species = await promptSpecies(contracts, "Select species");
   const amount = await getUserInput("Amount to mint (in ETH units): ");
   
   try {
@@ -233,13 +378,19 @@ async function mintTokens(contracts, signer) {
     log("❌ Error: " + error.message, "yellow");
     if (error.message.includes("MINTER_ROLE")) {
       log("You don't have permission to mint. Contact admin for MINTER_ROLE.", "cyan");
+    } else if (error.message.includes("Minter cap exceeded") || error.message.includes("Epoch budget exceeded")) {
+      log("Mint limit reached for this epoch. Ask governance to raise the SupplyGuard cap or wait for the next epoch.", "cyan");
+    } else if (error.message.includes("Circuit breaker block limit exceeded") || error.message.includes("Circuit breaker day limit exceeded")) {
+      log("This mint would exceed the species' circuit breaker limit. Mint less, or wait for the next block or day.", "cyan");
+    } else if (error.message.includes("Species paused") || error.message.includes("Circuit breaker tripped")) {
+      log("This species is halted. An admin must lift the species pause or governance must reset its circuit breaker.", "cyan");
     }
   }
 }
 
 async function transferTokens(contracts, signer) {
   const to = await getUserInput("Recipient address: ");
-  const species = await getUserInput("Token species (0-3): ");
+  const species = await promptSpecies(contracts);
   const amount = await getUserInput("Amount to transfer: ");
   
   try {
@@ -262,11 +413,10 @@ async function checkDecay(contracts, signer) {
   
   console.log("\n📊 Token Balances (with decay applied):");
   
-  const species = ["Rhythm (RHY)", "Healing (HLN)", "Foundation (FDN)", "Catalyst (CTL)"];
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < contracts.species.length; i++) {
     const balance = await contracts.autophageToken.balanceOf(targetAddress, i);
     if (balance > 0) {
-      log(`${species[i]}: ${hre.ethers.formatEther(balance)} tokens`, "cyan");
+      log(`${speciesLabel(contracts, i)}: ${hre.ethers.formatEther(balance)} tokens`, "cyan");
     }
   }
 }
@@ -275,7 +425,7 @@ async function lockInVault(contracts, signer) {
   console.log("\n🔒 Lock Tokens in Wellness Vault");
   console.log("Locked tokens have reduced decay rates!");
   
-  const species = await getUserInput("Token species to lock (0-3): ");
+  const species = await promptSpecies(contracts, "Token species to lock");
   const currentBalance = await contracts.autophageToken.balanceOf(signer.address, parseInt(species));
   
   if (currentBalance === 0n) {
@@ -306,6 +456,102 @@ async function lockInVault(contracts, signer) {
   }
 }
 
+async function unlockFromVault(contracts, signer) {
+  const species = await promptSpecies(contracts, "Token species to unlock");
+  
+  try {
+    log("\n⏳ Unlocking matured vault positions...", "yellow");
+    const tx = await contracts.autophageToken.unlockFromVault(parseInt(species));
+    await tx.wait();
+    
+    const balance = await contracts.autophageToken.liquidBalanceOf(signer.address, parseInt(species));
+    log("✅ Matured vaults unlocked!", "green");
+    log(`   Liquid balance: ${hre.ethers.formatEther(balance)} tokens`, "cyan");
+  } catch (error) {
+    log("❌ Error: " + error.message, "yellow");
+  }
+}
+
+async function withdrawFromVaultEarly(contracts, signer) {
+  console.log("\n⚠️  Early Vault Withdrawal");
+  console.log("Penalty = locked value × (time remaining / lock duration) × 0.5, paid to the Reservoir");
+  
+  const species = await promptSpecies(contracts);
+  const [positions, currentValues] = await contracts.autophageToken.getVaultPositions(signer.address, species);
+  
+  if (positions.length === 0) {
+    log("❌ No open vault positions for this species", "yellow");
+    return;
+  }
+  
+  positions.forEach((position, i) => {
+    const maturity = new Date(Number(position.lockedUntil) * 1000).toLocaleDateString();
+    log(`   #${position.id}: ${hre.ethers.formatEther(currentValues[i])} tokens, matures ${maturity}`, "cyan");
+  });
+  
+  const positionId = await getUserInput("Position to withdraw: ");
+  
+  try {
+    const penalty = await contracts.autophageToken.calculateEarlyWithdrawalPenalty(signer.address, species, positionId);
+    log(`   Estimated penalty: ${hre.ethers.formatEther(penalty)} tokens`, "yellow");
+    
+    const confirm = await getUserInput("Continue? (y/n): ");
+    if (confirm.toLowerCase() !== "y") return;
+    
+    log("\n⏳ Withdrawing...", "yellow");
+    const tx = await contracts.autophageToken.withdrawFromVaultEarly(species, positionId);
+    const receipt = await tx.wait();
+    
+    const event = receipt.logs
+      .map(entry => { try { return contracts.autophageToken.interface.parseLog(entry); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === "VaultWithdrawnEarly");
+    
+    log("✅ Early withdrawal complete!", "green");
+    if (event) {
+      log(`   Withdrawn: ${hre.ethers.formatEther(event.args.withdrawn)} tokens`, "cyan");
+      log(`   Penalty to Reservoir: ${hre.ethers.formatEther(event.args.penalty)} tokens`, "cyan");
+    }
+  } catch (error) {
+    log("❌ Error: " + error.message, "yellow");
+  }
+}
+
+async function convertToPOTP(contracts, signer) {
+  if (!contracts.potpSettlement) {
+    log("❌ POTPSettlement is not deployed on this network", "yellow");
+    return;
+  }
+  
+  console.log("\n🔁 Convert to POTP");
+  console.log("Species tokens are burned and credited as non-decaying POTP at decay-adjusted rates");
+  
+  for (let i = 0; i < contracts.species.length; i++) {
+    const rate = await contracts.potpSettlement.getConversionRate(i);
+    log(`   ${i} - ${speciesLabel(contracts, i)}: ${hre.ethers.formatEther(rate)} POTP per token`, "cyan");
+  }
+  
+  const species = await promptSpecies(contracts);
+  const amount = await getUserInput("Amount to convert: ");
+  
+  try {
+    const preview = await contracts.potpSettlement.previewConversion(species, hre.ethers.parseEther(amount));
+    log(`   You will receive ${hre.ethers.formatEther(preview)} POTP`, "yellow");
+    
+    const confirm = await getUserInput("Continue? (y/n): ");
+    if (confirm.toLowerCase() !== "y") return;
+    
+    log("\n⏳ Converting...", "yellow");
+    const tx = await contracts.potpSettlement.convertToPOTP(species, hre.ethers.parseEther(amount));
+    await tx.wait();
+    
+    const balance = await contracts.potpSettlement.getPOTPBalance(signer.address);
+    log("✅ Conversion complete!", "green");
+    log(`   POTP balance: ${hre.ethers.formatEther(balance)}`, "cyan");
+  } catch (error) {
+    log("❌ Error: " + error.message, "yellow");
+  }
+}
+
 
 async function healthActivities(contracts, signer) {
   console.log("\n--- Health Activities ---");
@@ -358,12 +604,12 @@ async function submitActivity(contracts, signer, activityType, activityName) {
     log("✅ Activity recorded and rewards distributed!", "green");
     log(`   Duration: ${duration} minutes`, "cyan");
     log(`   Intensity: ${intensity}/100`, "cyan");
-    const tokenNames = ["Rhythm", "Healing", "Foundation", "Catalyst"];
-    log(`   Reward: ${hre.ethers.formatEther(totalReward)} ${tokenNames[activityType]} tokens`, "green");
+    const tokenName = contracts.species[activityType].name;
+    log(`   Reward: ${hre.ethers.formatEther(totalReward)} ${tokenName} tokens`, "green");
     
     // Check new balance
     const balance = await contracts.autophageToken.balanceOf(signer.address, activityType);
-    log(`\nTotal ${tokenNames[activityType]} token balance: ${hre.ethers.formatEther(balance)}`, "cyan");
+    log(`\nTotal ${tokenName} token balance: ${hre.ethers.formatEther(balance)}`, "cyan");
   } catch (error) {
     log("❌ Error: " + error.message, "yellow");
   }
@@ -373,17 +619,21 @@ async function viewActivityStats(contracts, signer) {
   console.log("\n📊 Activity Statistics");
   console.log("=".repeat(40));
   
-  const species = ["Rhythm (RHY) - Exercise", "Healing (HLN) - Therapy", "Foundation (FDN) - Preventive", "Catalyst (CTL) - Market"];
-  
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < contracts.species.length; i++) {
     const balance = await contracts.autophageToken.balanceOf(signer.address, i);
     if (balance > 0) {
-      log(`${species[i]}: ${hre.ethers.formatEther(balance)} tokens`, "cyan");
+      const description = contracts.species[i].description ? ` - ${contracts.species[i].description}` : "";
+      log(`${speciesLabel(contracts, i)}${description}: ${hre.ethers.formatEther(balance)} tokens`, "cyan");
     }
   }
   
-  // Note: Vault info is stored privately in the contract
-  log(`\n🔒 Note: Wellness vault details are stored privately`, "yellow");
+  for (let i = 0; i < contracts.species.length; i++) {
+    const [positions, currentValues] = await contracts.autophageToken.getVaultPositions(signer.address, i);
+    positions.forEach((position, j) => {
+      const maturity = new Date(Number(position.lockedUntil) * 1000).toLocaleDateString();
+      log(`🔒 Vault #${position.id} (${speciesLabel(contracts, i)}): ${hre.ethers.formatEther(currentValues[j])} tokens, matures ${maturity}`, "cyan");
+    });
+  }
 }
 
 async function governanceOperations(contracts, signer) {
@@ -548,14 +798,12 @@ async function viewBalances(contracts, signer) {
   
   // Token balances
   console.log("\n📊 Token Balances:");
-  const species = ["Rhythm (RHY)", "Healing (HLN)", "Foundation (FDN)", "Catalyst (CTL)"];
-  
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < contracts.species.length; i++) {
     try {
       const balance = await contracts.autophageToken.balanceOf(address, i);
-      log(`  ${species[i]}: ${hre.ethers.formatEther(balance)} tokens`, balance > 0 ? "green" : "yellow");
+      log(`  ${speciesLabel(contracts, i)}: ${hre.ethers.formatEther(balance)} tokens`, balance > 0 ? "green" : "yellow");
     } catch (error) {
-      log(`  ${species[i]}: ERROR - ${error.message}`, "red");
+      log(`  ${speciesLabel(contracts, i)}: ERROR - ${error.message}`, "red");
       if (i === 0) {
         // Only show detailed error once
         log("\n❌ Cannot read token balances!", "yellow");
@@ -586,7 +834,7 @@ async function viewBalances(contracts, signer) {
   // Check if user has zero balances and offer to mint
   let hasTokens = false;
   try {
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < contracts.species.length; i++) {
       const balance = await contracts.autophageToken.balanceOf(address, i);
       if (balance > 0) {
         hasTokens = true;
@@ -651,6 +899,13 @@ async function main() {
     const MINTER_ROLE = await contracts.autophageToken.MINTER_ROLE();
     await contracts.autophageToken.grantRole(MINTER_ROLE, signer.address);
     
+    // Minting is capped per minter once a SupplyGuard is registered
+    if (contracts.supplyGuard) {
+      for (let species = 0; species < contracts.species.length; species++) {
+        await contracts.supplyGuard.setMinterCap(signer.address, species, hre.ethers.parseEther("100000"));
+      }
+    }
+    
     // Also mint some initial USDC for testing
     await contracts.mockUSDC.mint(signer.address, hre.ethers.parseEther("10000"));
     log("💵 Minted 10,000 USDC for testing", "green");
@@ -0,0 +1,354 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Decay collection keeper.
+ *
+ * Rebuilds the set of holders per species from AutophageToken Mint, Transfer
+ * and BalanceImported events, then pages through them and sweeps pending decay into the Reservoir
+ * with collectDecayedTokens (requires ORACLE_ROLE on the Reservoir). After the
+ * sweep it finalizes every ended redistribution epoch with recorded activity,
+ * so the decay just collected is allocated to those epochs' active users,
+ * sweeps unclaimed allocations back into the token chamber once an epoch's
+ * claim window closes, and samples transfer volume into the Reservoir's
+ * metabolic price with updateMetabolicPrice.
+ *
+ * Given the ETH price in USD, each batch is only sent when its decay, valued
+ * at the Reservoir's metabolic price, is worth at least the gas it costs. An
+ * unprofitable batch is shrunk by dropping its smallest balances, and skipped
+ * if nothing profitable is left; the dropped balances keep accruing decay for
+ * a later sweep.
+ *
+ * Usage:
+ *   npm run keeper
+ *   DRY_RUN=1 npm run keeper
+ *   KEEPER_BATCH_SIZE=25 KEEPER_DECAY_THRESHOLD=5 npm run keeper
+ *   KEEPER_ETH_PRICE=2500 npm run keeper
+ *
+ * Progress is saved to deployments/<network>.keeper.json after every batch,
+ * so an interrupted sweep resumes at the next unswept batch, along with the
+ * redistribution epochs not yet swept. Set KEEPER_RESET=1 to rescan events
+ * and start a fresh sweep.
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function emptyIndex() {
+  return {
+    lastBlock: -1,
+    holders: []
+  };
+}
+
+/**
+ * Add every address that received or imported tokens since index.lastBlock. Holders are
+ * never removed here; empty balances simply have nothing to sweep. The index
+ * grows to cover species added through governance since the last scan.
+ */
+async function buildHolderIndex(token, index = emptyIndex(), options = {}) {
+  const pageSize = options.blockPageSize || 5000;
+  const toBlock = options.toBlock ?? (await hre.ethers.provider.getBlockNumber());
+  const speciesCount = Number(await token.speciesCount());
+  const sets = Array.from({ length: speciesCount }, (_, species) => new Set(index.holders[species] || []));
+
+  for (let from = index.lastBlock + 1; from <= toBlock; from += pageSize) {
+    const to = Math.min(from + pageSize - 1, toBlock);
+    const mints = await token.queryFilter(token.filters.Mint(), from, to);
+    const transfers = await token.queryFilter(token.filters.Transfer(), from, to);
+    const imports = await token.queryFilter(token.filters.BalanceImported(), from, to);
+
+    for (const event of [...mints, ...transfers]) {
+      const { to: holder, species } = event.args;
+      if (holder !== ZERO_ADDRESS) {
+        sets[Number(species)].add(holder);
+      }
+    }
+    for (const event of imports) {
+      sets[Number(event.args.species)].add(event.args.user);
+    }
+  }
+
+  return {
+    lastBlock: toBlock,
+    holders: sets.map((holders) => [...holders])
+  };
+}
+
+/**
+ * Flatten the index into (user, species) pairs in a stable order so a saved
+ * cursor points at the same pair across runs.
+ */
+function sweepTargets(index) {
+  const targets = [];
+  index.holders.forEach((holders, species) => {
+    for (const user of holders) {
+      targets.push({ user, species });
+    }
+  });
+  return targets;
+}
+
+/**
+ * Pending decay per target, dropping targets below decayThreshold. The
+ * threshold is a fixed token amount; fitBatch weighs what is left against gas.
+ */
+async function planBatch(token, targets, decayThreshold) {
+  const entries = [];
+  for (const target of targets) {
+    const decay = await token.calculateDecayAmount(target.user, target.species);
+    if (decay > 0n && decay >= decayThreshold) {
+      entries.push({ ...target, decay });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Value in wei of `decay` tokens at tokenPrice, with both prices in the
+ * Reservoir's 18-decimal USD units. Zero while the metabolic price is unset.
+ */
+function decayValue(decay, tokenPrice, ethPrice) {
+  return (decay * tokenPrice) / ethPrice;
+}
+
+/**
+ * Largest part of a planned batch worth sweeping. Without an ETH price every
+ * entry is kept. Otherwise entries are dropped smallest decay first until
+ * the remaining decay is worth at least the batch's estimated gas cost.
+ * @returns The entries to sweep with their total decay and estimated gas,
+ *          and the entries dropped as unprofitable
+ */
+async function fitBatch(reservoir, entries, prices) {
+  const kept = prices.ethPrice ? [...entries].sort((a, b) => (a.decay < b.decay ? 1 : a.decay > b.decay ? -1 : 0)) : entries;
+  const dropped = [];
+
+  while (kept.length > 0) {
+    const users = kept.map((entry) => entry.user);
+    const species = kept.map((entry) => entry.species);
+    const decay = kept.reduce((sum, entry) => sum + entry.decay, 0n);
+    const gas = await reservoir.collectDecayedTokens.estimateGas(users, species);
+
+    if (!prices.ethPrice || decayValue(decay, prices.tokenPrice, prices.ethPrice) >= gas * prices.gasPrice) {
+      return { entries: kept, dropped, decay, gas };
+    }
+    dropped.push(kept.pop());
+  }
+
+  return { entries: [], dropped, decay: 0n, gas: 0n };
+}
+
+/**
+ * Sweep pending decay for every known holder in bounded batches.
+ * @param state Saved { index, cursor } from a previous run, if any
+ * @param onProgress Called with the updated state after each batch
+ */
+async function runKeeper(token, reservoir, signer, options = {}, state = {}, onProgress = async () => {}) {
+  const batchSize = options.batchSize || 50;
+  const decayThreshold = options.decayThreshold || 0n;
+  const ethPrice = options.ethPrice || 0n;
+  const dryRun = Boolean(options.dryRun);
+  const log = options.log || (() => {});
+  const connected = reservoir.connect(signer);
+
+  let cursor = state.cursor || 0;
+  let index = state.index || emptyIndex();
+
+  // Only pick up new holders between sweeps so the cursor stays meaningful
+  if (cursor === 0) {
+    index = await buildHolderIndex(token, index, options);
+    if (!dryRun) {
+      await onProgress({ index, cursor });
+    }
+  }
+
+  const targets = sweepTargets(index);
+  const gasPrice = options.gasPrice ?? ((await hre.ethers.provider.getFeeData()).gasPrice || 0n);
+  const tokenPrice = ethPrice ? await reservoir.metabolicPrice() : 0n;
+  const prices = { ethPrice, tokenPrice, gasPrice };
+  const summary = { batches: 0, swept: 0, skipped: 0, unprofitable: 0, collected: 0n, gasUsed: 0n };
+
+  log(`Sweeping ${targets.length} holder balances from position ${cursor} (batch size ${batchSize})`);
+  if (ethPrice) {
+    log(
+      tokenPrice > 0n
+        ? `Sweeping only batches worth their gas at ${hre.ethers.formatEther(tokenPrice)} USD per token`
+        : "No metabolic price published yet, so no batch is worth its gas"
+    );
+  }
+
+  while (cursor < targets.length) {
+    const page = targets.slice(cursor, cursor + batchSize);
+    const planned = await planBatch(token, page, decayThreshold);
+    summary.skipped += page.length - planned.length;
+
+    const { entries, dropped, decay, gas } = await fitBatch(connected, planned, prices);
+    summary.unprofitable += dropped.length;
+    if (dropped.length > 0) {
+      log(`Batch ${cursor}-${cursor + page.length - 1}: dropped ${dropped.length} balances not worth their gas`);
+    }
+
+    if (entries.length > 0) {
+      const users = entries.map((entry) => entry.user);
+      const species = entries.map((entry) => entry.species);
+
+      log(
+        `Batch ${cursor}-${cursor + page.length - 1}: ${entries.length} sweeps, ` +
+        `${hre.ethers.formatEther(decay)} tokens, ~${gas} gas ` +
+        `(${hre.ethers.formatEther(gas * gasPrice)} ETH)`
+      );
+
+      if (!dryRun) {
+        const tx = await connected.collectDecayedTokens(users, species);
+        const receipt = await tx.wait();
+        summary.gasUsed += receipt.gasUsed;
+      }
+
+      summary.batches++;
+      summary.swept += entries.length;
+      summary.collected += decay;
+    }
+
+    cursor += page.length;
+
+    // A dry run changes nothing on-chain, so it must not advance the saved cursor
+    if (!dryRun) {
+      await onProgress({ index, cursor: cursor < targets.length ? cursor : 0 });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Finalize every ended epoch with recorded activity and sweep each one once
+ * its claim window has closed. Epochs are found from the Reservoir's
+ * ActivityRecorded events since state.lastBlock; state.open carries the ones
+ * found earlier that are not swept yet.
+ * @returns The updated state and the epochs finalized and swept
+ */
+async function settleRedistributionEpochs(reservoir, signer, options = {}, state = {}) {
+  const pageSize = options.blockPageSize || 5000;
+  const toBlock = options.toBlock ?? (await hre.ethers.provider.getBlockNumber());
+  const dryRun = Boolean(options.dryRun);
+  const lastBlock = state.lastBlock ?? -1;
+  const found = new Set(state.open || []);
+
+  for (let from = lastBlock + 1; from <= toBlock; from += pageSize) {
+    const to = Math.min(from + pageSize - 1, toBlock);
+    const events = await reservoir.queryFilter(reservoir.filters.ActivityRecorded(), from, to);
+    for (const event of events) {
+      found.add(Number(event.args.epoch));
+    }
+  }
+
+  const connected = reservoir.connect(signer);
+  const currentEpoch = await reservoir.currentRedistributionEpoch();
+  const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+  const open = [];
+  const finalized = [];
+  const swept = [];
+
+  for (const epoch of [...found].sort((a, b) => a - b)) {
+    if (BigInt(epoch) >= currentEpoch) {
+      open.push(epoch);
+      continue;
+    }
+
+    if (!(await reservoir.epochFinalized(epoch))) {
+      if (!dryRun) {
+        await (await connected.finalizeRedistribution(epoch)).wait();
+      }
+      finalized.push(epoch);
+    }
+
+    if (now >= (await reservoir.redistributionDeadline(epoch))) {
+      if (!dryRun) {
+        await (await connected.sweepRedistribution(epoch)).wait();
+      }
+      swept.push(epoch);
+    } else {
+      open.push(epoch);
+    }
+  }
+
+  return { state: { lastBlock: toBlock, open }, finalized, swept };
+}
+
+async function main() {
+  const deploymentPath = path.join(__dirname, `../deployments/${hre.network.name}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No deployment found for network ${hre.network.name}. Run the deploy script first.`);
+  }
+
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const token = await hre.ethers.getContractAt("AutophageToken", deployment.contracts.AutophageToken);
+  const reservoir = await hre.ethers.getContractAt("ReservoirContract", deployment.contracts.ReservoirContract);
+  const [keeper] = await hre.ethers.getSigners();
+
+  if (!(await reservoir.hasRole(await reservoir.ORACLE_ROLE(), keeper.address))) {
+    throw new Error(`${keeper.address} does not have ORACLE_ROLE on the Reservoir`);
+  }
+
+  const statePath = path.join(__dirname, `../deployments/${hre.network.name}.keeper.json`);
+  let state = {};
+  if (fs.existsSync(statePath) && !process.env.KEEPER_RESET) {
+    state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  }
+
+  const options = {
+    batchSize: parseInt(process.env.KEEPER_BATCH_SIZE || "50"),
+    decayThreshold: hre.ethers.parseEther(process.env.KEEPER_DECAY_THRESHOLD || "1"),
+    ethPrice: process.env.KEEPER_ETH_PRICE ? hre.ethers.parseEther(process.env.KEEPER_ETH_PRICE) : 0n,
+    dryRun: Boolean(process.env.DRY_RUN),
+    log: (message) => console.log(`- ${message}`)
+  };
+
+  console.log(`\n🧹 Decay keeper ${keeper.address}${options.dryRun ? " (dry run)" : ""}`);
+  if (state.cursor) {
+    console.log(`Resuming interrupted sweep at position ${state.cursor}`);
+  }
+
+  const summary = await runKeeper(token, reservoir, keeper, options, state, async (progress) => {
+    state = { ...state, ...progress };
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  });
+
+  console.log(`\nBatches: ${summary.batches}`);
+  console.log(`Balances swept: ${summary.swept} (skipped ${summary.skipped} below threshold)`);
+  if (options.ethPrice) {
+    console.log(`Balances not worth their gas: ${summary.unprofitable}`);
+  }
+  console.log(`Decay ${options.dryRun ? "collectable" : "collected"}: ${hre.ethers.formatEther(summary.collected)} tokens`);
+  if (!options.dryRun) {
+    console.log(`Gas used: ${summary.gasUsed}`);
+  }
+
+  const epochs = await settleRedistributionEpochs(reservoir, keeper, options, state.epochs);
+  if (epochs.finalized.length > 0) {
+    console.log(`${options.dryRun ? "Would finalize" : "Finalized"} redistribution epochs ${epochs.finalized.join(", ")}`);
+  }
+  if (epochs.swept.length > 0) {
+    console.log(`${options.dryRun ? "Would sweep" : "Swept"} expired redistribution epochs ${epochs.swept.join(", ")}`);
+  }
+  if (!options.dryRun) {
+    state = { ...state, epochs: epochs.state };
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  }
+
+  if (!options.dryRun) {
+    await (await reservoir.connect(keeper).updateMetabolicPrice()).wait();
+    console.log(`Metabolic price: ${hre.ethers.formatEther(await reservoir.metabolicPrice())} USD`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { buildHolderIndex, sweepTargets, planBatch, fitBatch, runKeeper, settleRedistributionEpochs };
@@ -0,0 +1,67 @@
+const { ethers } = require("ethers");
+
+/**
+ * Merkle trees over ABI-encoded leaves.
+ *
+ * Trees are built the way OpenZeppelin's MerkleProof verifies them: leaves
+ * are the double keccak256 of their ABI encoding and each pair is hashed in
+ * sorted order, so a proof is just the list of sibling hashes. Leaves are
+ * sorted before building, which makes the root independent of input order.
+ */
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+function hashLeaf(types, values) {
+  return ethers.keccak256(ethers.keccak256(abiCoder.encode(types, values)));
+}
+
+function hashPair(a, b) {
+  return a < b ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build every layer of the tree, from the sorted leaves up to the root. An
+ * odd node at the end of a layer moves up unchanged. An empty tree has the
+ * zero hash as its root.
+ */
+function buildTree(leaves) {
+  const layers = [leaves.length > 0 ? [...leaves].sort() : [ethers.ZeroHash]];
+
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  return layers;
+}
+
+function getRoot(layers) {
+  return layers[layers.length - 1][0];
+}
+
+function getProof(layers, leaf) {
+  let index = layers[0].indexOf(leaf);
+  if (index === -1) {
+    throw new Error(`Leaf ${leaf} is not in the tree`);
+  }
+
+  const proof = [];
+  for (let level = 0; level < layers.length - 1; level++) {
+    const sibling = index ^ 1;
+    if (sibling < layers[level].length) {
+      proof.push(layers[level][sibling]);
+    }
+    index >>= 1;
+  }
+  return proof;
+}
+
+function verifyProof(leaf, proof, root) {
+  return proof.reduce(hashPair, leaf) === root;
+}
+
+module.exports = { hashLeaf, buildTree, getRoot, getProof, verifyProof };
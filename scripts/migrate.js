@@ -0,0 +1,289 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { buildHolderIndex, sweepTargets } = require("./keeper");
+const { hashLeaf, buildTree, getRoot } = require("./merkle");
+
+/**
+ * Balance migration from one AutophageToken deployment to another.
+ *
+ * Exports every holder's decayed liquid balance and open vault positions from
+ * the old token as of one block, imports them into the new token with
+ * importBalances and seals the import with the Merkle root of the exported
+ * state. Holders are found from the old token's Mint, Transfer and
+ * BalanceImported events, like the decay keeper does; their values are read
+ * from the old token at the export block, so decay, whale tiers and vault
+ * reductions match it exactly.
+ *
+ * Usage:
+ *   MIGRATE_FROM=0x... npx hardhat run scripts/migrate.js --network localhost
+ *   MIGRATE_FROM=0x... MIGRATE_BLOCK=1234 DRY_RUN=1 npx hardhat run scripts/migrate.js --network localhost
+ *   VERIFY=1 npx hardhat run scripts/migrate.js --network localhost
+ *
+ * Pause the old token first so nothing moves after the export block. The new
+ * token (the AutophageToken in deployments/<network>.json) only accepts
+ * imports while paused; keep it paused until the import is sealed. The export and import progress are saved to
+ * deployments/<network>.migration.json, so an interrupted import resumes at
+ * the next batch. Set MIGRATE_RESET=1 to export again.
+ */
+
+const POSITION_TYPE = "tuple(uint256 id, uint256 amount, uint256 principal, uint256 startTime, uint256 lockedUntil)[]";
+
+/**
+ * Leaf committing to one holder's state for one species
+ */
+function migrationLeaf(entry) {
+  return hashLeaf(
+    ["address", "uint8", "uint256", POSITION_TYPE],
+    [
+      entry.user,
+      entry.species,
+      entry.liquid,
+      entry.positions.map((position) => [
+        position.id,
+        position.amount,
+        position.principal,
+        position.startTime,
+        position.lockedUntil
+      ])
+    ]
+  );
+}
+
+function migrationRoot(entries) {
+  return getRoot(buildTree(entries.map(migrationLeaf)));
+}
+
+/**
+ * Amounts are kept as decimal strings so the export can be saved as JSON
+ */
+function exportedPosition(position, amount) {
+  return {
+    id: position.id.toString(),
+    amount: amount.toString(),
+    principal: position.principal.toString(),
+    startTime: position.startTime.toString(),
+    lockedUntil: position.lockedUntil.toString()
+  };
+}
+
+function sameTiers([thresholds, multipliers], [otherThresholds, otherMultipliers]) {
+  return thresholds.join() === otherThresholds.join() && multipliers.join() === otherMultipliers.join();
+}
+
+/**
+ * Refuse to migrate into a token whose species decay differently, including
+ * their whale-protection tiers
+ */
+async function checkSpecies(source, target) {
+  const speciesCount = Number(await source.speciesCount());
+  if (Number(await target.speciesCount()) < speciesCount) {
+    throw new Error("The new token is missing species; add them through the SpeciesRegistry first");
+  }
+
+  for (let species = 0; species < speciesCount; species++) {
+    const [sourceRate, targetRate] = [await source.decayRates(species), await target.decayRates(species)];
+    const [sourceMode, targetMode] = [await source.continuousDecay(species), await target.continuousDecay(species)];
+    const [sourceTiers, targetTiers] = [await source.getWhaleTiers(species), await target.getWhaleTiers(species)];
+    if (sourceRate !== targetRate || sourceMode !== targetMode || !sameTiers(sourceTiers, targetTiers)) {
+      throw new Error(`Species ${species} decays differently on the new token`);
+    }
+  }
+}
+
+/**
+ * Read every holder's decayed state from the old token at one block.
+ * @param options.blockTag Block to export at, defaults to the latest
+ * @param options.allowUnpaused Export even though the old token is still live
+ * @return Migration record with the entries, their Merkle root and the export time
+ */
+async function exportBalances(token, options = {}) {
+  const log = options.log || (() => {});
+  const block = await hre.ethers.provider.getBlock(options.blockTag ?? "latest");
+  const blockTag = block.number;
+
+  if (!options.allowUnpaused && !(await token.paused({ blockTag }))) {
+    throw new Error("Pause the old token before exporting, or balances can move after the export");
+  }
+
+  const index = await buildHolderIndex(token, undefined, { ...options, toBlock: blockTag });
+  const targets = sweepTargets(index);
+  log(`Reading ${targets.length} holder balances at block ${blockTag}`);
+
+  const entries = [];
+  for (const { user, species } of targets) {
+    const liquid = await token.liquidBalanceOf(user, species, { blockTag });
+    const [positions, values] = await token.getVaultPositions(user, species, { blockTag });
+    if (liquid === 0n && positions.length === 0) {
+      continue;
+    }
+
+    entries.push({
+      user,
+      species,
+      liquid: liquid.toString(),
+      positions: positions.map((position, i) => exportedPosition(position, values[i]))
+    });
+  }
+
+  return {
+    source: await token.getAddress(),
+    block: blockTag,
+    asOf: block.timestamp,
+    root: migrationRoot(entries),
+    imported: 0,
+    entries
+  };
+}
+
+/**
+ * Import an exported migration in batches and seal it with its root.
+ * @param migration Record from exportBalances; `imported` is the resume cursor
+ * @param onProgress Called with the updated record after each batch
+ */
+async function importBalances(token, migration, options = {}, onProgress = async () => {}) {
+  const batchSize = options.batchSize || 50;
+  const log = options.log || (() => {});
+  const summary = { batches: 0, imported: 0, gasUsed: 0n };
+
+  if (!(await token.importSealed()) && !(await token.paused())) {
+    throw new Error("Pause the new token before importing, or imported holders can move tokens mid-import");
+  }
+
+  while (migration.imported < migration.entries.length) {
+    const batch = migration.entries.slice(migration.imported, migration.imported + batchSize);
+    const entries = batch.map((entry) => ({
+      user: entry.user,
+      species: entry.species,
+      liquid: entry.liquid,
+      positions: entry.positions.map((position) => ({
+        amount: position.amount,
+        lastUpdate: migration.asOf,
+        startTime: position.startTime,
+        principal: position.principal,
+        lockedUntil: position.lockedUntil,
+        id: position.id
+      }))
+    }));
+
+    const tx = await token.importBalances(migration.asOf, entries);
+    const receipt = await tx.wait();
+    log(`Imported entries ${migration.imported}-${migration.imported + batch.length - 1} (${receipt.gasUsed} gas)`);
+
+    summary.batches++;
+    summary.imported += batch.length;
+    summary.gasUsed += receipt.gasUsed;
+    migration.imported += batch.length;
+    await onProgress(migration);
+  }
+
+  if (!(await token.importSealed())) {
+    await (await token.sealImport(migration.root)).wait();
+    log(`Sealed the import with root ${migration.root}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Recompute the migration root from the new token alone: the holders it
+ * imported, their imported liquid balances and their vault positions as of
+ * the block that imported them, before anything could settle or move them.
+ * @return The recomputed and the sealed root, and whether they match
+ */
+async function verifyMigration(token) {
+  const [sealed] = await token.queryFilter(token.filters.ImportSealed());
+  if (!sealed) {
+    throw new Error("The import has not been sealed");
+  }
+
+  const imports = await token.queryFilter(token.filters.BalanceImported(), 0, sealed.blockNumber);
+
+  const entries = [];
+  for (const event of imports) {
+    const { user, species, liquid } = event.args;
+    const [positions] = await token.getVaultPositions(user, species, { blockTag: event.blockNumber });
+    entries.push({
+      user,
+      species: Number(species),
+      liquid: liquid.toString(),
+      positions: positions.map((position) => exportedPosition(position, position.amount))
+    });
+  }
+
+  const root = migrationRoot(entries);
+  const sealedRoot = sealed.args.migrationRoot;
+  return { root, sealedRoot, entries: entries.length, matches: root === sealedRoot };
+}
+
+async function main() {
+  const deploymentPath = path.join(__dirname, `../deployments/${hre.network.name}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No deployment found for network ${hre.network.name}. Run the deploy script first.`);
+  }
+
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const target = await hre.ethers.getContractAt("AutophageToken", deployment.contracts.AutophageToken);
+  const log = (message) => console.log(`- ${message}`);
+
+  if (process.env.VERIFY) {
+    const result = await verifyMigration(target);
+    console.log(`\n🔍 Verifying the import into ${await target.getAddress()}`);
+    console.log(`Imported entries: ${result.entries}`);
+    console.log(`Recomputed root:  ${result.root}`);
+    console.log(`Sealed root:      ${result.sealedRoot}`);
+    if (!result.matches) {
+      throw new Error("The sealed root does not match the imported state");
+    }
+    console.log("✅ The sealed root matches the imported state");
+    return;
+  }
+
+  const migrationPath = path.join(__dirname, `../deployments/${hre.network.name}.migration.json`);
+  let migration;
+  if (fs.existsSync(migrationPath) && !process.env.MIGRATE_RESET) {
+    migration = JSON.parse(fs.readFileSync(migrationPath, "utf8"));
+    console.log(`\nResuming the import of block ${migration.block} at entry ${migration.imported}`);
+  } else {
+    if (!process.env.MIGRATE_FROM) {
+      throw new Error("Set MIGRATE_FROM to the address of the old AutophageToken");
+    }
+
+    const source = await hre.ethers.getContractAt("AutophageToken", process.env.MIGRATE_FROM);
+    await checkSpecies(source, target);
+
+    console.log(`\n📦 Exporting balances from ${process.env.MIGRATE_FROM}`);
+    migration = await exportBalances(source, {
+      blockTag: process.env.MIGRATE_BLOCK ? parseInt(process.env.MIGRATE_BLOCK) : undefined,
+      log
+    });
+    fs.writeFileSync(migrationPath, JSON.stringify(migration, null, 2));
+  }
+
+  console.log(`Entries: ${migration.entries.length} as of ${new Date(migration.asOf * 1000).toISOString()}`);
+  console.log(`Merkle root: ${migration.root}`);
+
+  if (process.env.DRY_RUN) {
+    console.log(`\nDry run; export saved to ${migrationPath}`);
+    return;
+  }
+
+  const batchSize = parseInt(process.env.MIGRATE_BATCH_SIZE || "50");
+  const summary = await importBalances(target, migration, { batchSize, log }, async (progress) => {
+    fs.writeFileSync(migrationPath, JSON.stringify(progress, null, 2));
+  });
+
+  console.log(`\n✅ Imported ${summary.imported} entries in ${summary.batches} batches (${summary.gasUsed} gas)`);
+  console.log("Run again with VERIFY=1 to check the sealed root against the new token");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrationLeaf, migrationRoot, checkSpecies, exportBalances, importBalances, verifyMigration };
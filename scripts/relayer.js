@@ -0,0 +1,209 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+// EIP-712 types accepted by AutophageToken's signature-based actions
+const TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "species", type: "uint8" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ],
+  Transfer: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "species", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ],
+  LockInVault: [
+    { name: "owner", type: "address" },
+    { name: "species", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "lockDays", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Field holding the signer's address for each request type
+const SIGNER_FIELDS = {
+  Permit: "owner",
+  Transfer: "from",
+  LockInVault: "owner"
+};
+
+async function getDomain(token) {
+  const domain = await token.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  };
+}
+
+/**
+ * Sign a request for the relayer. Fills in the signer's current nonce and,
+ * if missing, a deadline one hour from now.
+ */
+async function signRequest(signer, token, type, fields) {
+  if (!TYPES[type]) {
+    throw new Error(`Unknown request type: ${type}`);
+  }
+
+  const owner = fields[SIGNER_FIELDS[type]] || signer.address;
+  const message = {
+    ...fields,
+    [SIGNER_FIELDS[type]]: owner,
+    nonce: await token.nonces(owner),
+    deadline: fields.deadline || BigInt(Math.floor(Date.now() / 1000) + 3600)
+  };
+
+  const signature = await signer.signTypedData(await getDomain(token), { [type]: TYPES[type] }, message);
+  return { type, message, signature };
+}
+
+/**
+ * Create a relayer that submits signed requests using its own signer for gas.
+ * Requests are checked off-chain first so invalid ones never cost gas.
+ */
+function createRelayer(token, relayerSigner) {
+  const connected = token.connect(relayerSigner);
+
+  async function validate(request) {
+    const { type, message, signature } = request;
+    if (!TYPES[type]) {
+      throw new Error(`Unknown request type: ${type}`);
+    }
+
+    const owner = message[SIGNER_FIELDS[type]];
+    const recovered = hre.ethers.verifyTypedData(
+      await getDomain(token),
+      { [type]: TYPES[type] },
+      message,
+      signature
+    );
+    if (recovered.toLowerCase() !== owner.toLowerCase()) {
+      throw new Error("Invalid signature");
+    }
+
+    const nonce = await token.nonces(owner);
+    if (BigInt(message.nonce) !== nonce) {
+      throw new Error(`Stale nonce: expected ${nonce}, got ${message.nonce}`);
+    }
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    if (BigInt(message.deadline) < BigInt(latest.timestamp)) {
+      throw new Error("Signature expired");
+    }
+  }
+
+  async function relay(request) {
+    await validate(request);
+
+    const { type, message } = request;
+    const { v, r, s } = hre.ethers.Signature.from(request.signature);
+
+    switch (type) {
+      case "Permit":
+        return connected.permit(
+          message.owner, message.spender, message.species, message.value, message.deadline, v, r, s
+        );
+      case "Transfer":
+        return connected.transferBySig(
+          message.from, message.to, message.species, message.amount, message.deadline, v, r, s
+        );
+      case "LockInVault":
+        return connected.lockInVaultBySig(
+          message.owner, message.species, message.amount, message.lockDays, message.deadline, v, r, s
+        );
+    }
+  }
+
+  return { validate, relay };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+/**
+ * HTTP front end for the web app:
+ *   GET  /nonce/<address>  -> { nonce }
+ *   GET  /domain           -> EIP-712 domain
+ *   POST /relay            -> { type, message, signature } -> { hash }
+ */
+async function main() {
+  const deploymentPath = path.join(__dirname, `../deployments/${hre.network.name}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No deployment found for network ${hre.network.name}. Run the deploy script first.`);
+  }
+
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const token = await hre.ethers.getContractAt("AutophageToken", deployment.contracts.AutophageToken);
+  const [relayerSigner] = await hre.ethers.getSigners();
+  const relayer = createRelayer(token, relayerSigner);
+  const port = parseInt(process.env.RELAYER_PORT || "8546");
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === "OPTIONS") {
+        return sendJson(res, 200, {});
+      }
+
+      if (req.method === "GET" && req.url.startsWith("/nonce/")) {
+        const owner = req.url.slice("/nonce/".length);
+        return sendJson(res, 200, { nonce: await token.nonces(owner) });
+      }
+
+      if (req.method === "GET" && req.url === "/domain") {
+        return sendJson(res, 200, await getDomain(token));
+      }
+
+      if (req.method === "POST" && req.url === "/relay") {
+        let body = "";
+        for await (const chunk of req) {
+          body += chunk;
+        }
+
+        const request = JSON.parse(body);
+        const tx = await relayer.relay(request);
+        console.log(`Relayed ${request.type} for ${request.message[SIGNER_FIELDS[request.type]]}: ${tx.hash}`);
+        return sendJson(res, 200, { hash: tx.hash });
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      sendJson(res, 400, { error: error.shortMessage || error.message });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`⛽ Relayer ${relayerSigner.address} listening on http://localhost:${port}`);
+  console.log(`   AutophageToken: ${deployment.contracts.AutophageToken}`);
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", () => server.close(resolve)));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { TYPES, getDomain, signRequest, createRelayer };
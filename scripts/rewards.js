@@ -0,0 +1,167 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { hashLeaf, buildTree, getRoot, getProof } = require("./merkle");
+
+/**
+ * Epoch reward distributions for the RewardDistributor.
+ *
+ * Reads an epoch's rewards from a CSV or JSON file, builds the Merkle tree
+ * over (address, species, amount) leaves, posts its root to the distributor
+ * (requires ORACLE_ROLE) and writes every holder's proofs to
+ * deployments/<network>.rewards-<epochId>.json for the app to serve (a dry
+ * run writes deployments/<network>.rewards-preview.json instead).
+ *
+ * Reward files list one reward per row, with amounts in whole tokens:
+ *   CSV:  account,species,amount
+ *         0xabc...,0,12.5
+ *   JSON: [{ "account": "0xabc...", "species": 0, "amount": "12.5" }]
+ * Rows for the same account and species are added together, since each can
+ * only be claimed once per epoch.
+ *
+ * Usage:
+ *   REWARDS_FILE=rewards.csv npx hardhat run scripts/rewards.js --network localhost
+ *   REWARDS_FILE=rewards.json EPOCH_TIME=1700000000 npx hardhat run scripts/rewards.js --network localhost
+ *   REWARDS_FILE=rewards.csv DRY_RUN=1 npx hardhat run scripts/rewards.js --network localhost
+ *
+ * EPOCH_TIME is the end of the activity period in Unix seconds (defaults to
+ * now); epochs posted while the distributor decays from epoch time start
+ * decaying there.
+ */
+
+function rewardLeaf(reward) {
+  return hashLeaf(["address", "uint8", "uint256"], [reward.account, reward.species, reward.amount]);
+}
+
+/**
+ * Parse a reward file's contents into { account, species, amount } rows with
+ * amounts in wei
+ */
+function parseRewards(contents, format) {
+  let rows;
+  if (format === "json") {
+    rows = JSON.parse(contents);
+  } else {
+    const lines = contents.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    if (lines.length > 0 && lines[0].toLowerCase().startsWith("account")) {
+      lines.shift(); // Header
+    }
+    rows = lines.map((line) => {
+      const [account, species, amount] = line.split(",").map((field) => field.trim());
+      return { account, species, amount };
+    });
+  }
+
+  return rows.map((row, i) => {
+    if (!hre.ethers.isAddress(row.account)) {
+      throw new Error(`Reward ${i + 1} has an invalid account: ${row.account}`);
+    }
+    const species = Number(row.species);
+    if (!Number.isInteger(species) || species < 0 || species > 255) {
+      throw new Error(`Reward ${i + 1} has an invalid species: ${row.species}`);
+    }
+    return {
+      account: hre.ethers.getAddress(row.account),
+      species,
+      amount: hre.ethers.parseEther(String(row.amount))
+    };
+  });
+}
+
+function loadRewards(file) {
+  const format = path.extname(file).toLowerCase() === ".json" ? "json" : "csv";
+  return parseRewards(fs.readFileSync(file, "utf8"), format);
+}
+
+/**
+ * Build an epoch distribution: the root, totals per species and every
+ * holder's claims with their proofs. Amounts are decimal strings so the
+ * distribution can be saved as JSON.
+ */
+function buildDistribution(rewards) {
+  const merged = new Map();
+  for (const reward of rewards) {
+    const key = `${reward.account}:${reward.species}`;
+    const existing = merged.get(key);
+    merged.set(key, { ...reward, amount: (existing ? existing.amount : 0n) + reward.amount });
+  }
+
+  const entries = [...merged.values()].filter((reward) => reward.amount > 0n);
+  const layers = buildTree(entries.map(rewardLeaf));
+
+  const totals = {};
+  const claims = {};
+  for (const reward of entries) {
+    totals[reward.species] = (BigInt(totals[reward.species] || 0) + reward.amount).toString();
+    (claims[reward.account] = claims[reward.account] || []).push({
+      species: reward.species,
+      amount: reward.amount.toString(),
+      proof: getProof(layers, rewardLeaf(reward))
+    });
+  }
+
+  return { root: getRoot(layers), totals, claims };
+}
+
+/**
+ * Look up one holder's claim for a species, or null if it has none
+ */
+function getClaim(distribution, account, species) {
+  const claims = distribution.claims[hre.ethers.getAddress(account)] || [];
+  return claims.find((claim) => claim.species === Number(species)) || null;
+}
+
+async function main() {
+  if (!process.env.REWARDS_FILE) {
+    throw new Error("Set REWARDS_FILE to a CSV or JSON file of rewards");
+  }
+
+  const distribution = buildDistribution(loadRewards(process.env.REWARDS_FILE));
+  const holders = Object.keys(distribution.claims).length;
+  console.log(`\n🌳 Built a reward tree for ${holders} holders from ${process.env.REWARDS_FILE}`);
+  console.log(`Merkle root: ${distribution.root}`);
+  for (const [species, total] of Object.entries(distribution.totals)) {
+    console.log(`- Species ${species}: ${hre.ethers.formatEther(total)} tokens`);
+  }
+
+  const epochTime = process.env.EPOCH_TIME
+    ? parseInt(process.env.EPOCH_TIME)
+    : (await hre.ethers.provider.getBlock("latest")).timestamp;
+  const outputFor = (epochId) => path.join(__dirname, `../deployments/${hre.network.name}.rewards-${epochId}.json`);
+
+  if (process.env.DRY_RUN) {
+    const outputPath = outputFor("preview");
+    fs.writeFileSync(outputPath, JSON.stringify({ epochTime, ...distribution }, null, 2));
+    console.log(`\nDry run; distribution saved to ${outputPath} without posting the root`);
+    return;
+  }
+
+  const deploymentPath = path.join(__dirname, `../deployments/${hre.network.name}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No deployment found for network ${hre.network.name}. Run the deploy script first.`);
+  }
+
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const distributor = await hre.ethers.getContractAt("RewardDistributor", deployment.contracts.RewardDistributor);
+
+  const receipt = await (await distributor.postEpoch(distribution.root, epochTime)).wait();
+  const posted = receipt.logs
+    .map((log) => distributor.interface.parseLog(log))
+    .find((event) => event && event.name === "EpochPosted");
+  const epochId = Number(posted.args.epochId);
+  const outputPath = outputFor(epochId);
+  fs.writeFileSync(outputPath, JSON.stringify({ epochId, epochTime, ...distribution }, null, 2));
+
+  console.log(`\n✅ Posted epoch ${epochId}; proofs saved to ${outputPath}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { rewardLeaf, parseRewards, loadRewards, buildDistribution, getClaim };
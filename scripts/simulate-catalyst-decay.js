@@ -0,0 +1,173 @@
+const hre = require("hardhat");
+const { deployAutophageToken, deployProxy } = require("./upgradeable");
+
+/**
+ * Replays market scenarios against CatalystDecayController on the in-process
+ * Hardhat network and prints how the Catalyst decay rate responds each day.
+ *
+ * Usage:
+ *   npm run simulate:catalyst
+ *   SCENARIO=glut DAYS=21 npm run simulate:catalyst
+ */
+
+const CATALYST = 3;
+const RHYTHM = 0;
+const DAY = 86400;
+const parse = (amount) => hre.ethers.parseEther(amount.toString());
+const pct = (value) => (Number(hre.ethers.formatEther(value)) * 100).toFixed(2) + "%";
+const ACTIVE_TRADERS = 6;
+
+// The simulated market has a handful of holders, so it aims for fewer senders than mainnet
+const TARGET_ACTIVITY = parse(ACTIVE_TRADERS);
+
+// Each scenario seeds balances once, then runs `day` before every controller update
+const SCENARIOS = {
+  stagnant: {
+    description: "Catalyst is held but never traded; Reservoir stays empty",
+    async setup({ token, holders }) {
+      await token.mint(holders[0].address, CATALYST, parse(10000));
+      await token.mint(holders[1].address, RHYTHM, parse(30000));
+    },
+    async day() {}
+  },
+
+  active: {
+    description: `${ACTIVE_TRADERS} holders each pass 30% of their Catalyst on daily`,
+    async setup({ token, holders }) {
+      for (let i = 0; i < ACTIVE_TRADERS; i++) {
+        await token.mint(holders[i].address, CATALYST, parse(5000));
+      }
+      await token.mint(holders[ACTIVE_TRADERS].address, RHYTHM, parse(90000));
+    },
+    async day({ token, holders }) {
+      for (let i = 0; i < ACTIVE_TRADERS; i++) {
+        const [from, to] = [holders[i], holders[(i + 1) % ACTIVE_TRADERS]];
+        const balance = await token.liquidBalanceOf(from.address, CATALYST);
+        await token.connect(from).transfer(to.address, CATALYST, balance * 30n / 100n);
+      }
+    }
+  },
+
+  wash: {
+    description: "Two holders trade their Catalyst back and forth ten times a day",
+    async setup({ token, holders }) {
+      await token.mint(holders[0].address, CATALYST, parse(15000));
+      await token.mint(holders[1].address, CATALYST, parse(15000));
+      await token.mint(holders[2].address, RHYTHM, parse(90000));
+    },
+    async day({ token, holders }) {
+      for (let i = 0; i < 10; i++) {
+        const [from, to] = i % 2 === 0 ? [holders[0], holders[1]] : [holders[1], holders[0]];
+        const balance = await token.liquidBalanceOf(from.address, CATALYST);
+        await token.connect(from).transfer(to.address, CATALYST, balance);
+      }
+    }
+  },
+
+  glut: {
+    description: "Heavy daily Catalyst minting crowds out the other species",
+    async setup({ token, holders }) {
+      await token.mint(holders[0].address, CATALYST, parse(5000));
+      await token.mint(holders[1].address, RHYTHM, parse(45000));
+    },
+    async day({ token, holders }) {
+      await token.mint(holders[0].address, CATALYST, parse(8000));
+    }
+  },
+
+  refill: {
+    description: "Stagnant market, but the oracle sweeps Catalyst decay into the Reservoir daily",
+    async setup({ token, holders }) {
+      await token.mint(holders[0].address, CATALYST, parse(10000));
+      await token.mint(holders[1].address, RHYTHM, parse(10000));
+    },
+    async day({ reservoir, holders }) {
+      await reservoir.collectDecayedTokens([holders[0].address], [CATALYST]);
+    }
+  }
+};
+
+async function deploy() {
+  const [owner] = await hre.ethers.getSigners();
+
+  const token = await deployAutophageToken();
+  const usdc = await hre.ethers.deployContract("MockERC20");
+  const reservoir = await deployProxy("ReservoirContract", [
+    await token.getAddress(),
+    await usdc.getAddress()
+  ]);
+  const controller = await hre.ethers.deployContract("CatalystDecayController", [
+    await token.getAddress(),
+    await reservoir.getAddress()
+  ]);
+
+  await token.grantRole(await token.MINTER_ROLE(), owner.address);
+  await token.grantRole(await token.RESERVOIR_ROLE(), await reservoir.getAddress());
+  await token.grantRole(await token.DECAY_CONTROLLER_ROLE(), await controller.getAddress());
+  await reservoir.grantRole(await reservoir.ORACLE_ROLE(), owner.address);
+  await controller.setSignalTargets(
+    await controller.targetVelocity(),
+    TARGET_ACTIVITY,
+    await controller.shareCeiling(),
+    await controller.targetReservoirRatio()
+  );
+
+  return { token, reservoir, controller };
+}
+
+async function runScenario(name, scenario, days) {
+  const snapshot = await hre.network.provider.send("evm_snapshot");
+  const [, ...holders] = await hre.ethers.getSigners();
+  const context = { ...(await deploy()), holders };
+  const { token, controller } = context;
+
+  console.log(`\n📈 ${name}: ${scenario.description}`);
+  console.log("Day | Rate   | Target | Velocity | Senders/day | CTL Share | Reservoir");
+  console.log("-".repeat(74));
+
+  await scenario.setup(context);
+
+  for (let day = 1; day <= days; day++) {
+    await scenario.day(context);
+    await hre.network.provider.send("evm_increaseTime", [DAY]);
+    await hre.network.provider.send("evm_mine");
+
+    const [velocity, activity, share, reservoirRatio] = await controller.getSignals();
+    const [, targetRate] = await controller.previewDecayRate();
+    await controller.updateDecayRate();
+    const rate = await token.decayRates(CATALYST);
+
+    console.log(
+      `${String(day).padStart(3)} | ${pct(rate).padStart(6)} | ${pct(targetRate).padStart(6)} | ${pct(velocity).padStart(8)} | ` +
+      `${Number(hre.ethers.formatEther(activity)).toFixed(2).padStart(11)} | ` +
+      `${pct(share).padStart(9)} | ${pct(reservoirRatio).padStart(9)}`
+    );
+  }
+
+  await hre.network.provider.send("evm_revert", [snapshot]);
+}
+
+async function main() {
+  const days = parseInt(process.env.DAYS || "14");
+  const selected = process.env.SCENARIO;
+
+  if (selected && !SCENARIOS[selected]) {
+    throw new Error(`Unknown scenario "${selected}". Available: ${Object.keys(SCENARIOS).join(", ")}`);
+  }
+
+  console.log("\n🧪 Catalyst Decay Controller Simulation");
+  console.log("=".repeat(60));
+
+  for (const [name, scenario] of Object.entries(SCENARIOS)) {
+    if (!selected || selected === name) {
+      await runScenario(name, scenario, days);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
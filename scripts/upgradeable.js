@@ -0,0 +1,196 @@
+const hre = require("hardhat");
+
+/**
+ * Transparent proxy helpers shared by deploy.js, the other scripts and the tests.
+ *
+ * AutophageToken, ReservoirContract, VerificationEngine and GovernanceContract
+ * run behind OpenZeppelin transparent proxies, so fixes can ship without
+ * losing balances, claims or proposals. AutophageToken and ReservoirContract
+ * link libraries that keep the decay math, balance history, vault bookkeeping,
+ * signature checks and claim queue out of their bytecode.
+ *
+ * Storage layouts are checked by the OpenZeppelin upgrades plugin, which keeps
+ * the layout of every deployed implementation in .openzeppelin/<network>.json.
+ */
+
+const UPGRADEABLE_CONTRACTS = ["AutophageToken", "ReservoirContract", "VerificationEngine", "GovernanceContract"];
+
+// Libraries linked into each implementation; the plugin only allows linking when
+// told to.
+//
+// Upgrade risk: with unsafeAllowLinkedLibraries the plugin checks the storage
+// layout but never looks at the libraries' code. Every upgrade of these
+// contracts passes the flag, so an upgrade that redeploys or changes a library
+// (a new compiler, new functions, a different address) must be reviewed by hand.
+// The libraries must stay stateless, with no selfdestruct or delegatecall; the
+// contracts delegatecall their external functions on their own storage, and a
+// broken library would take every balance read or claim payout down with it.
+const LINKED_LIBRARIES = {
+  AutophageToken: ["DecayMath", "BalanceHistory", "WellnessVault", "TypedSignature"],
+  ReservoirContract: ["ClaimQueue"]
+};
+
+// Libraries that link other libraries themselves
+const LIBRARY_DEPENDENCIES = {
+  BalanceHistory: ["DecayMath"],
+  WellnessVault: ["DecayMath"]
+};
+
+async function deployLibrary(name, libraries) {
+  const factory = await hre.ethers.getContractFactory(name, { libraries });
+  const library = await factory.deploy();
+  await library.waitForDeployment();
+  return library.getAddress();
+}
+
+// Deployed libraries embed their own address in the leading PUSH20, and their
+// own linked libraries where the artifact has placeholders
+async function matchesBuild(address, name, libraries) {
+  const code = await hre.ethers.provider.getCode(address);
+  const artifact = await hre.artifacts.readArtifact(name);
+  let expected = artifact.deployedBytecode;
+  for (const references of Object.values(artifact.deployedLinkReferences)) {
+    for (const [library, offsets] of Object.entries(references)) {
+      for (const { start, length } of offsets) {
+        const position = 2 + start * 2;
+        expected = expected.slice(0, position) + libraries[library].slice(2).toLowerCase() + expected.slice(position + length * 2);
+      }
+    }
+  }
+  return code.length > 44 && code.slice(44) === expected.slice(44);
+}
+
+async function resolveLibrary(name, existing, libraries) {
+  if (!libraries[name]) {
+    const dependencies = {};
+    for (const dependency of LIBRARY_DEPENDENCIES[name] || []) {
+      dependencies[dependency] = await resolveLibrary(dependency, existing, libraries);
+    }
+    const address = existing[name];
+    libraries[name] = address && (await matchesBuild(address, name, dependencies))
+      ? address
+      : await deployLibrary(name, dependencies);
+  }
+  return libraries[name];
+}
+
+/**
+ * Deploy the libraries an implementation links, reusing each address in
+ * `existing` whose code matches the current build.
+ * @return Library addresses by name, empty for contracts that link none
+ */
+async function deployLibraries(name, existing = {}) {
+  const libraries = {};
+  for (const library of LINKED_LIBRARIES[name] || []) {
+    await resolveLibrary(library, existing, libraries);
+  }
+  return libraries;
+}
+
+// Only the libraries the implementation links directly; the rest are linked into those
+async function getImplementationFactory(name, implementationName, libraries) {
+  const linked = LINKED_LIBRARIES[name];
+  if (!linked) {
+    return hre.ethers.getContractFactory(implementationName);
+  }
+  const direct = Object.fromEntries(linked.map((library) => [library, libraries[library]]));
+  return hre.ethers.getContractFactory(implementationName, { libraries: direct });
+}
+
+function pluginOptions(name) {
+  return LINKED_LIBRARIES[name] ? { kind: "transparent", unsafeAllowLinkedLibraries: true } : { kind: "transparent" };
+}
+
+/**
+ * Deploy a contract behind a transparent proxy and run its initializer.
+ * @param options.libraries Addresses of already deployed libraries to link;
+ *   missing ones are deployed
+ */
+async function deployProxy(name, args = [], options = {}) {
+  const libraries = await deployLibraries(name, options.libraries);
+  const factory = await getImplementationFactory(name, name, libraries);
+  const proxy = await hre.upgrades.deployProxy(factory, args, pluginOptions(name));
+  await proxy.waitForDeployment();
+  return proxy;
+}
+
+/**
+ * Deploy AutophageToken behind a proxy, deploying its libraries unless their
+ * addresses are given.
+ */
+async function deployAutophageToken(libraries) {
+  return deployProxy("AutophageToken", [], { libraries });
+}
+
+async function implementationRecord(proxyAddress) {
+  return {
+    address: await hre.upgrades.erc1967.getImplementationAddress(proxyAddress),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Fill in the proxy admin and the first implementation of every upgradeable
+ * contract in a deployment record.
+ */
+async function recordImplementations(deployment) {
+  deployment.implementations = deployment.implementations || {};
+  for (const name of UPGRADEABLE_CONTRACTS) {
+    const proxyAddress = deployment.contracts[name];
+    if (proxyAddress && !deployment.implementations[name]) {
+      deployment.implementations[name] = [await implementationRecord(proxyAddress)];
+    }
+  }
+  deployment.contracts.ProxyAdmin = await hre.upgrades.erc1967.getAdminAddress(deployment.contracts.AutophageToken);
+  return deployment;
+}
+
+/**
+ * Upgrade one proxy in a deployment record and append the new implementation
+ * to its history.
+ *
+ * The new implementation's storage layout is validated against the one in use
+ * before anything is deployed; an incompatible layout throws and leaves the
+ * proxy untouched.
+ *
+ * @param implementationName Contract to upgrade to, defaults to `name`
+ * @return The implementation record, or null when the code is unchanged
+ */
+async function upgradeContract(deployment, name, implementationName = name) {
+  if (!UPGRADEABLE_CONTRACTS.includes(name)) {
+    throw new Error(`${name} is not upgradeable; expected one of ${UPGRADEABLE_CONTRACTS.join(", ")}`);
+  }
+  const proxyAddress = deployment.contracts[name];
+  if (!proxyAddress) {
+    throw new Error(`No ${name} proxy in the deployment record`);
+  }
+
+  const libraries = await deployLibraries(name, deployment.contracts);
+  Object.assign(deployment.contracts, libraries);
+
+  const factory = await getImplementationFactory(name, implementationName, libraries);
+  const options = pluginOptions(name);
+  await hre.upgrades.validateUpgrade(proxyAddress, factory, options);
+
+  const previous = await hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+  await hre.upgrades.upgradeProxy(proxyAddress, factory, options);
+  const record = await implementationRecord(proxyAddress);
+
+  deployment.implementations = deployment.implementations || {};
+  const history = deployment.implementations[name] || [{ address: previous }];
+  if (record.address === previous) {
+    return null;
+  }
+  history.push(record);
+  deployment.implementations[name] = history;
+  return record;
+}
+
+module.exports = {
+  UPGRADEABLE_CONTRACTS,
+  deployLibraries,
+  deployProxy,
+  deployAutophageToken,
+  recordImplementations,
+  upgradeContract
+};
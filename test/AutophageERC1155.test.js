@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken } = require("../scripts/upgradeable");
+
+describe("AutophageERC1155", function () {
+  let autophageToken;
+  let registry;
+  let adapter;
+  let owner;
+  let user1;
+  let user2;
+  let operator;
+  
+  beforeEach(async function () {
+    [owner, user1, user2, operator] = await ethers.getSigners();
+    
+    autophageToken = await deployAutophageToken();
+    
+    const SpeciesRegistry = await ethers.getContractFactory("SpeciesRegistry");
+    registry = await SpeciesRegistry.deploy(await autophageToken.getAddress());
+    await registry.waitForDeployment();
+    
+    const AutophageERC1155 = await ethers.getContractFactory("AutophageERC1155");
+    adapter = await AutophageERC1155.deploy(await autophageToken.getAddress(), await registry.getAddress());
+    await adapter.waitForDeployment();
+    
+    const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+    const TRANSFER_AGENT_ROLE = await autophageToken.TRANSFER_AGENT_ROLE();
+    await autophageToken.grantRole(MINTER_ROLE, owner.address);
+    await autophageToken.grantRole(TRANSFER_AGENT_ROLE, await adapter.getAddress());
+    await autophageToken.setTransferListener(await adapter.getAddress());
+    
+    await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+    await autophageToken.mint(user1.address, 2, ethers.parseEther("500"));
+  });
+
+  describe("Balances", function () {
+    it("Should report decayed token balances", async function () {
+      expect(await adapter.balanceOf(user1.address, 0)).to.equal(ethers.parseEther("1000"));
+      
+      await time.increase(86400);
+      
+      const tokenBalance = await autophageToken.balanceOf(user1.address, 0);
+      expect(tokenBalance).to.equal(ethers.parseEther("950"));
+      expect(await adapter.balanceOf(user1.address, 0)).to.equal(tokenBalance);
+    });
+
+    it("Should return batch balances", async function () {
+      const balances = await adapter.balanceOfBatch(
+        [user1.address, user1.address, user2.address],
+        [0, 2, 0]
+      );
+      
+      expect(balances[0]).to.equal(ethers.parseEther("1000"));
+      expect(balances[1]).to.equal(ethers.parseEther("500"));
+      expect(balances[2]).to.equal(0);
+    });
+
+    it("Should reject unknown token ids", async function () {
+      await expect(adapter.balanceOf(user1.address, 4)).to.be.revertedWith("Invalid species");
+    });
+  });
+
+  describe("Transfers", function () {
+    it("Should transfer through safeTransferFrom", async function () {
+      const amount = ethers.parseEther("100");
+      
+      await expect(adapter.connect(user1).safeTransferFrom(user1.address, user2.address, 0, amount, "0x"))
+        .to.emit(adapter, "TransferSingle")
+        .withArgs(user1.address, user1.address, user2.address, 0, amount);
+      
+      expect(await autophageToken.balanceOf(user2.address, 0)).to.equal(amount);
+      expect(await adapter.balanceOf(user1.address, 0)).to.equal(ethers.parseEther("900"));
+    });
+
+    it("Should transfer multiple species in a batch", async function () {
+      const amounts = [ethers.parseEther("100"), ethers.parseEther("50")];
+      
+      await expect(adapter.connect(user1).safeBatchTransferFrom(user1.address, user2.address, [0, 2], amounts, "0x"))
+        .to.emit(adapter, "TransferBatch")
+        .withArgs(user1.address, user1.address, user2.address, [0, 2], amounts);
+      
+      expect(await autophageToken.balanceOf(user2.address, 0)).to.equal(amounts[0]);
+      expect(await autophageToken.balanceOf(user2.address, 2)).to.equal(amounts[1]);
+    });
+
+    it("Should require operator approval", async function () {
+      const amount = ethers.parseEther("100");
+      
+      await expect(
+        adapter.connect(operator).safeTransferFrom(user1.address, user2.address, 0, amount, "0x")
+      ).to.be.revertedWith("ERC1155: caller is not token owner or approved");
+      
+      await adapter.connect(user1).setApprovalForAll(operator.address, true);
+      await adapter.connect(operator).safeTransferFrom(user1.address, user2.address, 0, amount, "0x");
+      
+      expect(await autophageToken.balanceOf(user2.address, 0)).to.equal(amount);
+    });
+
+    it("Should honour operator approvals granted on the token", async function () {
+      await autophageToken.connect(user1).setApprovalForAll(operator.address, true);
+      
+      expect(await adapter.isApprovedForAll(user1.address, operator.address)).to.be.true;
+      await adapter.connect(operator).safeTransferFrom(user1.address, user2.address, 0, ethers.parseEther("10"), "0x");
+    });
+
+    it("Should not move tokens locked in a vault", async function () {
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("600"), 30);
+      
+      // Vaulted tokens are reported apart from the transferable balance
+      expect(await adapter.balanceOf(user1.address, 0)).to.equal(await autophageToken.liquidBalanceOf(user1.address, 0));
+      expect(await adapter.balanceOf(user1.address, 0)).to.be.lte(ethers.parseEther("400"));
+      expect(await adapter.vaultBalanceOf(user1.address, 0)).to.equal(await autophageToken.vaultBalanceOf(user1.address, 0));
+      expect(await adapter.vaultBalanceOf(user1.address, 0)).to.be.gt(0);
+      
+      await expect(
+        adapter.connect(user1).safeTransferFrom(user1.address, user2.address, 0, ethers.parseEther("500"), "0x")
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should check receiver contracts", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const nonReceiver = await MockERC20.deploy();
+      await nonReceiver.waitForDeployment();
+      
+      await expect(
+        adapter.connect(user1).safeTransferFrom(user1.address, await nonReceiver.getAddress(), 0, 1, "0x")
+      ).to.be.revertedWith("ERC1155: transfer to non-ERC1155Receiver implementer");
+      
+      const MockERC1155Receiver = await ethers.getContractFactory("MockERC1155Receiver");
+      const receiver = await MockERC1155Receiver.deploy();
+      await receiver.waitForDeployment();
+      
+      await adapter.connect(user1).safeTransferFrom(user1.address, await receiver.getAddress(), 0, 1, "0x");
+      expect(await adapter.balanceOf(await receiver.getAddress(), 0)).to.equal(1);
+    });
+  });
+
+  describe("Event Mirroring", function () {
+    it("Should mirror mints and direct transfers", async function () {
+      const amount = ethers.parseEther("10");
+      
+      await expect(autophageToken.mint(user2.address, 1, amount))
+        .to.emit(adapter, "TransferSingle")
+        .withArgs(owner.address, ethers.ZeroAddress, user2.address, 1, amount);
+      
+      await expect(autophageToken.connect(user1).transfer(user2.address, 0, amount))
+        .to.emit(adapter, "TransferSingle")
+        .withArgs(user1.address, user1.address, user2.address, 0, amount);
+    });
+
+    it("Should check receiver contracts on mints", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const nonReceiver = await MockERC20.deploy();
+      await nonReceiver.waitForDeployment();
+      
+      await expect(
+        autophageToken.mint(await nonReceiver.getAddress(), 0, 1)
+      ).to.be.revertedWith("ERC1155: transfer to non-ERC1155Receiver implementer");
+      
+      const MockERC1155Receiver = await ethers.getContractFactory("MockERC1155Receiver");
+      const receiver = await MockERC1155Receiver.deploy();
+      await receiver.waitForDeployment();
+      
+      await autophageToken.mint(await receiver.getAddress(), 0, 1);
+      expect(await adapter.balanceOf(await receiver.getAddress(), 0)).to.equal(1);
+    });
+
+    it("Should only accept notifications from the token", async function () {
+      await expect(
+        adapter.onSpeciesTransfer(owner.address, user1.address, user2.address, 0, 1)
+      ).to.be.revertedWith("Only token contract");
+    });
+  });
+
+  describe("Metadata", function () {
+    it("Should expose species metadata", async function () {
+      const tokenUri = await adapter.uri(3);
+      const json = JSON.parse(
+        Buffer.from(tokenUri.replace("data:application/json;base64,", ""), "base64").toString()
+      );
+      
+      expect(json.name).to.equal("Catalyst");
+      expect(json.symbol).to.equal("CTL");
+      expect(json.properties.species).to.equal(3);
+      expect(json.properties.dailyDecayRate).to.equal((await autophageToken.decayRates(3)).toString());
+    });
+
+    it("Should expose species added through the registry", async function () {
+      await expect(adapter.uri(4)).to.be.revertedWith("Invalid species");
+      
+      await autophageToken.grantRole(await autophageToken.REGISTRAR_ROLE(), await registry.getAddress());
+      await registry.registerSpecies("Resilience", "RSL", 18, "Sleep and stress recovery", ethers.parseEther("0.02"), false);
+      
+      const tokenUri = await adapter.uri(4);
+      const json = JSON.parse(
+        Buffer.from(tokenUri.replace("data:application/json;base64,", ""), "base64").toString()
+      );
+      
+      expect(json.name).to.equal("Resilience");
+      expect(json.symbol).to.equal("RSL");
+      expect(json.decimals).to.equal(18);
+      expect(json.description).to.contain("Sleep and stress recovery");
+      expect(json.properties.dailyDecayRate).to.equal(ethers.parseEther("0.02").toString());
+    });
+
+    it("Should support ERC-1155 interfaces", async function () {
+      expect(await adapter.supportsInterface("0xd9b67a26")).to.be.true; // IERC1155
+      expect(await adapter.supportsInterface("0x0e89341c")).to.be.true; // IERC1155MetadataURI
+      expect(await adapter.supportsInterface("0x01ffc9a7")).to.be.true; // IERC165
+    });
+  });
+});
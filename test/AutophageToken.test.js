@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken, deployProxy } = require("../scripts/upgradeable");
 
 describe("AutophageToken", function () {
   let autophageToken;
@@ -9,13 +10,11 @@ describe("AutophageToken", function () {
   let user2;
   let reservoir;
   let verificationEngine;
-
+  
   beforeEach(async function () {
     [owner, user1, user2, reservoir, verificationEngine] = await ethers.getSigners();
     
-    const AutophageToken = await ethers.getContractFactory("AutophageToken");
-    autophageToken = await AutophageToken.deploy();
-    await autophageToken.waitForDeployment();
+    autophageToken = await deployAutophageToken();
   });
 
   describe("Deployment", function () {
@@ -107,6 +106,117 @@ describe("AutophageToken", function () {
     });
   });
 
+  describe("Continuous Decay", function () {
+    // JS reference: balance * (1 - rate)^(t / 1 day)
+    const continuousBalance = (amount, rate, seconds) =>
+      BigInt(Math.round(Number(amount) * Math.pow(1 - rate, seconds / 86400)));
+    const tolerance = (amount) => amount / 1000000000000n; // 1e-12 relative
+    
+    beforeEach(async function () {
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+    });
+
+    it("Should default to stepwise decay", async function () {
+      const amount = ethers.parseEther("1000");
+      await autophageToken.mint(user1.address, 0, amount);
+      
+      await time.increase(86400 - 60);
+      
+      expect(await autophageToken.continuousDecay(0)).to.be.false;
+      expect(await autophageToken.balanceOf(user1.address, 0)).to.equal(amount);
+    });
+
+    it("Should decay every second once switched to continuous", async function () {
+      await expect(autophageToken.setDecayMode(0, true))
+        .to.emit(autophageToken, "DecayModeUpdated")
+        .withArgs(0, true);
+      
+      const amount = ethers.parseEther("1000");
+      await autophageToken.mint(user1.address, 0, amount);
+      const start = await time.latest();
+      
+      // Just before the day boundary the balance has already decayed
+      await time.increase(86400 - 60);
+      let elapsed = (await time.latest()) - start;
+      let balance = await autophageToken.balanceOf(user1.address, 0);
+      expect(balance).to.be.closeTo(continuousBalance(amount, 0.05, elapsed), tolerance(amount));
+      expect(balance).to.be.lessThan(ethers.parseEther("951"));
+      
+      // Fractional days compound on top of whole days
+      await time.increase(43200 + 60);
+      elapsed = (await time.latest()) - start;
+      balance = await autophageToken.balanceOf(user1.address, 0);
+      expect(balance).to.be.closeTo(continuousBalance(amount, 0.05, elapsed), tolerance(amount));
+    });
+
+    it("Should match stepwise decay at whole-day boundaries", async function () {
+      await autophageToken.setDecayMode(1, true);
+      const amount = ethers.parseEther("1000");
+      await autophageToken.mint(user1.address, 1, amount);
+      
+      await time.increaseTo((await time.latest()) + 3 * 86400);
+      
+      // Whole days use the same integer power as stepwise decay
+      const stepwise = amount * 9925n ** 3n / 10000n ** 3n;
+      expect(await autophageToken.balanceOf(user1.address, 1)).to.be.closeTo(stepwise, tolerance(amount));
+    });
+
+    it("Should settle continuous decay on transfer", async function () {
+      await autophageToken.setDecayMode(0, true);
+      const amount = ethers.parseEther("1000");
+      await autophageToken.mint(user1.address, 0, amount);
+      const start = await time.latest();
+      
+      await time.increase(6 * 3600);
+      await autophageToken.connect(user1).transfer(user2.address, 0, ethers.parseEther("100"));
+      const elapsed = (await time.latest()) - start;
+      
+      const expected = continuousBalance(amount, 0.05, elapsed) - ethers.parseEther("100");
+      expect(await autophageToken.liquidBalanceOf(user1.address, 0)).to.be.closeTo(expected, tolerance(amount));
+      expect(await autophageToken.totalSupply(0)).to.be.closeTo(expected + ethers.parseEther("100"), tolerance(amount));
+    });
+
+    it("Should decay vault positions continuously", async function () {
+      await autophageToken.setDecayMode(2, true);
+      const amount = ethers.parseEther("1000");
+      await autophageToken.mint(user1.address, 2, amount + ethers.parseEther("1"));
+      await autophageToken.connect(user1).lockInVault(2, amount, 30);
+      const start = await time.latest();
+      
+      await time.increase(12 * 3600);
+      const elapsed = (await time.latest()) - start;
+      
+      // 30-day vaults cut the 0.1% Foundation rate by 9%
+      const expected = continuousBalance(amount, 0.001 * 0.91, elapsed);
+      const vaultBalance = await autophageToken.vaultBalanceOf(user1.address, 2);
+      expect(vaultBalance).to.be.lessThan(amount);
+      expect(vaultBalance).to.be.closeTo(expected, tolerance(amount));
+    });
+
+    it("Should track decayed supply continuously", async function () {
+      await autophageToken.setDecayMode(0, true);
+      const amount = ethers.parseEther("1000");
+      await autophageToken.mint(user1.address, 0, amount);
+      
+      await time.increase(43200);
+      
+      const balance = await autophageToken.balanceOf(user1.address, 0);
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.closeTo(balance, tolerance(amount));
+      expect(balance).to.be.lessThan(amount);
+    });
+
+    it("Should only let governance switch modes", async function () {
+      await expect(autophageToken.connect(user1).setDecayMode(0, true)).to.be.reverted;
+      await expect(autophageToken.setDecayMode(0, false)).to.be.revertedWith("Mode unchanged");
+      await expect(autophageToken.setDecayMode(4, true)).to.be.revertedWith("Invalid species");
+      
+      await autophageToken.setDecayMode(0, true);
+      await autophageToken.setDecayMode(0, false);
+      expect(await autophageToken.continuousDecay(0)).to.be.false;
+    });
+  });
+
   describe("Transfers", function () {
     beforeEach(async function () {
       const MINTER_ROLE = await autophageToken.MINTER_ROLE();
@@ -150,6 +260,150 @@ describe("AutophageToken", function () {
     });
   });
 
+  describe("Approvals", function () {
+    beforeEach(async function () {
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+    });
+
+    it("Should set per-species allowances", async function () {
+      const amount = ethers.parseEther("300");
+      await expect(autophageToken.connect(user1).approve(user2.address, 0, amount))
+        .to.emit(autophageToken, "Approval")
+        .withArgs(user1.address, user2.address, 0, amount);
+      
+      expect(await autophageToken.allowance(user1.address, user2.address, 0)).to.equal(amount);
+      expect(await autophageToken.allowance(user1.address, user2.address, 1)).to.equal(0);
+    });
+
+    it("Should transfer from an approved holder and spend the allowance", async function () {
+      await autophageToken.connect(user1).approve(user2.address, 0, ethers.parseEther("300"));
+      
+      await expect(autophageToken.connect(user2).transferFrom(user1.address, user2.address, 0, ethers.parseEther("100")))
+        .to.emit(autophageToken, "Transfer");
+      
+      expect(await autophageToken.balanceOf(user2.address, 0)).to.equal(ethers.parseEther("100"));
+      expect(await autophageToken.allowance(user1.address, user2.address, 0)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should revert when the allowance is exceeded", async function () {
+      await autophageToken.connect(user1).approve(user2.address, 0, ethers.parseEther("50"));
+      
+      await expect(
+        autophageToken.connect(user2).transferFrom(user1.address, user2.address, 0, ethers.parseEther("51"))
+      ).to.be.revertedWith("Insufficient allowance");
+    });
+
+    it("Should cap pulls at the decayed balance when the allowance is larger", async function () {
+      await autophageToken.connect(user1).approve(user2.address, 0, ethers.parseEther("1000"));
+      await time.increase(86400);
+      
+      await expect(
+        autophageToken.connect(user2).transferFrom(user1.address, user2.address, 0, ethers.parseEther("1000"))
+      ).to.be.revertedWith("Insufficient balance");
+      
+      // Allowance is untouched by the failed pull and by decay
+      expect(await autophageToken.allowance(user1.address, user2.address, 0)).to.equal(ethers.parseEther("1000"));
+      
+      const decayed = await autophageToken.liquidBalanceOf(user1.address, 0);
+      await autophageToken.connect(user2).transferFrom(user1.address, user2.address, 0, decayed);
+      expect(await autophageToken.allowance(user1.address, user2.address, 0)).to.equal(ethers.parseEther("1000") - decayed);
+    });
+
+    it("Should not decrease an unlimited allowance", async function () {
+      await autophageToken.connect(user1).approve(user2.address, 0, ethers.MaxUint256);
+      await autophageToken.connect(user2).transferFrom(user1.address, user2.address, 0, ethers.parseEther("100"));
+      
+      expect(await autophageToken.allowance(user1.address, user2.address, 0)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should let approved operators move any species", async function () {
+      await autophageToken.mint(user1.address, 3, ethers.parseEther("500"));
+      await expect(autophageToken.connect(user1).setApprovalForAll(user2.address, true))
+        .to.emit(autophageToken, "ApprovalForAll")
+        .withArgs(user1.address, user2.address, true);
+      
+      await autophageToken.connect(user2).transferFrom(user1.address, owner.address, 3, ethers.parseEther("500"));
+      expect(await autophageToken.balanceOf(owner.address, 3)).to.equal(ethers.parseEther("500"));
+      
+      await autophageToken.connect(user1).setApprovalForAll(user2.address, false);
+      await expect(
+        autophageToken.connect(user2).transferFrom(user1.address, owner.address, 0, ethers.parseEther("1"))
+      ).to.be.revertedWith("Insufficient allowance");
+    });
+  });
+
+  describe("Burning", function () {
+    beforeEach(async function () {
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      const BURNER_ROLE = await autophageToken.BURNER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.grantRole(BURNER_ROLE, verificationEngine.address);
+      await autophageToken.mint(user1.address, 2, ethers.parseEther("1000"));
+    });
+
+    it("Should burn tokens and reduce total supply", async function () {
+      const amount = ethers.parseEther("400");
+      await expect(autophageToken.connect(verificationEngine).burn(user1.address, 2, amount))
+        .to.emit(autophageToken, "Burn")
+        .withArgs(user1.address, 2, amount);
+      
+      expect(await autophageToken.balanceOf(user1.address, 2)).to.equal(ethers.parseEther("600"));
+      expect(await autophageToken.totalSupply(2)).to.equal(ethers.parseEther("600"));
+    });
+
+    it("Should revert if non-burner tries to burn", async function () {
+      await expect(
+        autophageToken.connect(user1).burn(user1.address, 2, ethers.parseEther("1"))
+      ).to.be.reverted;
+    });
+
+    it("Should revert when burning more than the decayed balance", async function () {
+      await time.increase(30 * 86400);
+      await expect(
+        autophageToken.connect(verificationEngine).burn(user1.address, 2, ethers.parseEther("1000"))
+      ).to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("Decay Application", function () {
+    beforeEach(async function () {
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      const RESERVOIR_ROLE = await autophageToken.RESERVOIR_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.grantRole(RESERVOIR_ROLE, reservoir.address);
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+    });
+
+    it("Should report pending decay amount", async function () {
+      expect(await autophageToken.calculateDecayAmount(user1.address, 0)).to.equal(0);
+      
+      await time.increase(86400);
+      
+      const decay = await autophageToken.calculateDecayAmount(user1.address, 0);
+      expect(decay).to.be.closeTo(ethers.parseEther("50"), ethers.parseEther("1"));
+    });
+
+    it("Should apply decay and remove it from total supply", async function () {
+      await time.increase(86400);
+      const decay = await autophageToken.calculateDecayAmount(user1.address, 0);
+      
+      await expect(autophageToken.connect(reservoir).applyDecay(user1.address, 0))
+        .to.emit(autophageToken, "DecayApplied")
+        .withArgs(user1.address, 0, decay);
+      
+      expect(await autophageToken.calculateDecayAmount(user1.address, 0)).to.equal(0);
+      expect(await autophageToken.totalSupply(0)).to.equal(ethers.parseEther("1000") - decay);
+    });
+
+    it("Should restrict applyDecay to the Reservoir", async function () {
+      await expect(
+        autophageToken.connect(user1).applyDecay(user1.address, 0)
+      ).to.be.reverted;
+    });
+  });
+
   describe("Wellness Vault", function () {
     beforeEach(async function () {
       const MINTER_ROLE = await autophageToken.MINTER_ROLE();
@@ -163,30 +417,526 @@ describe("AutophageToken", function () {
       
       await expect(autophageToken.connect(user1).lockInVault(0, lockAmount, lockDuration))
         .to.emit(autophageToken, "VaultLocked")
-        .withArgs(user1.address, 0, lockAmount, lockDuration * 86400); // Convert days to seconds
+        .withArgs(user1.address, 0, 0, lockAmount, lockDuration * 86400); // Convert days to seconds
       
       // Check balance - tokens in vault are still part of balance
       const balance = await autophageToken.balanceOf(user1.address, 0);
       expect(balance).to.equal(ethers.parseEther("1000")); // Balance includes vault tokens
+      expect(await autophageToken.liquidBalanceOf(user1.address, 0)).to.equal(ethers.parseEther("500"));
+      expect(await autophageToken.vaultBalanceOf(user1.address, 0)).to.equal(lockAmount);
+    });
+
+    it("Should only lock the requested amount", async function () {
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("500"), 30);
+      
+      await autophageToken.connect(user1).transfer(user2.address, 0, ethers.parseEther("400"));
+      expect(await autophageToken.balanceOf(user2.address, 0)).to.equal(ethers.parseEther("400"));
+      
+      await expect(
+        autophageToken.connect(user1).transfer(user2.address, 0, ethers.parseEther("200"))
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should support multiple concurrent positions", async function () {
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("200"), 30);
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("300"), 365);
+      
+      const [positions, currentValues] = await autophageToken.getVaultPositions(user1.address, 0);
+      expect(positions.length).to.equal(2);
+      expect(positions[0].id).to.equal(0);
+      expect(positions[0].principal).to.equal(ethers.parseEther("200"));
+      expect(positions[1].id).to.equal(1);
+      expect(positions[1].lockedUntil - positions[1].startTime).to.equal(365n * 86400n);
+      expect(currentValues[1]).to.equal(ethers.parseEther("300"));
     });
 
     it("Should reduce decay rate for locked tokens", async function () {
       const lockAmount = ethers.parseEther("500");
       await autophageToken.connect(user1).lockInVault(0, lockAmount, 30);
       
-      // The vault logic is implemented in the balance calculation
-      // so we skip this test as the internal vault state is not directly accessible
-      this.skip();
+      await time.increase(86400);
+      
+      // 30-day lock: 9% reduction of the 5% rate = 4.55% daily decay
+      const vaultBalance = await autophageToken.vaultBalanceOf(user1.address, 0);
+      expect(vaultBalance).to.equal(ethers.parseEther("477.25"));
+      
+      const liquidBalance = await autophageToken.liquidBalanceOf(user1.address, 0);
+      expect(liquidBalance).to.equal(ethers.parseEther("475"));
     });
 
     it("Should prevent unlocking before lock period ends", async function () {
-      // The contract doesn't have an unlock function - tokens are automatically unlocked after the period
-      this.skip();
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("500"), 30);
+      
+      await time.increase(10 * 86400);
+      
+      await expect(
+        autophageToken.connect(user1).unlockFromVault(0)
+      ).to.be.revertedWith("No matured vault positions");
     });
 
     it("Should allow unlocking after lock period", async function () {
-      // The contract doesn't have an unlock function - tokens are automatically available after the period
-      this.skip();
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("200"), 30);
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("300"), 90);
+      
+      await time.increase(30 * 86400);
+      
+      const [, currentValues] = await autophageToken.getVaultPositions(user1.address, 0);
+      await expect(autophageToken.connect(user1).unlockFromVault(0))
+        .to.emit(autophageToken, "VaultUnlocked")
+        .withArgs(user1.address, 0, 0, currentValues[0]);
+      
+      const [positions] = await autophageToken.getVaultPositions(user1.address, 0);
+      expect(positions.length).to.equal(1);
+      expect(positions[0].id).to.equal(1);
+      expect(await autophageToken.liquidBalanceOf(user1.address, 0)).to.be.gte(currentValues[0]);
+    });
+
+    it("Should remove realized vault decay from total supply", async function () {
+      const RESERVOIR_ROLE = await autophageToken.RESERVOIR_ROLE();
+      await autophageToken.grantRole(RESERVOIR_ROLE, reservoir.address);
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("1000"), 30);
+      
+      await time.increase(86400);
+      
+      const decay = await autophageToken.calculateDecayAmount(user1.address, 0);
+      expect(decay).to.equal(ethers.parseEther("45.5"));
+      
+      await autophageToken.connect(reservoir).applyDecay(user1.address, 0);
+      expect(await autophageToken.totalSupply(0)).to.equal(ethers.parseEther("954.5"));
+      expect(await autophageToken.calculateDecayAmount(user1.address, 0)).to.equal(0);
+    });
+  });
+
+  describe("Early Vault Withdrawal", function () {
+    let reservoirContract;
+    
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const mockUSDC = await MockERC20.deploy();
+      await mockUSDC.waitForDeployment();
+      
+      reservoirContract = await deployProxy("ReservoirContract", [
+        await autophageToken.getAddress(),
+        await mockUSDC.getAddress()
+      ]);
+      await autophageToken.setReservoir(await reservoirContract.getAddress());
+      
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.mint(user1.address, 2, ethers.parseEther("1000")); // Foundation
+      await autophageToken.connect(user1).lockInVault(2, ethers.parseEther("1000"), 100);
+    });
+
+    it("Should apply the proportional penalty", async function () {
+      // 30 of 100 days elapsed
+      await time.increase(30 * 86400);
+      
+      const [positions, currentValues] = await autophageToken.getVaultPositions(user1.address, 2);
+      const lockedValue = currentValues[0];
+      const totalDuration = positions[0].lockedUntil - positions[0].startTime;
+      
+      const tx = await autophageToken.connect(user1).withdrawFromVaultEarly(2, 0);
+      const block = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      const timeRemaining = positions[0].lockedUntil - BigInt(block.timestamp);
+      
+      // P = V_locked × (t_remaining / t_total) × 0.5
+      const expectedPenalty = (lockedValue * timeRemaining * 5n) / (totalDuration * 10n);
+      
+      await expect(tx)
+        .to.emit(autophageToken, "VaultWithdrawnEarly")
+        .withArgs(user1.address, 2, 0, lockedValue, expectedPenalty, lockedValue - expectedPenalty, timeRemaining);
+      
+      const [remaining] = await autophageToken.getVaultPositions(user1.address, 2);
+      expect(remaining.length).to.equal(0);
+      expect(await autophageToken.liquidBalanceOf(user1.address, 2)).to.equal(lockedValue - expectedPenalty);
+    });
+
+    it("Should preview the penalty", async function () {
+      await time.increase(20 * 86400);
+      
+      const penalty = await autophageToken.calculateEarlyWithdrawalPenalty(user1.address, 2, 0);
+      // 1000 × 0.99927^20 × (80 / 100) × 0.5
+      expect(penalty).to.be.closeTo(ethers.parseEther("394.2"), ethers.parseEther("0.01"));
+    });
+
+    it("Should route the penalty to the Reservoir token chamber", async function () {
+      await time.increase(50 * 86400);
+      
+      await expect(autophageToken.connect(user1).withdrawFromVaultEarly(2, 0))
+        .to.emit(reservoirContract, "VaultPenaltyCollected");
+      
+      const chamber = await reservoirContract.tokenChamber(2);
+      const balance = await autophageToken.balanceOf(user1.address, 2);
+      expect(chamber.current).to.be.closeTo(ethers.parseEther("241.04"), ethers.parseEther("0.01"));
+      expect(await autophageToken.totalSupply(2)).to.equal(balance);
+    });
+
+    it("Should reject matured and unknown positions", async function () {
+      await expect(
+        autophageToken.connect(user1).withdrawFromVaultEarly(2, 7)
+      ).to.be.revertedWith("Vault position not found");
+      
+      await time.increase(100 * 86400);
+      await expect(
+        autophageToken.connect(user1).withdrawFromVaultEarly(2, 0)
+      ).to.be.revertedWith("Vault position matured");
+    });
+  });
+
+  describe("Signature-based Actions", function () {
+    let domain;
+    
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "species", type: "uint8" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      Transfer: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "species", type: "uint8" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      LockInVault: [
+        { name: "owner", type: "address" },
+        { name: "species", type: "uint8" },
+        { name: "amount", type: "uint256" },
+        { name: "lockDays", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    
+    async function sign(signer, type, message) {
+      const signature = await signer.signTypedData(domain, { [type]: types[type] }, message);
+      return ethers.Signature.from(signature);
+    }
+
+    beforeEach(async function () {
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+      
+      domain = {
+        name: "AutophageToken",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await autophageToken.getAddress()
+      };
+    });
+
+    it("Should set an allowance from a permit", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const value = ethers.parseEther("100");
+      const sig = await sign(user1, "Permit", {
+        owner: user1.address, spender: user2.address, species: 0, value, nonce: 0, deadline
+      });
+
+      // Submitted by a third party paying the gas
+      await expect(
+        autophageToken.connect(verificationEngine).permit(user1.address, user2.address, 0, value, deadline, sig.v, sig.r, sig.s)
+      ).to.emit(autophageToken, "Approval").withArgs(user1.address, user2.address, 0, value);
+      
+      expect(await autophageToken.allowance(user1.address, user2.address, 0)).to.equal(value);
+      expect(await autophageToken.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should execute a signed transfer once", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const amount = ethers.parseEther("100");
+      const sig = await sign(user1, "Transfer", {
+        from: user1.address, to: user2.address, species: 0, amount, nonce: 0, deadline
+      });
+
+      await autophageToken.connect(verificationEngine).transferBySig(
+        user1.address, user2.address, 0, amount, deadline, sig.v, sig.r, sig.s
+      );
+      expect(await autophageToken.balanceOf(user2.address, 0)).to.equal(amount);
+      
+      // Replaying the same signature fails because the nonce was consumed
+      await expect(
+        autophageToken.connect(verificationEngine).transferBySig(
+          user1.address, user2.address, 0, amount, deadline, sig.v, sig.r, sig.s
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should open a vault position from a signature", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const amount = ethers.parseEther("400");
+      const sig = await sign(user1, "LockInVault", {
+        owner: user1.address, species: 0, amount, lockDays: 90, nonce: 0, deadline
+      });
+
+      await expect(
+        autophageToken.connect(verificationEngine).lockInVaultBySig(
+          user1.address, 0, amount, 90, deadline, sig.v, sig.r, sig.s
+        )
+      ).to.emit(autophageToken, "VaultLocked").withArgs(user1.address, 0, 0, amount, 90 * 86400);
+      
+      expect(await autophageToken.vaultBalanceOf(user1.address, 0)).to.equal(amount);
+      expect(await autophageToken.liquidBalanceOf(user1.address, 0)).to.equal(ethers.parseEther("600"));
+    });
+
+    it("Should reject expired and forged signatures", async function () {
+      const deadline = (await time.latest()) + 60;
+      const amount = ethers.parseEther("100");
+      const message = { from: user1.address, to: user2.address, species: 0, amount, nonce: 0, deadline };
+      
+      // Signed by someone other than the holder
+      const forged = await sign(user2, "Transfer", message);
+      await expect(
+        autophageToken.transferBySig(user1.address, user2.address, 0, amount, deadline, forged.v, forged.r, forged.s)
+      ).to.be.revertedWith("Invalid signature");
+      
+      const sig = await sign(user1, "Transfer", message);
+      await time.increase(120);
+      await expect(
+        autophageToken.transferBySig(user1.address, user2.address, 0, amount, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should relay signed requests through the relayer module", async function () {
+      const { signRequest, createRelayer } = require("../scripts/relayer");
+      const relayer = createRelayer(autophageToken, verificationEngine);
+      
+      const request = await signRequest(user1, autophageToken, "Transfer", {
+        to: user2.address,
+        species: 0,
+        amount: ethers.parseEther("25"),
+        deadline: BigInt((await time.latest()) + 3600)
+      });
+      await relayer.relay(request);
+      
+      expect(await autophageToken.balanceOf(user2.address, 0)).to.equal(ethers.parseEther("25"));
+      await expect(relayer.relay(request)).to.be.rejectedWith("Stale nonce");
+    });
+  });
+
+  describe("Balance Snapshots", function () {
+    beforeEach(async function () {
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+    });
+
+    it("Should return historical balances with decay applied up to the queried time", async function () {
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+      const minted = await time.latest();
+      
+      await time.increase(2 * 86400);
+      await autophageToken.connect(user1).transfer(user2.address, 0, ethers.parseEther("100"));
+      const transferred = await time.latest();
+      
+      await time.increase(86400);
+      
+      expect(await autophageToken.balanceOfAt(user1.address, 0, minted - 1)).to.equal(0);
+      expect(await autophageToken.balanceOfAt(user1.address, 0, minted)).to.equal(ethers.parseEther("1000"));
+      expect(await autophageToken.balanceOfAt(user1.address, 0, minted + 86400)).to.equal(ethers.parseEther("950"));
+      expect(await autophageToken.balanceOfAt(user1.address, 0, transferred)).to.equal(ethers.parseEther("802.5"));
+      expect(await autophageToken.balanceOfAt(user2.address, 0, transferred)).to.equal(ethers.parseEther("100"));
+      
+      // The latest checkpoint decays forward to match the live balance
+      const now = await time.latest();
+      expect(await autophageToken.balanceOfAt(user1.address, 0, now))
+        .to.equal(await autophageToken.liquidBalanceOf(user1.address, 0));
+    });
+
+    it("Should keep past balances fixed when decay terms change later", async function () {
+      await autophageToken.mint(user1.address, 3, ethers.parseEther("1000"));
+      const minted = await time.latest();
+      
+      await time.increase(86400);
+      const before = await autophageToken.balanceOfAt(user1.address, 3, minted + 86400);
+      
+      await autophageToken.updateDecayRate(3, ethers.parseEther("0.1"));
+      await autophageToken.setDecayMode(3, true);
+      
+      expect(await autophageToken.balanceOfAt(user1.address, 3, minted + 86400)).to.equal(before);
+    });
+
+    it("Should freeze experiment states under snapshot ids", async function () {
+      await autophageToken.mint(user1.address, 1, ethers.parseEther("500"));
+      
+      await expect(autophageToken.snapshot())
+        .to.emit(autophageToken, "Snapshot")
+        .withArgs(1, await time.latest() + 1);
+      
+      await time.increase(86400);
+      await autophageToken.mint(user1.address, 1, ethers.parseEther("250"));
+      await autophageToken.snapshot();
+      
+      expect(await autophageToken.currentSnapshotId()).to.equal(2);
+      expect(await autophageToken.balanceOfAtSnapshot(user1.address, 1, 1)).to.equal(ethers.parseEther("500"));
+      expect(await autophageToken.balanceOfAtSnapshot(user1.address, 1, 2))
+        .to.equal(ethers.parseEther("500") * 9925n / 10000n + ethers.parseEther("250"));
+      
+      await expect(autophageToken.balanceOfAtSnapshot(user1.address, 1, 3)).to.be.revertedWith("Invalid snapshot");
+      await expect(autophageToken.balanceOfAtSnapshot(user1.address, 1, 0)).to.be.revertedWith("Invalid snapshot");
+    });
+
+    it("Should record vault locks, unlocks and decay collection", async function () {
+      await autophageToken.mint(user1.address, 2, ethers.parseEther("1000"));
+      await autophageToken.connect(user1).lockInVault(2, ethers.parseEther("600"), 30);
+      const locked = await time.latest();
+      
+      expect(await autophageToken.balanceOfAt(user1.address, 2, locked)).to.equal(ethers.parseEther("1000"));
+      
+      await time.increase(31 * 86400);
+      await autophageToken.connect(user1).unlockFromVault(2);
+      const unlocked = await time.latest();
+      
+      expect(await autophageToken.balanceOfAt(user1.address, 2, unlocked))
+        .to.equal(await autophageToken.balanceOf(user1.address, 2));
+      expect(await autophageToken.balanceOfAt(user1.address, 2, unlocked)).to.be.greaterThan(ethers.parseEther("900"));
+    });
+
+    it("Should value vault positions at their own reduced rates", async function () {
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("600"), 365);
+      const locked = await time.latest();
+      
+      await time.increase(86400);
+      
+      // 400 liquid lose 5% while the 365-day vault loses 0.5%
+      expect(await autophageToken.balanceOfAt(user1.address, 0, locked + 86400)).to.equal(ethers.parseEther("977"));
+      expect(await autophageToken.balanceOfAt(user1.address, 0, await time.latest()))
+        .to.equal(await autophageToken.balanceOf(user1.address, 0));
+      
+      // Positions opened and settled later leave the earlier value alone
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("100"), 30);
+      await time.increase(3 * 86400 + 18 * 3600);
+      await autophageToken.grantRole(await autophageToken.RESERVOIR_ROLE(), owner.address);
+      await autophageToken.applyDecay(user1.address, 0);
+      await time.increase(12 * 3600);
+      
+      expect(await autophageToken.balanceOfAt(user1.address, 0, await time.latest()))
+        .to.equal(await autophageToken.balanceOf(user1.address, 0));
+      expect(await autophageToken.balanceOfAt(user1.address, 0, locked + 86400)).to.equal(ethers.parseEther("977"));
+    });
+
+    it("Should restrict snapshots to governance and reject future lookups", async function () {
+      await expect(autophageToken.connect(user1).snapshot()).to.be.reverted;
+      await expect(
+        autophageToken.balanceOfAt(user1.address, 0, (await time.latest()) + 100)
+      ).to.be.revertedWith("Future lookup");
+    });
+  });
+
+  describe("Supply Accounting", function () {
+    beforeEach(async function () {
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      const BURNER_ROLE = await autophageToken.BURNER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.grantRole(BURNER_ROLE, owner.address);
+    });
+
+    it("Should estimate decayed supply without settling balances", async function () {
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+      await time.increase(86400);
+      
+      // Settled supply is unchanged until the balance is touched
+      expect(await autophageToken.totalSupply(0)).to.equal(ethers.parseEther("1000"));
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.closeTo(
+        ethers.parseEther("950"),
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("Should track vault locks and circulating supply", async function () {
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+      await autophageToken.connect(user1).lockInVault(0, ethers.parseEther("400"), 30);
+      
+      const [settled, decayed, locked, reservoirHeld, circulating] = await autophageToken.getSupplyBreakdown(0);
+      expect(settled).to.equal(ethers.parseEther("1000"));
+      expect(decayed).to.equal(ethers.parseEther("1000"));
+      expect(locked).to.equal(ethers.parseEther("400"));
+      expect(reservoirHeld).to.equal(0);
+      expect(circulating).to.equal(ethers.parseEther("600"));
+      
+      await time.increase(31 * 86400);
+      await autophageToken.connect(user1).unlockFromVault(0);
+      
+      // Vault decay was settled on unlock, and the released tokens are liquid again
+      expect(await autophageToken.lockedSupply(0)).to.equal(0);
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.lte(await autophageToken.totalSupply(0));
+    });
+
+    it("Should report decay held in the Reservoir's token chamber", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const mockUSDC = await MockERC20.deploy();
+      const reservoirContract = await deployProxy("ReservoirContract", [
+        await autophageToken.getAddress(),
+        await mockUSDC.getAddress()
+      ]);
+      await autophageToken.setReservoir(await reservoirContract.getAddress());
+      await autophageToken.grantRole(await autophageToken.RESERVOIR_ROLE(), await reservoirContract.getAddress());
+      await reservoirContract.grantRole(await reservoirContract.ORACLE_ROLE(), owner.address);
+      
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+      await time.increase(86400);
+      await reservoirContract.collectDecayedTokens([user1.address], [0]);
+      
+      // Collected decay left supply; the liquid balance is all that circulates
+      const chamber = await reservoirContract.tokenChamber(0);
+      expect(chamber.current).to.equal(ethers.parseEther("50"));
+      expect(await autophageToken.reservoirSupply(0)).to.equal(chamber.current);
+      expect(await autophageToken.circulatingSupply(0)).to.equal(await autophageToken.balanceOf(user1.address, 0));
+      
+      // Unregistered species are rejected rather than read as an empty chamber
+      await expect(autophageToken.reservoirSupply(4)).to.be.revertedWith("Invalid species");
+      await expect(autophageToken.circulatingSupply(4)).to.be.revertedWith("Invalid species");
+    });
+
+    it("Should stay consistent across burns and decay collection", async function () {
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+      await autophageToken.mint(user2.address, 0, ethers.parseEther("500"));
+      await autophageToken.burn(user2.address, 0, ethers.parseEther("200"));
+      
+      expect(await autophageToken.decayedTotalSupply(0)).to.equal(ethers.parseEther("1300"));
+      
+      await time.increase(3 * 86400);
+      const RESERVOIR_ROLE = await autophageToken.RESERVOIR_ROLE();
+      await autophageToken.grantRole(RESERVOIR_ROLE, owner.address);
+      await autophageToken.applyDecay(user1.address, 0);
+      await autophageToken.applyDecay(user2.address, 0);
+      
+      // Once every balance is settled the estimate matches the settled supply
+      const settled = await autophageToken.totalSupply(0);
+      expect(settled).to.equal(
+        (await autophageToken.balanceOf(user1.address, 0)) + (await autophageToken.balanceOf(user2.address, 0))
+      );
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.closeTo(settled, ethers.parseEther("0.1"));
+    });
+
+    it("Should not fall below the sum of balances minted part way through a day", async function () {
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("100"));
+      const start = await time.latest();
+      await time.setNextBlockTimestamp(start + 164160); // Day 1.9
+      await autophageToken.mint(user2.address, 0, ethers.parseEther("100"));
+      
+      const sumOfBalances = async () =>
+        (await autophageToken.balanceOf(user1.address, 0)) + (await autophageToken.balanceOf(user2.address, 0));
+      
+      // Day 2: only the first balance has decayed, twice
+      await time.increaseTo(start + 2 * 86400);
+      expect(await sumOfBalances()).to.equal(ethers.parseEther("190.25"));
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.closeTo(ethers.parseEther("190.25"), 1000n);
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.gte(await sumOfBalances());
+      
+      // Day 2.9 reads high until the estimate's next day step catches up
+      await time.increaseTo(start + 2 * 86400 + 77760);
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.gte(await sumOfBalances());
+      
+      await time.increaseTo(start + 3 * 86400);
+      expect(await sumOfBalances()).to.equal(ethers.parseEther("180.7375"));
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.closeTo(ethers.parseEther("180.7375"), 1000n);
+      expect(await autophageToken.decayedTotalSupply(0)).to.be.gte(await sumOfBalances());
     });
   });
 
@@ -244,6 +994,51 @@ describe("AutophageToken", function () {
         autophageToken.connect(user1).pause()
       ).to.be.reverted;
     });
+
+    it("Should pause one species without affecting the others", async function () {
+      await autophageToken.mint(user1.address, 2, ethers.parseEther("1000"));
+      
+      const PAUSE_TRANSFER = await autophageToken.PAUSE_TRANSFER();
+      await expect(autophageToken.setSpeciesPause(0, PAUSE_TRANSFER))
+        .to.emit(autophageToken, "SpeciesPauseUpdated")
+        .withArgs(0, PAUSE_TRANSFER);
+      
+      await expect(
+        autophageToken.connect(user1).transfer(user2.address, 0, ethers.parseEther("100"))
+      ).to.be.revertedWith("Species paused");
+      
+      // Foundation keeps moving, and Rhythm can still be minted
+      await autophageToken.connect(user1).transfer(user2.address, 2, ethers.parseEther("100"));
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("10"));
+      
+      await autophageToken.setSpeciesPause(0, 0);
+      await autophageToken.connect(user1).transfer(user2.address, 0, ethers.parseEther("100"));
+    });
+
+    it("Should pause mint and vault operations per species", async function () {
+      const PAUSE_MINT = await autophageToken.PAUSE_MINT();
+      const PAUSE_VAULT = await autophageToken.PAUSE_VAULT();
+      await autophageToken.setSpeciesPause(0, PAUSE_MINT | PAUSE_VAULT);
+      
+      await expect(
+        autophageToken.mint(user1.address, 0, ethers.parseEther("10"))
+      ).to.be.revertedWith("Species paused");
+      await expect(
+        autophageToken.connect(user1).lockInVault(0, ethers.parseEther("100"), 30)
+      ).to.be.revertedWith("Species paused");
+      await expect(
+        autophageToken.connect(user1).unlockFromVault(0)
+      ).to.be.revertedWith("Species paused");
+      
+      // Transfers are not covered by these flags
+      await autophageToken.connect(user1).transfer(user2.address, 0, ethers.parseEther("100"));
+    });
+
+    it("Should restrict species pause to admin", async function () {
+      await expect(autophageToken.connect(user1).setSpeciesPause(0, 1)).to.be.reverted;
+      await expect(autophageToken.setSpeciesPause(4, 1)).to.be.revertedWith("Invalid species");
+      await expect(autophageToken.setSpeciesPause(0, 8)).to.be.revertedWith("Invalid operations");
+    });
   });
 
   describe("Whale Protection", function () {
@@ -266,5 +1061,63 @@ describe("AutophageToken", function () {
       
       expect(balance).to.be.lt(normalDecay);
     });
+
+    it("Should report the tier and effective rate for a user", async function () {
+      await autophageToken.mint(user1.address, 0, ethers.parseEther("60000"));
+      
+      const [tier, rate] = await autophageToken.getEffectiveDecayRate(user1.address, 0);
+      expect(tier).to.equal(2);
+      expect(rate).to.equal(ethers.parseEther("0.1")); // 2x of 5%
+      
+      const [previewTier, previewRate] = await autophageToken.getWhaleTier(0, ethers.parseEther("5000"));
+      expect(previewTier).to.equal(0);
+      expect(previewRate).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should let governance configure tiers for other species", async function () {
+      const thresholds = [ethers.parseEther("1000")];
+      const multipliers = [ethers.parseEther("1"), ethers.parseEther("2")];
+      
+      await expect(autophageToken.setWhaleTiers(1, thresholds, multipliers))
+        .to.emit(autophageToken, "WhaleTiersUpdated")
+        .withArgs(1, thresholds, multipliers);
+      
+      const [storedThresholds, storedMultipliers] = await autophageToken.getWhaleTiers(1);
+      expect(storedThresholds).to.deep.equal(thresholds);
+      expect(storedMultipliers).to.deep.equal(multipliers);
+      expect(await autophageToken.whaleThresholds(1, 0)).to.equal(thresholds[0]);
+      expect(await autophageToken.whaleMultipliers(1, 1)).to.equal(multipliers[1]);
+      
+      // Healing at 2x of 0.75% = 1.5% daily
+      await autophageToken.mint(user1.address, 1, ethers.parseEther("2000"));
+      await time.increase(86400);
+      
+      expect(await autophageToken.balanceOf(user1.address, 1)).to.equal(ethers.parseEther("1970"));
+    });
+
+    it("Should validate tier tables", async function () {
+      const one = ethers.parseEther("1");
+      const two = ethers.parseEther("2");
+      
+      await expect(
+        autophageToken.setWhaleTiers(1, [ethers.parseEther("1000")], [one])
+      ).to.be.revertedWith("Need one more multiplier than thresholds");
+      
+      await expect(
+        autophageToken.setWhaleTiers(1, [ethers.parseEther("1000"), ethers.parseEther("1000")], [one, two, two])
+      ).to.be.revertedWith("Thresholds must increase");
+      
+      await expect(
+        autophageToken.setWhaleTiers(1, [ethers.parseEther("1000")], [two, one])
+      ).to.be.revertedWith("Multipliers must not decrease");
+      
+      await expect(
+        autophageToken.setWhaleTiers(1, [ethers.parseEther("1000")], [one, ethers.parseEther("6")])
+      ).to.be.revertedWith("Multiplier above 5x");
+      
+      await expect(
+        autophageToken.connect(user1).setWhaleTiers(1, [ethers.parseEther("1000")], [one, two])
+      ).to.be.reverted;
+    });
   });
 });
\ No newline at end of file
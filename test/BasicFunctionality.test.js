@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken, deployProxy } = require("../scripts/upgradeable");
 
 describe("Basic Autophage Protocol Functionality", function () {
   let autophageToken;
@@ -16,39 +17,31 @@ describe("Basic Autophage Protocol Functionality", function () {
     [owner, user1, user2] = await ethers.getSigners();
     
     // Deploy contracts
-    const AutophageToken = await ethers.getContractFactory("AutophageToken");
-    autophageToken = await AutophageToken.deploy();
-    await autophageToken.waitForDeployment();
+    autophageToken = await deployAutophageToken();
     
     const MockERC20 = await ethers.getContractFactory("MockERC20");
     mockUSDC = await MockERC20.deploy();
     await mockUSDC.waitForDeployment();
     
-    const ReservoirContract = await ethers.getContractFactory("ReservoirContract");
-    reservoir = await ReservoirContract.deploy(
+    reservoir = await deployProxy("ReservoirContract", [
       await autophageToken.getAddress(),
       await mockUSDC.getAddress()
-    );
-    await reservoir.waitForDeployment();
+    ]);
     
-    const VerificationEngine = await ethers.getContractFactory("VerificationEngine");
-    verificationEngine = await VerificationEngine.deploy(
+    verificationEngine = await deployProxy("VerificationEngine", [
       await autophageToken.getAddress(),
       await reservoir.getAddress()
-    );
-    await verificationEngine.waitForDeployment();
+    ]);
     
     // Deploy catalyst token for governance
     const MockCatalyst = await ethers.getContractFactory("MockERC20");
     const catalystToken = await MockCatalyst.deploy();
     await catalystToken.waitForDeployment();
     
-    const GovernanceContract = await ethers.getContractFactory("GovernanceContract");
-    governance = await GovernanceContract.deploy(
+    governance = await deployProxy("GovernanceContract", [
       await autophageToken.getAddress(),
       await catalystToken.getAddress()
-    );
-    await governance.waitForDeployment();
+    ]);
     
     // Mint catalyst tokens for governance
     await catalystToken.mint(owner.address, ethers.parseEther("1000"));
@@ -112,8 +105,8 @@ describe("Basic Autophage Protocol Functionality", function () {
       
       // Try to transfer locked tokens - should fail
       await expect(
-        autophageToken.connect(user1).transfer(user2.address, 0, lockAmount)
-      ).to.be.revertedWith("Tokens locked in vault");
+        autophageToken.connect(user1).transfer(user2.address, 0, amount)
+      ).to.be.revertedWith("Insufficient balance");
     });
   });
 
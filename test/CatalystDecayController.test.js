@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken, deployProxy } = require("../scripts/upgradeable");
+
+describe("CatalystDecayController", function () {
+  let autophageToken;
+  let reservoir;
+  let controller;
+  let owner;
+  let user1;
+  let user2;
+  
+  const CATALYST = 3;
+  
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    
+    autophageToken = await deployAutophageToken();
+    
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockUSDC = await MockERC20.deploy();
+    await mockUSDC.waitForDeployment();
+    
+    reservoir = await deployProxy("ReservoirContract", [
+      await autophageToken.getAddress(),
+      await mockUSDC.getAddress()
+    ]);
+    
+    const CatalystDecayController = await ethers.getContractFactory("CatalystDecayController");
+    controller = await CatalystDecayController.deploy(
+      await autophageToken.getAddress(),
+      await reservoir.getAddress()
+    );
+    await controller.waitForDeployment();
+    
+    const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+    const RESERVOIR_ROLE = await autophageToken.RESERVOIR_ROLE();
+    const DECAY_CONTROLLER_ROLE = await autophageToken.DECAY_CONTROLLER_ROLE();
+    await autophageToken.grantRole(MINTER_ROLE, owner.address);
+    await autophageToken.grantRole(RESERVOIR_ROLE, await reservoir.getAddress());
+    await autophageToken.grantRole(DECAY_CONTROLLER_ROLE, await controller.getAddress());
+  });
+
+  describe("Rate Updates", function () {
+    it("Should enforce the minimum update interval", async function () {
+      await expect(controller.updateDecayRate()).to.be.revertedWith("Update too soon");
+      
+      await time.increase(86400);
+      await controller.updateDecayRate();
+      
+      await expect(controller.updateDecayRate()).to.be.revertedWith("Update too soon");
+    });
+
+    it("Should raise decay in a stagnant Catalyst market", async function () {
+      // All supply is Catalyst, nothing moves and the Reservoir is empty: full pressure
+      await autophageToken.mint(user1.address, CATALYST, ethers.parseEther("1000"));
+      await time.increase(86400);
+      
+      const [, targetRate] = await controller.previewDecayRate();
+      expect(targetRate).to.equal(ethers.parseEther("0.1"));
+      
+      // Moves at most one percentage point per update
+      await expect(controller.updateDecayRate())
+        .to.emit(autophageToken, "DecayRateUpdated")
+        .withArgs(CATALYST, ethers.parseEther("0.05"), ethers.parseEther("0.06"));
+      
+      expect(await autophageToken.decayRates(CATALYST)).to.equal(ethers.parseEther("0.06"));
+    });
+
+    it("Should weigh velocity, share and Reservoir signals", async function () {
+      await controller.setSignalTargets(
+        ethers.parseEther("0.1"),
+        ethers.parseEther("0.5"),
+        ethers.parseEther("0.5"),
+        ethers.parseEther("0.1")
+      );
+      await autophageToken.mint(user1.address, CATALYST, ethers.parseEther("1000"));
+      await autophageToken.mint(user2.address, 0, ethers.parseEther("3000"));
+      
+      // 20% of supply moved by one sender in a day, above the targets of 10% and one sender every two days
+      await autophageToken.connect(user1).transfer(user2.address, CATALYST, ethers.parseEther("200"));
+      await time.increase(86400);
+      
+      const [velocity, activity, share, reservoirRatio] = await controller.getSignals();
+      expect(velocity).to.be.gt(ethers.parseEther("0.1"));
+      expect(activity).to.be.gt(ethers.parseEther("0.5"));
+      expect(share).to.equal(ethers.parseEther("0.25"));
+      expect(reservoirRatio).to.equal(0);
+      
+      // Pressure = 0 * 0.4 + 0.5 * 0.3 + 1 * 0.3 = 0.45 -> 2% + 8% * 0.45 = 5.6%
+      const tx = await controller.updateDecayRate();
+      await expect(tx).to.emit(controller, "CatalystDecayUpdated");
+      expect(await autophageToken.decayRates(CATALYST)).to.equal(ethers.parseEther("0.056"));
+    });
+
+    it("Should lower the target when the Reservoir chamber is stocked", async function () {
+      await autophageToken.mint(user1.address, CATALYST, ethers.parseEther("1000"));
+      await time.increase(3 * 86400);
+      
+      const [, targetBefore] = await controller.previewDecayRate();
+      
+      const ORACLE_ROLE = await reservoir.ORACLE_ROLE();
+      await reservoir.grantRole(ORACLE_ROLE, owner.address);
+      await reservoir.collectDecayedTokens([user1.address], [CATALYST]);
+      
+      const [, , , reservoirRatio] = await controller.getSignals();
+      expect(reservoirRatio).to.be.gt(ethers.parseEther("0.1"));
+      
+      const [, targetAfter] = await controller.previewDecayRate();
+      expect(targetAfter).to.be.lt(targetBefore);
+    });
+
+    it("Should keep the rate inside the 2-10% band", async function () {
+      await autophageToken.mint(user1.address, CATALYST, ethers.parseEther("1000"));
+      
+      for (let i = 0; i < 7; i++) {
+        await time.increase(86400);
+        await controller.updateDecayRate();
+      }
+
+      expect(await autophageToken.decayRates(CATALYST)).to.equal(ethers.parseEther("0.1"));
+    });
+  });
+
+  describe("Token Integration", function () {
+    it("Should only let the controller role set Catalyst decay", async function () {
+      await expect(
+        autophageToken.setCatalystDecayRate(ethers.parseEther("0.03"))
+      ).to.be.reverted;
+      
+      const DECAY_CONTROLLER_ROLE = await autophageToken.DECAY_CONTROLLER_ROLE();
+      await autophageToken.grantRole(DECAY_CONTROLLER_ROLE, owner.address);
+      
+      await expect(
+        autophageToken.setCatalystDecayRate(ethers.parseEther("0.11"))
+      ).to.be.revertedWith("Rate outside Catalyst band");
+      await expect(
+        autophageToken.setCatalystDecayRate(ethers.parseEther("0.01"))
+      ).to.be.revertedWith("Rate outside Catalyst band");
+    });
+
+    it("Should not count self-transfers as volume or activity", async function () {
+      await autophageToken.mint(user1.address, CATALYST, ethers.parseEther("1000"));
+      await autophageToken.connect(user1).transfer(user1.address, CATALYST, ethers.parseEther("500"));
+      
+      expect(await autophageToken.transferVolume(CATALYST)).to.equal(0);
+      expect(await autophageToken.activeSenderDays(CATALYST)).to.equal(0);
+    });
+
+    it("Should not let wash trading between two addresses raise velocity", async function () {
+      await autophageToken.mint(user1.address, CATALYST, ethers.parseEther("1000"));
+      await autophageToken.mint(user2.address, CATALYST, ethers.parseEther("1000"));
+      
+      // Trade the same tokens back and forth ten times within one day
+      const today = Math.floor((await time.latest()) / 86400);
+      await time.increaseTo((today + 1) * 86400);
+      for (let i = 0; i < 10; i++) {
+        await autophageToken.connect(user1).transfer(user2.address, CATALYST, ethers.parseEther("900"));
+        await autophageToken.connect(user2).transfer(user1.address, CATALYST, ethers.parseEther("900"));
+      }
+      
+      expect(await autophageToken.transferVolume(CATALYST)).to.equal(ethers.parseEther("18000"));
+      expect(await autophageToken.activeSenderDays(CATALYST)).to.equal(2);
+      
+      // Two senders a day at most, far below the 100 a day target, can only account for 2% of
+      // the 10% velocity target however much they move: the market still reads as slow
+      await time.increaseTo((today + 2) * 86400);
+      const [velocity, activity] = await controller.getSignals();
+      expect(activity).to.be.lte(ethers.parseEther("2"));
+      expect(velocity).to.be.lte(ethers.parseEther("0.002"));
+      
+      const [, targetRate] = await controller.previewDecayRate();
+      expect(targetRate).to.be.gt(ethers.parseEther("0.09"));
+      
+      // Each sender counts again on a new day
+      await autophageToken.connect(user1).transfer(user2.address, CATALYST, ethers.parseEther("100"));
+      expect(await autophageToken.activeSenderDays(CATALYST)).to.equal(3);
+    });
+
+    it("Should not let many senders moving dust raise velocity", async function () {
+      await controller.setSignalTargets(
+        ethers.parseEther("0.1"),
+        ethers.parseEther("2"),
+        await controller.shareCeiling(),
+        await controller.targetReservoirRatio()
+      );
+      await autophageToken.mint(user1.address, CATALYST, ethers.parseEther("1000"));
+      await autophageToken.mint(user2.address, CATALYST, ethers.parseEther("1000"));
+      await autophageToken.mint(owner.address, CATALYST, ethers.parseEther("1000"));
+      
+      // Three senders a day beat the activity target, but move a tenth of a percent of supply
+      for (const [from, to] of [[user1, user2], [user2, owner], [owner, user1]]) {
+        await autophageToken.connect(from).transfer(to.address, CATALYST, ethers.parseEther("1"));
+      }
+      await time.increase(86400);
+      
+      const [velocity, activity] = await controller.getSignals();
+      expect(activity).to.be.gt(ethers.parseEther("2"));
+      expect(velocity).to.be.lt(ethers.parseEther("0.001"));
+      
+      const [, targetRate] = await controller.previewDecayRate();
+      expect(targetRate).to.be.gt(ethers.parseEther("0.09"));
+    });
+  });
+
+  describe("Governance", function () {
+    it("Should require weights to sum to one", async function () {
+      await expect(
+        controller.setSignalWeights(ethers.parseEther("0.5"), ethers.parseEther("0.5"), ethers.parseEther("0.5"))
+      ).to.be.revertedWith("Weights must sum to 1");
+      
+      await expect(
+        controller.setSignalWeights(ethers.parseEther("0.5"), ethers.parseEther("0.25"), ethers.parseEther("0.25"))
+      ).to.emit(controller, "SignalWeightsUpdated");
+    });
+
+    it("Should restrict parameter changes to governance", async function () {
+      await expect(
+        controller.connect(user1).setRateLimits(86400, ethers.parseEther("0.02"))
+      ).to.be.reverted;
+      
+      await controller.setRateLimits(43200, ethers.parseEther("0.02"));
+      expect(await controller.minUpdateInterval()).to.equal(43200);
+      expect(await controller.maxRateChange()).to.equal(ethers.parseEther("0.02"));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Double-precision reference; agrees with exact values to ~1e-15
+const ONE = 10n ** 18n;
+const MAX_RELATIVE_ERROR = 1e-12;
+const toFixed = (value) => BigInt(Math.round(value * 1e18));
+const fromFixed = (value) => Number(value) / 1e18;
+
+function expectWithinBound(actual, expected) {
+  const tolerance = BigInt(Math.ceil(Number(expected) * MAX_RELATIVE_ERROR)) + 1n;
+  expect(actual).to.be.closeTo(expected, tolerance);
+}
+
+describe("DecayMath", function () {
+  let decayMath;
+  
+  beforeEach(async function () {
+    const DecayMathHarness = await ethers.getContractFactory("DecayMathHarness");
+    decayMath = await DecayMathHarness.deploy();
+    await decayMath.waitForDeployment();
+  });
+
+  describe("ln", function () {
+    it("Should match the reference across magnitudes", async function () {
+      for (const x of ["0.000001", "0.05", "0.5", "0.9", "0.9925", "0.999", "1", "1.5", "7", "1000"]) {
+        const actual = await decayMath.ln(ethers.parseEther(x));
+        const expected = toFixed(Math.log(Number(x)));
+        expect(actual).to.be.closeTo(expected, 1000n);
+      }
+    });
+
+    it("Should reject zero", async function () {
+      await expect(decayMath.ln(0)).to.be.revertedWith("Log of zero");
+    });
+  });
+
+  describe("exp", function () {
+    it("Should match the reference for non-positive inputs", async function () {
+      for (const x of ["0", "-0.0001", "-0.05", "-0.693147", "-1", "-2.5", "-10", "-30"]) {
+        const actual = await decayMath.exp(ethers.parseEther(x));
+        expectWithinBound(actual, toFixed(Math.exp(Number(x))));
+      }
+    });
+
+    it("Should underflow to zero for very negative inputs", async function () {
+      expect(await decayMath.exp(ethers.parseEther("-50"))).to.equal(0);
+    });
+
+    it("Should reject positive inputs", async function () {
+      await expect(decayMath.exp(1)).to.be.revertedWith("Positive exponent");
+    });
+  });
+
+  describe("powFraction", function () {
+    it("Should match (1 - rate)^fraction for every species rate", async function () {
+      const rates = ["0.05", "0.0075", "0.001", "0.02", "0.1", "0.5"];
+      const fractions = [1 / 86400, 0.01, 0.25, 0.5, 0.75, 86399 / 86400];
+      
+      for (const rate of rates) {
+        for (const fraction of fractions) {
+          const base = ONE - ethers.parseEther(rate);
+          const exponent = toFixed(fraction);
+          const actual = await decayMath.powFraction(base, exponent);
+          const expected = toFixed(Math.pow(fromFixed(base), fromFixed(exponent)));
+          expectWithinBound(actual, expected);
+        }
+      }
+    });
+
+    it("Should handle the edges of the range", async function () {
+      const base = ethers.parseEther("0.95");
+      expect(await decayMath.powFraction(base, 0)).to.equal(ONE);
+      expect(await decayMath.powFraction(ONE, ethers.parseEther("0.5"))).to.equal(ONE);
+      expect(await decayMath.powFraction(0, ethers.parseEther("0.5"))).to.equal(0);
+      expectWithinBound(await decayMath.powFraction(base, ONE), base);
+      
+      await expect(decayMath.powFraction(ONE + 1n, 0)).to.be.revertedWith("Out of range");
+      await expect(decayMath.powFraction(base, ONE + 1n)).to.be.revertedWith("Out of range");
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken, deployProxy } = require("../scripts/upgradeable");
 
 describe("GovernanceContract", function () {
   let governance;
@@ -16,9 +17,7 @@ describe("GovernanceContract", function () {
     [owner, proposer, voter1, voter2, voter3] = await ethers.getSigners();
     
     // Deploy AutophageToken
-    const AutophageToken = await ethers.getContractFactory("AutophageToken");
-    autophageToken = await AutophageToken.deploy();
-    await autophageToken.waitForDeployment();
+    autophageToken = await deployAutophageToken();
     
     // Deploy MockERC20 for Catalyst token
     const MockERC20 = await ethers.getContractFactory("MockERC20");
@@ -26,12 +25,10 @@ describe("GovernanceContract", function () {
     await catalystToken.waitForDeployment();
     
     // Deploy GovernanceContract
-    const GovernanceContract = await ethers.getContractFactory("GovernanceContract");
-    governance = await GovernanceContract.deploy(
+    governance = await deployProxy("GovernanceContract", [
       await autophageToken.getAddress(),
       await catalystToken.getAddress()
-    );
-    await governance.waitForDeployment();
+    ]);
     
     // Setup roles and contributions
     const MINTER_ROLE = await autophageToken.MINTER_ROLE();
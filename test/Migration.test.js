@@ -0,0 +1,328 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken } = require("../scripts/upgradeable");
+const { buildHolderIndex } = require("../scripts/keeper");
+const { buildTree, getRoot, getProof, verifyProof } = require("../scripts/merkle");
+const {
+  migrationLeaf,
+  migrationRoot,
+  checkSpecies,
+  exportBalances,
+  importBalances,
+  verifyMigration
+} = require("../scripts/migrate");
+
+describe("Balance migration", function () {
+  let oldToken;
+  let newToken;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  
+  const DAY = 86400;
+  const RHYTHM = 0;
+  const HEALING = 1;
+  const FOUNDATION = 2;
+  
+  function position(overrides) {
+    return {
+      amount: ethers.parseEther("500"),
+      lastUpdate: 0,
+      startTime: 0,
+      principal: ethers.parseEther("600"),
+      lockedUntil: 0,
+      id: 0,
+      ...overrides
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    
+    oldToken = await deployAutophageToken();
+    newToken = await deployAutophageToken();
+    
+    await oldToken.grantRole(await oldToken.MINTER_ROLE(), owner.address);
+    await oldToken.mint(user1.address, RHYTHM, ethers.parseEther("1000"));
+    await oldToken.mint(user1.address, HEALING, ethers.parseEther("500"));
+    await oldToken.mint(user2.address, FOUNDATION, ethers.parseEther("2000"));
+    
+    await oldToken.connect(user1).transfer(user3.address, RHYTHM, ethers.parseEther("100"));
+    await oldToken.connect(user2).lockInVault(FOUNDATION, ethers.parseEther("800"), 90);
+    await oldToken.connect(user2).lockInVault(FOUNDATION, ethers.parseEther("200"), 365);
+    
+    await time.increase(3 * DAY + 3600);
+    
+    // Imports only run while the new token is paused
+    await newToken.pause();
+  });
+
+  describe("importBalances", function () {
+    it("Should restrict the import to the admin", async function () {
+      const asOf = await time.latest();
+      await expect(newToken.connect(user1).importBalances(asOf, [])).to.be.revertedWith(/AccessControl: account .* is missing role/);
+      await expect(newToken.connect(user1).sealImport(ethers.ZeroHash)).to.be.revertedWith(/AccessControl: account .* is missing role/);
+    });
+
+    it("Should only import while the token is paused", async function () {
+      const entry = { user: user1.address, species: RHYTHM, liquid: ethers.parseEther("10"), positions: [] };
+      await newToken.unpause();
+      
+      await expect(newToken.importBalances(await time.latest(), [entry])).to.be.revertedWith("Pausable: not paused");
+    });
+
+    it("Should import balances that keep decaying from the export time", async function () {
+      const asOf = (await time.latest()) - DAY;
+      const entry = { user: user1.address, species: RHYTHM, liquid: ethers.parseEther("1000"), positions: [] };
+      
+      await expect(newToken.importBalances(asOf, [entry]))
+        .to.emit(newToken, "BalanceImported")
+        .withArgs(user1.address, RHYTHM, ethers.parseEther("1000"), 0);
+      
+      // A day of 5% decay has passed since the export
+      expect(await newToken.balanceOf(user1.address, RHYTHM)).to.equal(ethers.parseEther("950"));
+      expect(await newToken.balanceOfAt(user1.address, RHYTHM, asOf)).to.equal(ethers.parseEther("1000"));
+      expect(await newToken.totalSupply(RHYTHM)).to.equal(ethers.parseEther("1000"));
+      
+      // The supply estimate takes in the balance at its decayed value, not the exported one
+      expect(await newToken.decayedTotalSupply(RHYTHM)).to.equal(ethers.parseEther("950"));
+    });
+
+    it("Should import vault positions with their ids and maturity", async function () {
+      const asOf = await time.latest();
+      const imported = position({ lastUpdate: asOf, startTime: asOf - 10 * DAY, lockedUntil: asOf + 80 * DAY, id: 4 });
+      
+      await expect(newToken.importBalances(asOf, [
+        { user: user2.address, species: FOUNDATION, liquid: 0, positions: [imported] }
+      ]))
+        .to.emit(newToken, "BalanceImported")
+        .withArgs(user2.address, FOUNDATION, 0, ethers.parseEther("500"));
+      
+      const [positions] = await newToken.getVaultPositions(user2.address, FOUNDATION);
+      expect(positions).to.have.lengthOf(1);
+      expect(positions[0].id).to.equal(4);
+      expect(positions[0].amount).to.equal(ethers.parseEther("500"));
+      expect(positions[0].principal).to.equal(ethers.parseEther("600"));
+      expect(positions[0].lastUpdate).to.equal(asOf);
+      expect(positions[0].lockedUntil).to.equal(asOf + 80 * DAY);
+      expect(await newToken.lockedSupply(FOUNDATION)).to.equal(ethers.parseEther("500"));
+      expect(await newToken.balanceOfAt(user2.address, FOUNDATION, asOf)).to.equal(ethers.parseEther("500"));
+      
+      // New positions are numbered after the imported ones
+      await newToken.unpause();
+      await newToken.grantRole(await newToken.MINTER_ROLE(), owner.address);
+      await newToken.mint(user2.address, FOUNDATION, ethers.parseEther("100"));
+      await expect(newToken.connect(user2).lockInVault(FOUNDATION, ethers.parseEther("100"), 30))
+        .to.emit(newToken, "VaultLocked")
+        .withArgs(user2.address, FOUNDATION, 5, ethers.parseEther("100"), 30 * DAY);
+    });
+
+    it("Should reject vault positions outside the lockInVault limits", async function () {
+      const asOf = await time.latest();
+      const valid = position({ lastUpdate: asOf, startTime: asOf - 10 * DAY, lockedUntil: asOf + 80 * DAY });
+      const importing = (positions) => newToken.importBalances(asOf, [
+        { user: user2.address, species: FOUNDATION, liquid: 0, positions }
+      ]);
+      
+      await expect(importing(Array(11).fill(valid))).to.be.revertedWith("Too many vault positions");
+      await expect(
+        importing([{ ...valid, lockedUntil: valid.startTime + 10 * DAY }])
+      ).to.be.revertedWith("Lock period must be 30-365 days");
+      await expect(
+        importing([{ ...valid, lockedUntil: valid.startTime - 1 }])
+      ).to.be.revertedWith("Lock period must be 30-365 days");
+      await expect(
+        importing([{ ...valid, lastUpdate: valid.startTime - 1 }])
+      ).to.be.revertedWith("Invalid last update");
+      await expect(importing([{ ...valid, lastUpdate: asOf + 1 }])).to.be.revertedWith("Invalid last update");
+      await expect(importing([{ ...valid, amount: 0 }])).to.be.revertedWith("Amount must be positive");
+      
+      await importing(Array(10).fill(valid).map((entry, id) => ({ ...entry, id })));
+    });
+
+    it("Should import each holder once", async function () {
+      const asOf = await time.latest();
+      const entry = { user: user1.address, species: RHYTHM, liquid: ethers.parseEther("10"), positions: [] };
+      
+      await newToken.importBalances(asOf, [entry]);
+      await expect(newToken.importBalances(asOf, [entry])).to.be.revertedWith("Holder already active");
+      
+      // Accounts that already hold tokens on the new deployment are not overwritten
+      await newToken.unpause();
+      await newToken.grantRole(await newToken.MINTER_ROLE(), owner.address);
+      await newToken.mint(user2.address, RHYTHM, ethers.parseEther("1"));
+      await newToken.pause();
+      await expect(
+        newToken.importBalances(asOf, [{ ...entry, user: user2.address }])
+      ).to.be.revertedWith("Holder already active");
+    });
+
+    it("Should reject imports dated in the future or for unknown species", async function () {
+      const asOf = await time.latest();
+      const entry = { user: user1.address, species: RHYTHM, liquid: 1, positions: [] };
+      
+      await expect(newToken.importBalances(asOf + 100, [entry])).to.be.revertedWith("Future import");
+      await expect(
+        newToken.importBalances(asOf, [{ ...entry, species: 4 }])
+      ).to.be.revertedWith("Invalid species");
+    });
+
+    it("Should close the import for good once sealed", async function () {
+      const root = ethers.id("migrated state");
+      
+      await expect(newToken.sealImport(root))
+        .to.emit(newToken, "ImportSealed")
+        .withArgs(root);
+      expect(await newToken.importSealed()).to.be.true;
+      expect(await newToken.migrationRoot()).to.equal(root);
+      
+      await expect(newToken.importBalances(await time.latest(), [])).to.be.revertedWith("Import sealed");
+      await expect(newToken.sealImport(ethers.ZeroHash)).to.be.revertedWith("Import sealed");
+    });
+  });
+
+  describe("Migration script", function () {
+    beforeEach(async function () {
+      await oldToken.pause();
+    });
+
+    it("Should export decayed balances and vault positions at one block", async function () {
+      const migration = await exportBalances(oldToken);
+      
+      expect(migration.source).to.equal(await oldToken.getAddress());
+      expect(migration.asOf).to.equal(await time.latest());
+      expect(migration.entries).to.have.lengthOf(4);
+      expect(migration.root).to.equal(migrationRoot(migration.entries));
+      
+      const vaulted = migration.entries.find((entry) => entry.user === user2.address);
+      const [positions, values] = await oldToken.getVaultPositions(user2.address, FOUNDATION);
+      expect(vaulted.species).to.equal(FOUNDATION);
+      expect(vaulted.liquid).to.equal((await oldToken.liquidBalanceOf(user2.address, FOUNDATION)).toString());
+      expect(vaulted.positions.map((p) => p.id)).to.deep.equal(positions.map((p) => p.id.toString()));
+      expect(vaulted.positions.map((p) => p.amount)).to.deep.equal(values.map((value) => value.toString()));
+    });
+
+    it("Should refuse to import into a live token", async function () {
+      const migration = await exportBalances(oldToken);
+      await newToken.unpause();
+      
+      await expect(importBalances(newToken, migration)).to.be.rejectedWith("Pause the new token");
+      expect(await newToken.balanceOf(user1.address, RHYTHM)).to.equal(0);
+    });
+
+    it("Should refuse to export from a live token", async function () {
+      await oldToken.unpause();
+      
+      await expect(exportBalances(oldToken)).to.be.rejectedWith("Pause the old token");
+      const migration = await exportBalances(oldToken, { allowUnpaused: true });
+      expect(migration.entries).to.have.lengthOf(4);
+    });
+
+    it("Should carry every balance over to the new token", async function () {
+      const migration = await exportBalances(oldToken);
+      const summary = await importBalances(newToken, migration, { batchSize: 3 });
+      
+      expect(summary.batches).to.equal(2);
+      expect(summary.imported).to.equal(4);
+      expect(await newToken.importSealed()).to.be.true;
+      expect(await newToken.migrationRoot()).to.equal(migration.root);
+      
+      for (const { user, species } of migration.entries) {
+        expect(await newToken.balanceOf(user, species)).to.equal(await oldToken.balanceOf(user, species));
+        expect(await newToken.vaultBalanceOf(user, species)).to.equal(await oldToken.vaultBalanceOf(user, species));
+      }
+      expect(await newToken.lockedSupply(FOUNDATION)).to.equal(await oldToken.vaultBalanceOf(user2.address, FOUNDATION));
+    });
+
+    it("Should resume an interrupted import", async function () {
+      const migration = await exportBalances(oldToken);
+      
+      await expect(
+        importBalances(newToken, migration, { batchSize: 1 }, async () => {
+          throw new Error("Interrupted");
+        })
+      ).to.be.rejectedWith("Interrupted");
+      expect(migration.imported).to.equal(1);
+      
+      const summary = await importBalances(newToken, migration, { batchSize: 1 });
+      expect(summary.imported).to.equal(3);
+      expect(await newToken.migrationRoot()).to.equal(migration.root);
+    });
+
+    it("Should verify the sealed root against the new token", async function () {
+      const migration = await exportBalances(oldToken);
+      await expect(verifyMigration(newToken)).to.be.rejectedWith("has not been sealed");
+      
+      await importBalances(newToken, migration);
+      const result = await verifyMigration(newToken);
+      expect(result.matches).to.be.true;
+      expect(result.root).to.equal(migration.root);
+      expect(result.entries).to.equal(4);
+      
+      // A root that does not describe the imported state is caught
+      const mislabeled = await deployAutophageToken();
+      await mislabeled.pause();
+      await importBalances(mislabeled, { ...migration, imported: 0, root: ethers.id("wrong") });
+      expect((await verifyMigration(mislabeled)).matches).to.be.false;
+    });
+
+    it("Should verify an import that was settled part way through", async function () {
+      const migration = await exportBalances(oldToken);
+      await newToken.grantRole(await newToken.RESERVOIR_ROLE(), owner.address);
+      
+      await importBalances(newToken, migration, { batchSize: 1 }, async () => {
+        const [positions] = await newToken.getVaultPositions(user2.address, FOUNDATION);
+        if (positions.length === 0) return;
+        
+        // Settlement waits while the token is paused for the import
+        await time.increase(DAY);
+        await expect(newToken.applyDecay(user2.address, FOUNDATION)).to.be.revertedWith("Pausable: paused");
+        
+        await newToken.unpause();
+        await newToken.applyDecay(user2.address, FOUNDATION);
+        await newToken.pause();
+      });
+      
+      const [positions] = await newToken.getVaultPositions(user2.address, FOUNDATION);
+      expect(positions[0].lastUpdate).to.be.greaterThan(migration.asOf);
+      expect((await verifyMigration(newToken)).matches).to.be.true;
+    });
+
+    it("Should refuse a new token whose species decay differently", async function () {
+      await checkSpecies(oldToken, newToken);
+      
+      await newToken.updateDecayRate(HEALING, ethers.parseEther("0.01"));
+      await expect(checkSpecies(oldToken, newToken)).to.be.rejectedWith("Species 1 decays differently");
+    });
+
+    it("Should refuse a new token with different whale tiers", async function () {
+      await newToken.setWhaleTiers(RHYTHM, [ethers.parseEther("20000")], [ethers.parseEther("1"), ethers.parseEther("2")]);
+      await expect(checkSpecies(oldToken, newToken)).to.be.rejectedWith("Species 0 decays differently");
+    });
+
+    it("Should index imported holders for the keeper", async function () {
+      await importBalances(newToken, await exportBalances(oldToken));
+      
+      const index = await buildHolderIndex(newToken);
+      expect(index.holders[RHYTHM]).to.have.members([user1.address, user3.address]);
+      expect(index.holders[FOUNDATION]).to.have.members([user2.address]);
+    });
+
+    it("Should prove each migrated holder against the root", async function () {
+      const migration = await exportBalances(oldToken);
+      const layers = buildTree(migration.entries.map(migrationLeaf));
+      expect(getRoot(layers)).to.equal(migration.root);
+      
+      for (const entry of migration.entries) {
+        const leaf = migrationLeaf(entry);
+        expect(verifyProof(leaf, getProof(layers, leaf), migration.root)).to.be.true;
+      }
+
+      const inflated = { ...migration.entries[0], liquid: (BigInt(migration.entries[0].liquid) + 1n).toString() };
+      expect(() => getProof(layers, migrationLeaf(inflated))).to.throw("not in the tree");
+      expect(getRoot(buildTree([]))).to.equal(ethers.ZeroHash);
+    });
+  });
+});
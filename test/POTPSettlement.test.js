@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken } = require("../scripts/upgradeable");
+
+describe("POTPSettlement", function () {
+  let autophageToken;
+  let settlement;
+  let owner;
+  let user1;
+  let user2;
+  
+  const PRECISION = 10n ** 18n;
+  const RHYTHM = 0;
+  const HEALING = 1;
+  const FOUNDATION = 2;
+  const CATALYST = 3;
+  
+  // Mirrors the contract's fixed-point exponentiation by squaring
+  function expectedRate(baseRate, decayRate, horizon) {
+    let result = PRECISION;
+    let base = PRECISION - decayRate;
+    let exponent = BigInt(horizon);
+    while (exponent > 0n) {
+      if (exponent & 1n) {
+        result = result * base / PRECISION;
+      }
+      base = base * base / PRECISION;
+      exponent >>= 1n;
+    }
+    return baseRate * result / PRECISION;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    
+    autophageToken = await deployAutophageToken();
+    
+    const POTPSettlement = await ethers.getContractFactory("POTPSettlement");
+    settlement = await POTPSettlement.deploy(await autophageToken.getAddress());
+    await settlement.waitForDeployment();
+    
+    await autophageToken.grantRole(await autophageToken.BURNER_ROLE(), await settlement.getAddress());
+    await autophageToken.grantRole(await autophageToken.MINTER_ROLE(), owner.address);
+    
+    for (let species = 0; species < 4; species++) {
+      await autophageToken.mint(user1.address, species, ethers.parseEther("1000"));
+    }
+  });
+
+  describe("Conversion Rates", function () {
+    it("Should price each species by its retention over the decay horizon", async function () {
+      // Expected (1 - δ)^30 for Rhythm, Healing, Foundation and default Catalyst
+      const approximate = [0.95 ** 30, 0.9925 ** 30, 0.999 ** 30, 0.95 ** 30];
+      
+      for (let species = 0; species < 4; species++) {
+        const decayRate = await autophageToken.decayRates(species);
+        const rate = await settlement.getConversionRate(species);
+        
+        expect(rate).to.equal(expectedRate(PRECISION, decayRate, 30));
+        expect(Number(rate) / 1e18).to.be.closeTo(approximate[species], 1e-12);
+      }
+    });
+
+    it("Should rank slower-decaying species higher", async function () {
+      const rhythm = await settlement.getConversionRate(RHYTHM);
+      const healing = await settlement.getConversionRate(HEALING);
+      const foundation = await settlement.getConversionRate(FOUNDATION);
+      
+      expect(foundation).to.be.gt(healing);
+      expect(healing).to.be.gt(rhythm);
+    });
+
+    it("Should follow the live Catalyst decay rate", async function () {
+      const before = await settlement.getConversionRate(CATALYST);
+      
+      await autophageToken.grantRole(await autophageToken.DECAY_CONTROLLER_ROLE(), owner.address);
+      await autophageToken.setCatalystDecayRate(ethers.parseEther("0.02"));
+      
+      const after = await settlement.getConversionRate(CATALYST);
+      expect(after).to.equal(expectedRate(PRECISION, ethers.parseEther("0.02"), 30));
+      expect(after).to.be.gt(before);
+    });
+
+    it("Should apply governance base rates and horizon", async function () {
+      await settlement.setBaseRate(FOUNDATION, ethers.parseEther("2"));
+      const decayRate = await autophageToken.decayRates(FOUNDATION);
+      expect(await settlement.getConversionRate(FOUNDATION))
+        .to.equal(expectedRate(ethers.parseEther("2"), decayRate, 30));
+      
+      // With no horizon the base rate applies unadjusted
+      await settlement.setDecayHorizon(0);
+      expect(await settlement.getConversionRate(FOUNDATION)).to.equal(ethers.parseEther("2"));
+      
+      await settlement.setDecayHorizon(365);
+      expect(await settlement.getConversionRate(RHYTHM))
+        .to.equal(expectedRate(PRECISION, await autophageToken.decayRates(RHYTHM), 365));
+    });
+  });
+
+  describe("Converting", function () {
+    it("Should burn species tokens and credit POTP for every species", async function () {
+      const amount = ethers.parseEther("100");
+      let total = 0n;
+      
+      for (let species = 0; species < 4; species++) {
+        const rate = await settlement.getConversionRate(species);
+        const expected = amount * rate / PRECISION;
+        const supplyBefore = await autophageToken.totalSupply(species);
+        
+        expect(await settlement.previewConversion(species, amount)).to.equal(expected);
+        await expect(settlement.connect(user1).convertToPOTP(species, amount))
+          .to.emit(settlement, "ConvertedToPOTP")
+          .withArgs(user1.address, species, amount, expected, rate);
+        
+        total += expected;
+        expect(await autophageToken.totalSupply(species)).to.equal(supplyBefore - amount);
+        expect(await settlement.totalConverted(species)).to.equal(amount);
+        expect(await settlement.potpIssued(species)).to.equal(expected);
+      }
+
+      expect(await settlement.getPOTPBalance(user1.address)).to.equal(total);
+      expect(await settlement.totalPOTP()).to.equal(total);
+    });
+
+    it("Should not decay POTP balances", async function () {
+      await settlement.connect(user1).convertToPOTP(RHYTHM, ethers.parseEther("100"));
+      const credited = await settlement.getPOTPBalance(user1.address);
+      
+      await time.increase(30 * 86400);
+      
+      expect(await settlement.getPOTPBalance(user1.address)).to.equal(credited);
+    });
+
+    it("Should only convert the decayed balance", async function () {
+      await time.increase(86400);
+      
+      // 1000 Rhythm is worth 950 after one day
+      await expect(
+        settlement.connect(user1).convertToPOTP(RHYTHM, ethers.parseEther("960"))
+      ).to.be.revertedWith("Insufficient balance");
+      await settlement.connect(user1).convertToPOTP(RHYTHM, ethers.parseEther("950"));
+    });
+
+    it("Should reject empty and disabled conversions", async function () {
+      await expect(settlement.connect(user1).convertToPOTP(RHYTHM, 0)).to.be.revertedWith("Amount must be positive");
+      await expect(settlement.connect(user1).convertToPOTP(4, 1)).to.be.revertedWith("Invalid species");
+      
+      await settlement.setBaseRate(HEALING, 0);
+      await expect(
+        settlement.connect(user1).convertToPOTP(HEALING, ethers.parseEther("1"))
+      ).to.be.revertedWith("Conversion too small");
+    });
+
+    it("Should require BURNER_ROLE on the token", async function () {
+      await autophageToken.revokeRole(await autophageToken.BURNER_ROLE(), await settlement.getAddress());
+      await expect(
+        settlement.connect(user1).convertToPOTP(RHYTHM, ethers.parseEther("1"))
+      ).to.be.reverted;
+    });
+
+    it("Should stop conversions while paused", async function () {
+      await settlement.pause();
+      await expect(
+        settlement.connect(user1).convertToPOTP(RHYTHM, ethers.parseEther("1"))
+      ).to.be.revertedWith("Pausable: paused");
+      await expect(settlement.connect(user1).pause()).to.be.reverted;
+    });
+  });
+
+  describe("Governance", function () {
+    it("Should emit events on rate and horizon changes", async function () {
+      await expect(settlement.setBaseRate(CATALYST, ethers.parseEther("0.5")))
+        .to.emit(settlement, "BaseRateUpdated")
+        .withArgs(CATALYST, PRECISION, ethers.parseEther("0.5"));
+      await expect(settlement.setDecayHorizon(90))
+        .to.emit(settlement, "DecayHorizonUpdated")
+        .withArgs(30, 90);
+    });
+
+    it("Should restrict configuration to governance", async function () {
+      await expect(settlement.connect(user2).setBaseRate(RHYTHM, 1)).to.be.reverted;
+      await expect(settlement.connect(user2).setDecayHorizon(10)).to.be.reverted;
+      await expect(settlement.setBaseRate(4, 1)).to.be.revertedWith("Invalid species");
+      await expect(settlement.setDecayHorizon(366)).to.be.revertedWith("Horizon too long");
+    });
+  });
+});
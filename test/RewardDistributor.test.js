@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken, deployLibraries } = require("../scripts/upgradeable");
+const { parseRewards, buildDistribution, getClaim } = require("../scripts/rewards");
+
+describe("RewardDistributor", function () {
+  let autophageToken;
+  let distributor;
+  let owner;
+  let user1;
+  let user2;
+  let relayer;
+  let distribution;
+  
+  const DAY = 86400;
+  const RHYTHM = 0;
+  const HEALING = 1;
+  
+  async function postEpoch(rewards, timestamp) {
+    const built = buildDistribution(rewards);
+    await distributor.postEpoch(built.root, timestamp ?? (await time.latest()));
+    return built;
+  }
+
+  function claimFor(built, epochId, account, species, caller = account) {
+    const { amount, proof } = getClaim(built, account.address, species);
+    return distributor.connect(caller).claim(epochId, account.address, species, amount, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, relayer] = await ethers.getSigners();
+    
+    const libraries = await deployLibraries("AutophageToken");
+    autophageToken = await deployAutophageToken(libraries);
+    
+    const RewardDistributor = await ethers.getContractFactory("RewardDistributor", {
+      libraries: { DecayMath: libraries.DecayMath }
+    });
+    distributor = await RewardDistributor.deploy(await autophageToken.getAddress());
+    await distributor.waitForDeployment();
+    
+    await autophageToken.grantRole(await autophageToken.MINTER_ROLE(), await distributor.getAddress());
+    
+    distribution = await postEpoch([
+      { account: user1.address, species: RHYTHM, amount: ethers.parseEther("1000") },
+      { account: user1.address, species: HEALING, amount: ethers.parseEther("50") },
+      { account: user2.address, species: RHYTHM, amount: ethers.parseEther("300") }
+    ]);
+  });
+
+  describe("Posting Epochs", function () {
+    it("Should record each epoch's root and decay start", async function () {
+      const timestamp = (await time.latest()) - DAY;
+      await distributor.setDecayFromEpoch(true);
+      
+      await expect(distributor.postEpoch(ethers.id("epoch 1"), timestamp))
+        .to.emit(distributor, "EpochPosted")
+        .withArgs(1, ethers.id("epoch 1"), timestamp, true);
+      
+      expect(await distributor.epochCount()).to.equal(2);
+      const epoch = await distributor.epochs(1);
+      expect(epoch.merkleRoot).to.equal(ethers.id("epoch 1"));
+      expect(epoch.timestamp).to.equal(timestamp);
+      expect(epoch.decayFromEpoch).to.be.true;
+      expect((await distributor.epochs(0)).decayFromEpoch).to.be.false;
+    });
+
+    it("Should restrict posting to the oracle", async function () {
+      const now = await time.latest();
+      await expect(distributor.connect(user1).postEpoch(ethers.id("root"), now)).to.be.reverted;
+      await expect(distributor.postEpoch(ethers.ZeroHash, now)).to.be.revertedWith("Invalid root");
+      await expect(distributor.postEpoch(ethers.id("root"), now + 100)).to.be.revertedWith("Future epoch");
+    });
+
+    it("Should restrict the decay start setting to governance", async function () {
+      await expect(distributor.connect(user1).setDecayFromEpoch(true)).to.be.reverted;
+      await expect(distributor.setDecayFromEpoch(true))
+        .to.emit(distributor, "DecayStartUpdated")
+        .withArgs(true);
+    });
+  });
+
+  describe("Claiming", function () {
+    it("Should mint a proven reward", async function () {
+      await expect(claimFor(distribution, 0, user1, RHYTHM))
+        .to.emit(distributor, "RewardClaimed")
+        .withArgs(0, user1.address, RHYTHM, ethers.parseEther("1000"), ethers.parseEther("1000"));
+      
+      expect(await autophageToken.balanceOf(user1.address, RHYTHM)).to.equal(ethers.parseEther("1000"));
+      expect(await distributor.claimed(0, user1.address, RHYTHM)).to.be.true;
+      expect(await distributor.claimed(0, user1.address, HEALING)).to.be.false;
+      
+      await claimFor(distribution, 0, user1, HEALING);
+      expect(await autophageToken.balanceOf(user1.address, HEALING)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should let anyone submit a claim for the rewarded account", async function () {
+      await claimFor(distribution, 0, user2, RHYTHM, relayer);
+      
+      expect(await autophageToken.balanceOf(user2.address, RHYTHM)).to.equal(ethers.parseEther("300"));
+      expect(await autophageToken.balanceOf(relayer.address, RHYTHM)).to.equal(0);
+    });
+
+    it("Should pay each reward once", async function () {
+      await claimFor(distribution, 0, user1, RHYTHM);
+      await expect(claimFor(distribution, 0, user1, RHYTHM)).to.be.revertedWith("Already claimed");
+    });
+
+    it("Should reject invalid proofs and unknown epochs", async function () {
+      const { proof } = getClaim(distribution, user2.address, RHYTHM);
+      
+      // Claiming more than the leaf commits to
+      await expect(
+        distributor.connect(user2).claim(0, user2.address, RHYTHM, ethers.parseEther("301"), proof)
+      ).to.be.revertedWith("Invalid proof");
+      
+      // Someone else's proof
+      await expect(
+        distributor.connect(user1).claim(0, user1.address, RHYTHM, ethers.parseEther("300"), proof)
+      ).to.be.revertedWith("Invalid proof");
+      
+      await expect(
+        distributor.claim(1, user2.address, RHYTHM, ethers.parseEther("300"), proof)
+      ).to.be.revertedWith("Unknown epoch");
+    });
+
+    it("Should keep claims for separate epochs apart", async function () {
+      const next = await postEpoch([{ account: user1.address, species: RHYTHM, amount: ethers.parseEther("20") }]);
+      
+      await claimFor(distribution, 0, user1, RHYTHM);
+      await claimFor(next, 1, user1, RHYTHM);
+      expect(await autophageToken.balanceOf(user1.address, RHYTHM)).to.equal(ethers.parseEther("1020"));
+    });
+
+    it("Should stop claims while paused", async function () {
+      await distributor.pause();
+      await expect(claimFor(distribution, 0, user1, RHYTHM)).to.be.revertedWith("Pausable: paused");
+      
+      await distributor.unpause();
+      await claimFor(distribution, 0, user1, RHYTHM);
+    });
+  });
+
+  describe("Decay Start", function () {
+    it("Should start decay at claim time by default", async function () {
+      await time.increase(2 * DAY);
+      
+      expect(await distributor.previewClaim(0, RHYTHM, ethers.parseEther("1000"))).to.equal(ethers.parseEther("1000"));
+      await claimFor(distribution, 0, user1, RHYTHM);
+      expect(await autophageToken.balanceOf(user1.address, RHYTHM)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should decay from the epoch time when configured", async function () {
+      await distributor.setDecayFromEpoch(true);
+      const built = await postEpoch(
+        [{ account: user1.address, species: RHYTHM, amount: ethers.parseEther("1000") }],
+        (await time.latest()) - 2 * DAY
+      );
+      
+      // Two days of 5% Rhythm decay since the epoch
+      await expect(claimFor(built, 1, user1, RHYTHM))
+        .to.emit(distributor, "RewardClaimed")
+        .withArgs(1, user1.address, RHYTHM, ethers.parseEther("1000"), ethers.parseEther("902.5"));
+      expect(await autophageToken.balanceOf(user1.address, RHYTHM)).to.equal(ethers.parseEther("902.5"));
+    });
+
+    it("Should keep the decay start an epoch was posted with", async function () {
+      await distributor.setDecayFromEpoch(true);
+      await time.increase(2 * DAY);
+      
+      await claimFor(distribution, 0, user1, RHYTHM);
+      expect(await autophageToken.balanceOf(user1.address, RHYTHM)).to.equal(ethers.parseEther("1000"));
+    });
+  });
+
+  describe("Reward Files", function () {
+    it("Should parse CSV and JSON rewards in whole tokens", function () {
+      const csv = `account,species,amount\n${user1.address.toLowerCase()},0,12.5\n\n${user2.address},1,3\n`;
+      const json = JSON.stringify([
+        { account: user1.address, species: 0, amount: "12.5" },
+        { account: user2.address, species: "1", amount: 3 }
+      ]);
+      
+      const expected = [
+        { account: user1.address, species: 0, amount: ethers.parseEther("12.5") },
+        { account: user2.address, species: 1, amount: ethers.parseEther("3") }
+      ];
+      expect(parseRewards(csv, "csv")).to.deep.equal(expected);
+      expect(parseRewards(json, "json")).to.deep.equal(expected);
+    });
+
+    it("Should reject malformed rows", function () {
+      expect(() => parseRewards("0x1234,0,1", "csv")).to.throw("Reward 1 has an invalid account");
+      expect(() => parseRewards(`${user1.address},256,1`, "csv")).to.throw("Reward 1 has an invalid species");
+    });
+
+    it("Should merge repeated rewards into one claim", async function () {
+      const built = await postEpoch(parseRewards(
+        `${user1.address},0,10\n${user1.address},0,5\n${user2.address},0,0`,
+        "csv"
+      ));
+      
+      expect(getClaim(built, user1.address, RHYTHM).amount).to.equal(ethers.parseEther("15").toString());
+      expect(getClaim(built, user2.address, RHYTHM)).to.be.null;
+      expect(built.totals).to.deep.equal({ 0: ethers.parseEther("15").toString() });
+      
+      await claimFor(built, 1, user1, RHYTHM);
+      expect(await autophageToken.balanceOf(user1.address, RHYTHM)).to.equal(ethers.parseEther("15"));
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken } = require("../scripts/upgradeable");
+
+describe("SpeciesRegistry", function () {
+  let autophageToken;
+  let registry;
+  let owner;
+  let user1;
+  
+  const RESILIENCE_DECAY = ethers.parseEther("0.02"); // 2% daily
+  
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    
+    autophageToken = await deployAutophageToken();
+    
+    const SpeciesRegistry = await ethers.getContractFactory("SpeciesRegistry");
+    registry = await SpeciesRegistry.deploy(await autophageToken.getAddress());
+    await registry.waitForDeployment();
+    
+    const REGISTRAR_ROLE = await autophageToken.REGISTRAR_ROLE();
+    await autophageToken.grantRole(REGISTRAR_ROLE, await registry.getAddress());
+  });
+
+  async function registerResilience() {
+    return registry.registerSpecies("Resilience", "RSL", 18, "Sleep and stress recovery", RESILIENCE_DECAY, true);
+  }
+
+  describe("Genesis Species", function () {
+    it("Should describe the four genesis species", async function () {
+      const all = await registry.getAllSpecies();
+      expect(all.length).to.equal(4);
+      expect(all.map(species => species.symbol)).to.deep.equal(["RHY", "HLN", "FDN", "CTL"]);
+      expect(all.map(species => species.name)).to.deep.equal(["Rhythm", "Healing", "Foundation", "Catalyst"]);
+      
+      const rhythm = await registry.getSpecies(0);
+      expect(rhythm.decimals).to.equal(18);
+      expect(rhythm.decayRate).to.equal(ethers.parseEther("0.05"));
+      expect(rhythm.continuous).to.be.false;
+    });
+
+    it("Should read decay parameters live from the token", async function () {
+      await autophageToken.updateDecayRate(1, ethers.parseEther("0.01"));
+      await autophageToken.setDecayMode(1, true);
+      
+      const healing = await registry.getSpecies(1);
+      expect(healing.decayRate).to.equal(ethers.parseEther("0.01"));
+      expect(healing.continuous).to.be.true;
+    });
+
+    it("Should look up species by symbol", async function () {
+      expect(await registry.speciesBySymbol("FDN")).to.equal(2);
+      await expect(registry.speciesBySymbol("XYZ")).to.be.revertedWith("Unknown symbol");
+    });
+  });
+
+  describe("Registering Species", function () {
+    it("Should add a fifth species to the token", async function () {
+      await expect(registerResilience())
+        .to.emit(registry, "SpeciesRegistered")
+        .withArgs(4, "RSL", "Resilience", RESILIENCE_DECAY, true)
+        .and.to.emit(autophageToken, "SpeciesAdded")
+        .withArgs(4, RESILIENCE_DECAY, true);
+      
+      expect(await autophageToken.speciesCount()).to.equal(5);
+      expect(await registry.speciesCount()).to.equal(5);
+      expect(await autophageToken.decayRates(4)).to.equal(RESILIENCE_DECAY);
+      expect(await autophageToken.continuousDecay(4)).to.be.true;
+      
+      const resilience = await registry.getSpecies(4);
+      expect(resilience.id).to.equal(4);
+      expect(resilience.name).to.equal("Resilience");
+      expect(resilience.description).to.equal("Sleep and stress recovery");
+      expect(await registry.speciesBySymbol("RSL")).to.equal(4);
+    });
+
+    it("Should let the new species be minted, decay and be transferred", async function () {
+      await registerResilience();
+      
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.mint(user1.address, 4, ethers.parseEther("1000"));
+      
+      await time.increase(86400);
+      
+      const balance = await autophageToken.balanceOf(user1.address, 4);
+      expect(balance).to.be.closeTo(ethers.parseEther("980"), ethers.parseEther("0.01"));
+      
+      const all = await autophageToken.getAllBalances(user1.address);
+      expect(all.length).to.equal(5);
+      
+      await autophageToken.connect(user1).transfer(owner.address, 4, ethers.parseEther("100"));
+      expect(await autophageToken.balanceOf(owner.address, 4)).to.be.closeTo(ethers.parseEther("100"), 10n ** 12n);
+    });
+
+    it("Should reject invalid metadata", async function () {
+      await expect(
+        registry.registerSpecies("Duplicate", "RHY", 18, "", RESILIENCE_DECAY, false)
+      ).to.be.revertedWith("Symbol taken");
+      await expect(
+        registry.registerSpecies("", "NEW", 18, "", RESILIENCE_DECAY, false)
+      ).to.be.revertedWith("Name required");
+      await expect(
+        registry.registerSpecies("Long", "TOOLONGSYM", 18, "", RESILIENCE_DECAY, false)
+      ).to.be.revertedWith("Invalid symbol");
+      await expect(
+        registry.registerSpecies("Precise", "PRC", 19, "", RESILIENCE_DECAY, false)
+      ).to.be.revertedWith("Invalid decimals");
+      await expect(
+        registry.registerSpecies("Fast", "FST", 18, "", ethers.parseEther("0.2"), false)
+      ).to.be.revertedWith("Rate too high");
+      
+      expect(await autophageToken.speciesCount()).to.equal(4);
+    });
+
+    it("Should restrict registration to governance and the registrar role", async function () {
+      await expect(
+        registry.connect(user1).registerSpecies("Resilience", "RSL", 18, "", RESILIENCE_DECAY, false)
+      ).to.be.reverted;
+      await expect(autophageToken.connect(user1).addSpecies(RESILIENCE_DECAY, false)).to.be.reverted;
+      
+      await autophageToken.revokeRole(await autophageToken.REGISTRAR_ROLE(), await registry.getAddress());
+      await expect(registerResilience()).to.be.reverted;
+    });
+  });
+
+  describe("Updating Metadata", function () {
+    it("Should update metadata and free the old symbol", async function () {
+      await expect(registry.updateMetadata(3, "Catalyst", "CAT", 18, "Marketplace balance"))
+        .to.emit(registry, "SpeciesMetadataUpdated")
+        .withArgs(3, "CAT", "Catalyst", "Marketplace balance");
+      
+      expect(await registry.speciesBySymbol("CAT")).to.equal(3);
+      await expect(registry.speciesBySymbol("CTL")).to.be.revertedWith("Unknown symbol");
+    });
+
+    it("Should validate updates", async function () {
+      await expect(registry.updateMetadata(4, "Nope", "NOP", 18, "")).to.be.revertedWith("Invalid species");
+      await expect(registry.updateMetadata(0, "Rhythm", "HLN", 18, "")).to.be.revertedWith("Symbol taken");
+      await expect(registry.connect(user1).updateMetadata(0, "Rhythm", "RHY", 18, "")).to.be.reverted;
+    });
+  });
+});
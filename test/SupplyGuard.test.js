@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken } = require("../scripts/upgradeable");
+
+describe("SupplyGuard", function () {
+  let autophageToken;
+  let guard;
+  let owner;
+  let minter1;
+  let minter2;
+  let user1;
+  
+  const DAY = 86400;
+  const RHYTHM = 0;
+  const HEALING = 1;
+  
+  beforeEach(async function () {
+    [owner, minter1, minter2, user1] = await ethers.getSigners();
+    
+    autophageToken = await deployAutophageToken();
+    
+    const SupplyGuard = await ethers.getContractFactory("SupplyGuard");
+    guard = await SupplyGuard.deploy(await autophageToken.getAddress(), DAY);
+    await guard.waitForDeployment();
+    
+    const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+    await autophageToken.grantRole(MINTER_ROLE, minter1.address);
+    await autophageToken.grantRole(MINTER_ROLE, minter2.address);
+    await autophageToken.setTransferGuard(await guard.getAddress());
+    
+    await guard.setEpochBudget(RHYTHM, ethers.parseEther("1000"));
+    await guard.setMinterCap(minter1.address, RHYTHM, ethers.parseEther("600"));
+    await guard.setMinterCap(minter2.address, RHYTHM, ethers.parseEther("600"));
+  });
+
+  describe("Configuration", function () {
+    it("Should register with the token", async function () {
+      expect(await autophageToken.transferGuard()).to.equal(await guard.getAddress());
+      expect(await guard.autophageToken()).to.equal(await autophageToken.getAddress());
+      expect(await guard.epochDuration()).to.equal(DAY);
+      expect(await guard.currentEpoch()).to.equal(0);
+    });
+
+    it("Should emit events for cap and budget changes", async function () {
+      await expect(guard.setMinterCap(minter1.address, HEALING, 5))
+        .to.emit(guard, "MinterCapUpdated")
+        .withArgs(minter1.address, HEALING, 5);
+      await expect(guard.setEpochBudget(HEALING, 10))
+        .to.emit(guard, "EpochBudgetUpdated")
+        .withArgs(HEALING, 10);
+    });
+
+    it("Should restrict configuration to governance", async function () {
+      await expect(guard.connect(minter1).setMinterCap(minter1.address, RHYTHM, 1)).to.be.reverted;
+      await expect(guard.connect(minter1).setEpochBudget(RHYTHM, 1)).to.be.reverted;
+      await expect(guard.setMinterCap(ethers.ZeroAddress, RHYTHM, 1)).to.be.revertedWith("Invalid minter");
+      await expect(guard.setEpochBudget(4, 1)).to.be.revertedWith("Invalid species");
+    });
+
+    it("Should only accept checks from the token", async function () {
+      await expect(
+        guard.checkSpeciesTransfer(owner.address, ethers.ZeroAddress, user1.address, RHYTHM, 1)
+      ).to.be.revertedWith("Only token contract");
+    });
+
+    it("Should only let the admin change the token guard", async function () {
+      await expect(autophageToken.connect(minter1).setTransferGuard(ethers.ZeroAddress)).to.be.reverted;
+      await expect(autophageToken.setTransferGuard(ethers.ZeroAddress))
+        .to.emit(autophageToken, "TransferGuardUpdated")
+        .withArgs(await guard.getAddress(), ethers.ZeroAddress);
+    });
+  });
+
+  describe("Mint Limits", function () {
+    it("Should enforce per-minter caps", async function () {
+      await expect(autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("400")))
+        .to.emit(guard, "MintRecorded")
+        .withArgs(0, minter1.address, RHYTHM, ethers.parseEther("400"));
+      
+      await expect(
+        autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("201"))
+      ).to.be.revertedWith("Minter cap exceeded");
+      
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("200"));
+      expect(await guard.mintedByMinter(0, minter1.address, RHYTHM)).to.equal(ethers.parseEther("600"));
+    });
+
+    it("Should enforce the global epoch budget across minters", async function () {
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("600"));
+      
+      // minter2 is within its own cap but the species budget only has 400 left
+      await expect(
+        autophageToken.connect(minter2).mint(user1.address, RHYTHM, ethers.parseEther("500"))
+      ).to.be.revertedWith("Epoch budget exceeded");
+      
+      await autophageToken.connect(minter2).mint(user1.address, RHYTHM, ethers.parseEther("400"));
+      expect(await guard.mintedInEpoch(0, RHYTHM)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should block minters and species without limits", async function () {
+      // A MINTER_ROLE holder with no cap cannot mint at all
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, user1.address);
+      await expect(
+        autophageToken.connect(user1).mint(user1.address, RHYTHM, 1)
+      ).to.be.revertedWith("Minter cap exceeded");
+      
+      // A species without a budget cannot be minted even with a cap
+      await guard.setMinterCap(minter1.address, HEALING, ethers.parseEther("100"));
+      await expect(
+        autophageToken.connect(minter1).mint(user1.address, HEALING, 1)
+      ).to.be.revertedWith("Epoch budget exceeded");
+    });
+
+    it("Should reset limits each epoch", async function () {
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("600"));
+      await expect(
+        autophageToken.connect(minter1).mint(user1.address, RHYTHM, 1)
+      ).to.be.revertedWith("Minter cap exceeded");
+      
+      await time.increaseTo(await guard.nextEpochStart());
+      
+      expect(await guard.currentEpoch()).to.equal(1);
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("600"));
+      expect(await guard.mintedByMinter(1, minter1.address, RHYTHM)).to.equal(ethers.parseEther("600"));
+    });
+
+    it("Should not limit transfers or burns", async function () {
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("600"));
+      
+      const BURNER_ROLE = await autophageToken.BURNER_ROLE();
+      await autophageToken.grantRole(BURNER_ROLE, owner.address);
+      
+      await autophageToken.connect(user1).transfer(minter2.address, RHYTHM, ethers.parseEther("100"));
+      await autophageToken.burn(user1.address, RHYTHM, ethers.parseEther("100"));
+      expect(await guard.mintedInEpoch(0, RHYTHM)).to.equal(ethers.parseEther("600"));
+    });
+  });
+
+  describe("Circuit Breakers", function () {
+    beforeEach(async function () {
+      // Seed supply with breakers off, then allow 10% per block and 20% per day
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("500"));
+      await guard.setCircuitBreaker(RHYTHM, 1000, 2000, ethers.parseEther("100"));
+    });
+
+    it("Should reject the transfer that would cross the day's limit", async function () {
+      const today = Math.floor((await time.latest()) / DAY) + 1;
+      await time.increaseTo(today * DAY);
+      
+      await autophageToken.connect(user1).transfer(minter2.address, RHYTHM, ethers.parseEther("50"));
+      await autophageToken.connect(user1).transfer(minter2.address, RHYTHM, ethers.parseEther("50"));
+      
+      // 110 of 500 moved today would cross 20%; the transfer reverts and nothing is recorded
+      await expect(
+        autophageToken.connect(user1).transfer(minter2.address, RHYTHM, ethers.parseEther("10"))
+      ).to.be.revertedWith("Circuit breaker day limit exceeded");
+      
+      expect((await guard.dailyFlows(today, RHYTHM)).moved).to.equal(ethers.parseEther("100"));
+      expect(await autophageToken.balanceOf(minter2.address, RHYTHM)).to.be.closeTo(ethers.parseEther("100"), ethers.parseEther("0.01"));
+      
+      // The next day starts afresh
+      await time.increaseTo((today + 1) * DAY);
+      await autophageToken.connect(user1).transfer(minter2.address, RHYTHM, ethers.parseEther("10"));
+    });
+
+    it("Should reject a single oversized mint", async function () {
+      // 60 minted against the 500 supply before the mint crosses the 10% per-block limit
+      await expect(
+        autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("60"))
+      ).to.be.revertedWith("Circuit breaker block limit exceeded");
+      
+      expect(await autophageToken.totalSupply(RHYTHM)).to.equal(ethers.parseEther("500"));
+      expect(await guard.mintedInEpoch(0, RHYTHM)).to.equal(ethers.parseEther("500"));
+      
+      // A mint within the limit goes through
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("50"));
+      expect(await autophageToken.totalSupply(RHYTHM)).to.equal(ethers.parseEther("550"));
+    });
+
+    it("Should leave other species and burns unaffected", async function () {
+      await guard.tripCircuitBreaker(RHYTHM);
+      
+      await guard.setEpochBudget(HEALING, ethers.parseEther("100"));
+      await guard.setMinterCap(minter1.address, HEALING, ethers.parseEther("100"));
+      await autophageToken.connect(minter1).mint(user1.address, HEALING, ethers.parseEther("100"));
+      
+      const BURNER_ROLE = await autophageToken.BURNER_ROLE();
+      await autophageToken.grantRole(BURNER_ROLE, owner.address);
+      await autophageToken.burn(user1.address, RHYTHM, ethers.parseEther("10"));
+    });
+
+    it("Should stay inactive below the minimum supply", async function () {
+      await guard.setCircuitBreaker(RHYTHM, 1000, 2000, ethers.parseEther("10000"));
+      await autophageToken.connect(user1).transfer(minter2.address, RHYTHM, ethers.parseEther("400"));
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("100"));
+    });
+
+    it("Should let only governance trip and reset", async function () {
+      await expect(guard.connect(minter1).tripCircuitBreaker(RHYTHM)).to.be.reverted;
+      await expect(guard.tripCircuitBreaker(RHYTHM))
+        .to.emit(guard, "CircuitBreakerTripped")
+        .withArgs(RHYTHM, owner.address);
+      await expect(guard.tripCircuitBreaker(RHYTHM)).to.be.revertedWith("Breaker already tripped");
+      
+      expect((await guard.circuitBreakers(RHYTHM)).tripped).to.be.true;
+      await expect(
+        autophageToken.connect(user1).transfer(minter2.address, RHYTHM, 1)
+      ).to.be.revertedWith("Circuit breaker tripped");
+      await expect(
+        autophageToken.connect(minter1).mint(user1.address, RHYTHM, 1)
+      ).to.be.revertedWith("Circuit breaker tripped");
+      
+      await expect(guard.connect(minter1).resetCircuitBreaker(RHYTHM)).to.be.reverted;
+      await expect(guard.resetCircuitBreaker(HEALING)).to.be.revertedWith("Breaker not tripped");
+      await expect(guard.resetCircuitBreaker(RHYTHM))
+        .to.emit(guard, "CircuitBreakerReset")
+        .withArgs(RHYTHM, owner.address);
+      
+      await autophageToken.connect(user1).transfer(minter2.address, RHYTHM, ethers.parseEther("40"));
+      expect((await guard.circuitBreakers(RHYTHM)).tripped).to.be.false;
+    });
+
+    it("Should validate breaker configuration", async function () {
+      await expect(guard.connect(minter1).setCircuitBreaker(RHYTHM, 1, 1, 0)).to.be.reverted;
+      await expect(guard.setCircuitBreaker(RHYTHM, 10001, 1, 0)).to.be.revertedWith("Invalid limit");
+      await expect(guard.setCircuitBreaker(RHYTHM, 500, 1500, 7))
+        .to.emit(guard, "CircuitBreakerUpdated")
+        .withArgs(RHYTHM, 500, 1500, 7);
+    });
+  });
+
+  describe("Views", function () {
+    it("Should report remaining allowance and budget", async function () {
+      expect(await guard.remainingMinterAllowance(minter1.address, RHYTHM)).to.equal(ethers.parseEther("600"));
+      expect(await guard.remainingEpochBudget(RHYTHM)).to.equal(ethers.parseEther("1000"));
+      
+      await autophageToken.connect(minter1).mint(user1.address, RHYTHM, ethers.parseEther("500"));
+      expect(await guard.remainingMinterAllowance(minter1.address, RHYTHM)).to.equal(ethers.parseEther("100"));
+      expect(await guard.remainingEpochBudget(RHYTHM)).to.equal(ethers.parseEther("500"));
+      
+      // minter2's own cap is 600, but only 500 of the budget is left
+      expect(await guard.remainingMinterAllowance(minter2.address, RHYTHM)).to.equal(ethers.parseEther("500"));
+      
+      // Cutting a cap below what was already minted leaves nothing
+      await guard.setMinterCap(minter1.address, RHYTHM, ethers.parseEther("100"));
+      expect(await guard.remainingMinterAllowance(minter1.address, RHYTHM)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  deployLibraries,
+  deployProxy,
+  recordImplementations,
+  upgradeContract
+} = require("../scripts/upgradeable");
+
+describe("Upgradeable deployment", function () {
+  let autophageToken;
+  let reservoir;
+  let deployment;
+  let owner;
+  let user1;
+  
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    
+    const tokenLibraries = await deployLibraries("AutophageToken");
+    autophageToken = await deployProxy("AutophageToken", [], { libraries: tokenLibraries });
+    
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockUSDC = await MockERC20.deploy();
+    await mockUSDC.waitForDeployment();
+    
+    const reservoirLibraries = await deployLibraries("ReservoirContract");
+    reservoir = await deployProxy("ReservoirContract", [
+      await autophageToken.getAddress(),
+      await mockUSDC.getAddress()
+    ], { libraries: reservoirLibraries });
+    
+    deployment = await recordImplementations({
+      contracts: {
+        AutophageToken: await autophageToken.getAddress(),
+        ReservoirContract: await reservoir.getAddress(),
+        ...tokenLibraries,
+        ...reservoirLibraries
+      }
+    });
+
+    await autophageToken.grantRole(await autophageToken.MINTER_ROLE(), owner.address);
+    await autophageToken.mint(user1.address, 0, ethers.parseEther("1000"));
+  });
+
+  describe("Initialization", function () {
+    it("Should initialize the proxy once", async function () {
+      expect(await autophageToken.speciesCount()).to.equal(4);
+      expect(await autophageToken.hasRole(await autophageToken.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      
+      await expect(autophageToken.initialize()).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(
+        reservoir.initialize(user1.address, user1.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should lock the implementation contracts", async function () {
+      const implementation = await ethers.getContractAt(
+        "ReservoirContract",
+        deployment.implementations.ReservoirContract[0].address
+      );
+      await expect(
+        implementation.initialize(user1.address, user1.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should record the proxy admin and first implementations", async function () {
+      expect(deployment.contracts.ProxyAdmin).to.equal(
+        await upgrades.erc1967.getAdminAddress(await autophageToken.getAddress())
+      );
+      expect(deployment.implementations.AutophageToken).to.have.lengthOf(1);
+      expect(deployment.implementations.AutophageToken[0].address).to.equal(
+        await upgrades.erc1967.getImplementationAddress(await autophageToken.getAddress())
+      );
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep balances and roles across a token upgrade", async function () {
+      const balanceBefore = await autophageToken.balanceOf(user1.address, 0);
+      
+      const record = await upgradeContract(deployment, "AutophageToken", "MockAutophageTokenV2");
+      expect(record.address).to.not.equal(deployment.implementations.AutophageToken[0].address);
+      expect(deployment.implementations.AutophageToken).to.have.lengthOf(2);
+      
+      const upgraded = await ethers.getContractAt("MockAutophageTokenV2", await autophageToken.getAddress());
+      expect(await upgraded.balanceOf(user1.address, 0)).to.equal(balanceBefore);
+      expect(await upgraded.hasRole(await upgraded.MINTER_ROLE(), owner.address)).to.be.true;
+      
+      // Appended state starts empty and is writable
+      await upgraded.incrementUpgradeCounter();
+      expect(await upgraded.upgradeCounter()).to.equal(1);
+    });
+
+    it("Should reuse the deployed libraries", async function () {
+      const contracts = { ...deployment.contracts };
+      await upgradeContract(deployment, "AutophageToken", "MockAutophageTokenV2");
+      for (const library of ["DecayMath", "BalanceHistory", "WellnessVault", "TypedSignature"]) {
+        expect(deployment.contracts[library]).to.equal(contracts[library]);
+      }
+    });
+
+    it("Should redeploy a library whose linked library changed", async function () {
+      const contracts = { ...deployment.contracts };
+      deployment.contracts.DecayMath = (await deployLibraries("AutophageToken")).DecayMath;
+      
+      await upgradeContract(deployment, "AutophageToken", "MockAutophageTokenV2");
+      expect(deployment.contracts.DecayMath).to.not.equal(contracts.DecayMath);
+      expect(deployment.contracts.BalanceHistory).to.not.equal(contracts.BalanceHistory);
+      expect(deployment.contracts.TypedSignature).to.equal(contracts.TypedSignature);
+    });
+
+    it("Should skip unchanged implementations", async function () {
+      expect(await upgradeContract(deployment, "ReservoirContract")).to.be.null;
+      expect(deployment.implementations.ReservoirContract).to.have.lengthOf(1);
+    });
+
+    it("Should upgrade the Reservoir in place", async function () {
+      await upgradeContract(deployment, "ReservoirContract", "MockReservoirContractV2");
+      
+      const upgraded = await ethers.getContractAt("MockReservoirContractV2", await reservoir.getAddress());
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.autophageToken()).to.equal(await autophageToken.getAddress());
+    });
+
+    it("Should reject an incompatible storage layout", async function () {
+      const implementation = await upgrades.erc1967.getImplementationAddress(await reservoir.getAddress());
+      
+      await expect(
+        upgradeContract(deployment, "ReservoirContract", "MockReservoirContractBadLayout")
+      ).to.be.rejectedWith(/New storage layout is incompatible/);
+      
+      expect(await upgrades.erc1967.getImplementationAddress(await reservoir.getAddress())).to.equal(implementation);
+      expect(deployment.implementations.ReservoirContract).to.have.lengthOf(1);
+    });
+
+    it("Should only upgrade known proxies", async function () {
+      await expect(upgradeContract(deployment, "SupplyGuard")).to.be.rejectedWith(/not upgradeable/);
+      await expect(upgradeContract(deployment, "VerificationEngine")).to.be.rejectedWith(/No VerificationEngine proxy/);
+    });
+  });
+});
@@ -1,11 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployAutophageToken, deployProxy } = require("../scripts/upgradeable");
 
 describe("VerificationEngine", function () {
   let verificationEngine;
   let autophageToken;
   let reservoir;
+  let mockUSDC;
   let owner;
   let user1;
   let user2;
@@ -16,37 +18,34 @@ describe("VerificationEngine", function () {
     [owner, user1, user2, verifier, app1] = await ethers.getSigners();
     
     // Deploy AutophageToken
-    const AutophageToken = await ethers.getContractFactory("AutophageToken");
-    autophageToken = await AutophageToken.deploy();
-    await autophageToken.waitForDeployment();
+    autophageToken = await deployAutophageToken();
     
     // Deploy mock USDC
-    const MockToken = await ethers.getContractFactory("AutophageToken");
-    const mockUSDC = await MockToken.deploy();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy();
     await mockUSDC.waitForDeployment();
     
     // Deploy ReservoirContract
-    const ReservoirContract = await ethers.getContractFactory("ReservoirContract");
-    reservoir = await ReservoirContract.deploy(
+    reservoir = await deployProxy("ReservoirContract", [
       await autophageToken.getAddress(),
       await mockUSDC.getAddress()
-    );
-    await reservoir.waitForDeployment();
+    ]);
     
     // Deploy VerificationEngine
-    const VerificationEngine = await ethers.getContractFactory("VerificationEngine");
-    verificationEngine = await VerificationEngine.deploy(
+    verificationEngine = await deployProxy("VerificationEngine", [
       await autophageToken.getAddress(),
       await reservoir.getAddress()
-    );
-    await verificationEngine.waitForDeployment();
+    ]);
     
     // Setup roles
     const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+    const BURNER_ROLE = await autophageToken.BURNER_ROLE();
     await autophageToken.grantRole(MINTER_ROLE, await verificationEngine.getAddress());
+    await autophageToken.grantRole(BURNER_ROLE, await verificationEngine.getAddress());
     
     const VERIFIER_ROLE = await verificationEngine.VERIFIER_ROLE();
     await verificationEngine.grantRole(VERIFIER_ROLE, verifier.address);
+    await reservoir.setVerificationEngine(await verificationEngine.getAddress());
   });
 
   describe("Deployment", function () {
@@ -62,25 +61,116 @@ describe("VerificationEngine", function () {
   });
 
   describe("App Management", function () {
+    const STAKE = ethers.parseEther("10000");
+    
+    beforeEach(async function () {
+      await mockUSDC.mint(app1.address, STAKE);
+      await mockUSDC.connect(app1).approve(await reservoir.getAddress(), STAKE);
+    });
+
     it("Should register new apps", async function () {
-      // App registration takes a stake amount
-      // This functionality may not be fully exposed
-      this.skip();
+      await verificationEngine.connect(app1).registerApp(STAKE);
+      
+      expect(await verificationEngine.registeredApps(app1.address)).to.be.true;
+      expect(await verificationEngine.hasRole(await verificationEngine.APP_ROLE(), app1.address)).to.be.true;
+      
+      // The stake is held by the Reservoir outside the healthcare chamber
+      expect(await mockUSDC.balanceOf(app1.address)).to.equal(0);
+      expect(await mockUSDC.balanceOf(await reservoir.getAddress())).to.equal(STAKE);
+      expect(await reservoir.appStakes(app1.address)).to.equal(STAKE);
+      expect(await reservoir.usdcBalance()).to.equal(0);
+      
+      await expect(verificationEngine.connect(app1).registerApp(STAKE)).to.be.revertedWith("Already registered");
+      await expect(verificationEngine.connect(user1).registerApp(STAKE - 1n)).to.be.revertedWith("Insufficient stake");
     });
 
     it("Should emit AppRegistered event", async function () {
-      // App registration functionality not as expected
-      this.skip();
+      await expect(verificationEngine.connect(app1).registerApp(STAKE))
+        .to.emit(verificationEngine, "AppRegistered")
+        .withArgs(app1.address, STAKE)
+        .and.to.emit(reservoir, "StakeReceived")
+        .withArgs(app1.address, STAKE);
     });
 
     it("Should slash malicious apps", async function () {
-      // Slashing functionality not implemented
-      this.skip();
+      await verificationEngine.connect(app1).registerApp(STAKE);
+      
+      await expect(verificationEngine.connect(user1).slashApp(app1.address, "False attestation")).to.be.reverted;
+      
+      // First violation slashes 10% into the healthcare chamber
+      await expect(verificationEngine.slashApp(app1.address, "False attestation"))
+        .to.emit(reservoir, "StakeSlashed")
+        .withArgs(app1.address, STAKE / 10n);
+      
+      expect(await reservoir.appStakes(app1.address)).to.equal(STAKE - STAKE / 10n);
+      expect(await reservoir.usdcBalance()).to.equal(STAKE / 10n);
+      expect(await verificationEngine.registeredApps(app1.address)).to.be.true;
     });
 
     it("Should deactivate apps with zero reputation", async function () {
-      // App deactivation not implemented
-      this.skip();
+      await verificationEngine.connect(app1).registerApp(STAKE);
+      
+      for (let i = 0; i < 4; i++) {
+        await verificationEngine.slashApp(app1.address, "Repeated false attestations");
+      }
+
+      expect(await verificationEngine.registeredApps(app1.address)).to.be.false;
+      expect(await verificationEngine.hasRole(await verificationEngine.APP_ROLE(), app1.address)).to.be.false;
+      expect(await reservoir.appStakes(app1.address)).to.equal(0);
+      expect(await reservoir.totalStaked()).to.equal(0);
+      expect(await reservoir.usdcBalance()).to.equal(STAKE);
+      await expect(verificationEngine.slashApp(app1.address, "Again")).to.be.revertedWith("App not registered");
+    });
+
+    it("Should return the remaining stake after the unbonding period", async function () {
+      await verificationEngine.connect(app1).registerApp(STAKE);
+      await verificationEngine.slashApp(app1.address, "False attestation");
+      
+      const releaseTime = (await time.latest()) + 1 + Number(await verificationEngine.UNBONDING_PERIOD());
+      await expect(verificationEngine.connect(app1).deregisterApp())
+        .to.emit(verificationEngine, "AppDeregistered")
+        .withArgs(app1.address, STAKE - STAKE / 10n, releaseTime);
+      
+      expect(await verificationEngine.registeredApps(app1.address)).to.be.false;
+      expect(await verificationEngine.hasRole(await verificationEngine.APP_ROLE(), app1.address)).to.be.false;
+      expect(await reservoir.appStakes(app1.address)).to.equal(STAKE - STAKE / 10n);
+      await expect(verificationEngine.connect(app1).deregisterApp()).to.be.revertedWith("App not registered");
+      await expect(verificationEngine.connect(app1).registerApp(STAKE)).to.be.revertedWith("Withdraw unbonding stake first");
+      await expect(verificationEngine.connect(app1).withdrawStake()).to.be.revertedWith("Stake still unbonding");
+      
+      await time.increaseTo(releaseTime);
+      await expect(verificationEngine.connect(app1).withdrawStake())
+        .to.emit(verificationEngine, "AppStakeWithdrawn")
+        .withArgs(app1.address, STAKE - STAKE / 10n)
+        .and.to.emit(reservoir, "StakeReleased")
+        .withArgs(app1.address, STAKE - STAKE / 10n);
+      
+      expect(await mockUSDC.balanceOf(app1.address)).to.equal(STAKE - STAKE / 10n);
+      expect(await reservoir.appStakes(app1.address)).to.equal(0);
+      expect(await reservoir.usdcBalance()).to.equal(STAKE / 10n);
+      expect(await verificationEngine.unbondingUntil(app1.address)).to.equal(0);
+      await expect(verificationEngine.connect(app1).withdrawStake()).to.be.revertedWith("No stake unbonding");
+      await expect(verificationEngine.slashApp(app1.address, "Too late")).to.be.revertedWith("App not registered");
+    });
+
+    it("Should slash an app that deregistered while its stake is unbonding", async function () {
+      await verificationEngine.connect(app1).registerApp(STAKE);
+      await verificationEngine.connect(app1).deregisterApp();
+      
+      // The oracle's slash lands after the app tried to leave
+      await time.increase(3600);
+      await expect(verificationEngine.slashApp(app1.address, "False attestation"))
+        .to.emit(reservoir, "StakeSlashed")
+        .withArgs(app1.address, STAKE / 10n);
+      
+      expect(await reservoir.usdcBalance()).to.equal(STAKE / 10n);
+      
+      await time.increaseTo(await verificationEngine.unbondingUntil(app1.address));
+      await expect(verificationEngine.slashApp(app1.address, "Too late")).to.be.revertedWith("App not registered");
+      await verificationEngine.connect(app1).withdrawStake();
+      
+      expect(await mockUSDC.balanceOf(app1.address)).to.equal(STAKE - STAKE / 10n);
+      expect(await reservoir.appStakes(app1.address)).to.equal(0);
     });
   });
 
@@ -89,6 +179,27 @@ describe("VerificationEngine", function () {
       // Skip app registration
     });
 
+    it("Should credit verified rewards to the Reservoir's redistribution epoch", async function () {
+      await verificationEngine.grantRole(await verificationEngine.APP_ROLE(), app1.address);
+      await reservoir.grantRole(await reservoir.ACTIVITY_ROLE(), await verificationEngine.getAddress());
+      
+      const proof = {
+        activityHash: ethers.id("morning run"),
+        activityType: 0, // EXERCISE
+        energyExpended: 0,
+        timestamp: (await time.latest()) - 60,
+        profileId: ethers.zeroPadValue(user1.address, 32),
+        proof: "0x01",
+        metadata: "0x"
+      };
+      await verificationEngine.connect(app1).verifyAndMint(proof);
+      
+      const reward = await autophageToken.balanceOf(user1.address, 0);
+      const epoch = await reservoir.currentRedistributionEpoch();
+      expect(reward).to.be.gt(0);
+      expect(await reservoir.userEpochActivity(epoch, user1.address)).to.equal(reward);
+    });
+
     it("Should verify single activity proof", async function () {
       // verifyActivity doesn't exist
       this.skip();
@@ -157,7 +268,7 @@ describe("VerificationEngine", function () {
           proofData: ethers.hexlify(ethers.randomBytes(32))
         });
       }
-      
+
       await verificationEngine.connect(verifier).batchVerifyActivities(
         proofs,
         app1.address
@@ -213,8 +324,27 @@ describe("VerificationEngine", function () {
 
   describe("Genetic Traits", function () {
     it("Should assign genetic traits to users", async function () {
-      // Genetic traits not implemented
-      this.skip();
+      const MINTER_ROLE = await autophageToken.MINTER_ROLE();
+      await autophageToken.grantRole(MINTER_ROLE, owner.address);
+      await autophageToken.mint(user1.address, 2, ethers.parseEther("1500")); // Foundation
+      
+      const profileId = ethers.zeroPadValue(user1.address, 32);
+      const cost = ethers.parseEther("1000");
+      
+      await expect(verificationEngine.connect(user1).evolveGeneticTrait(profileId, "Early Bird"))
+        .to.emit(verificationEngine, "GeneticTraitEvolved")
+        .withArgs(profileId, "Early Bird", cost);
+      
+      expect(await verificationEngine.geneticTraitCount(profileId)).to.equal(1);
+      expect(await autophageToken.balanceOf(user1.address, 2)).to.equal(ethers.parseEther("500"));
+      expect(await autophageToken.totalSupply(2)).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should revert trait evolution without enough Foundation tokens", async function () {
+      const profileId = ethers.zeroPadValue(user1.address, 32);
+      await expect(
+        verificationEngine.connect(user1).evolveGeneticTrait(profileId, "Early Bird")
+      ).to.be.revertedWith("Insufficient balance");
     });
 
     it("Should apply genetic trait bonuses", async function () {